@@ -0,0 +1,73 @@
+// Service worker dos lembretes de jogos (ver src/matchReminders.js).
+// Guarda a lista de lembretes no Cache Storage e mostra as notificações vencidas quando a
+// página pede (CHECK_REMINDERS), quando recebe uma lista nova (SET_REMINDERS) ou na
+// conferência periódica em segundo plano (periodicsync), onde o navegador oferecer.
+
+const STATE_CACHE = 'match-reminders';
+const STATE_KEY = 'state.json';
+// Lembretes vencidos há mais tempo que isso são descartados sem notificação
+const REMINDER_GRACE_MS = 30 * 60 * 1000;
+
+// { reminders: [{ tag, at, title, body }], sent: [tag] }
+const readState = async () => {
+    try {
+        const cache = await caches.open(STATE_CACHE);
+        const response = await cache.match(STATE_KEY);
+        const state = response ? await response.json() : null;
+        return { reminders: state?.reminders || [], sent: state?.sent || [] };
+    } catch (error) {
+        return { reminders: [], sent: [] };
+    }
+};
+
+const writeState = async (state) => {
+    const cache = await caches.open(STATE_CACHE);
+    await cache.put(STATE_KEY, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+};
+
+const showDueReminders = async (state) => {
+    const now = Date.now();
+    const due = state.reminders.filter((reminder) => reminder.at <= now && !state.sent.includes(reminder.tag));
+    await Promise.all(due
+        .filter((reminder) => now - reminder.at <= REMINDER_GRACE_MS)
+        .map((reminder) => self.registration.showNotification(reminder.title, {
+            body: reminder.body,
+            tag: reminder.tag,
+            icon: 'https://placehold.co/192x192/000000/FFFFFF?text=Galo',
+            data: { url: self.registration.scope }
+        })));
+    // Só guarda os enviados que ainda estão na lista, para ela não crescer para sempre
+    const tags = state.reminders.map((reminder) => reminder.tag);
+    await writeState({
+        reminders: state.reminders,
+        sent: [...state.sent, ...due.map((reminder) => reminder.tag)].filter((tag) => tags.includes(tag))
+    });
+};
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+    const { type, reminders } = event.data || {};
+    if (type === 'SET_REMINDERS') {
+        event.waitUntil(readState().then((state) => showDueReminders({ reminders: reminders || [], sent: state.sent })));
+    } else if (type === 'CHECK_REMINDERS') {
+        event.waitUntil(readState().then(showDueReminders));
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'match-reminders') {
+        event.waitUntil(readState().then(showDueReminders));
+    }
+});
+
+// Clique na notificação: volta para o site (foca uma aba aberta ou abre uma nova)
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data?.url || self.registration.scope;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const existing = windows.find((client) => client.url.startsWith(self.registration.scope));
+        return existing ? existing.focus() : self.clients.openWindow(url);
+    }));
+});
@@ -1,79 +1,554 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, collection, addDoc, query, orderBy, serverTimestamp } from 'firebase/firestore';
-
-// Função auxiliar para determinar a cor do texto de contraste (preto ou branco)
-// Esta função não será usada para os cartões agora, pois o texto será forçado a branco.
-// No entanto, é mantida caso seja útil para outras partes do aplicativo ou futuras alterações.
-const getContrastTextColor = (hexColor) => {
-    if (!hexColor) return '#000000'; // Padrão para preto se não houver cor
-
-    // Remove # se presente
-    const cleanHex = hexColor.startsWith('#') ? hexColor.slice(1) : hexColor;
-
-    // Se o hex não tiver 6 caracteres, retorna um padrão e avisa
-    if (cleanHex.length !== 6) {
-        console.warn('Cor hexadecimal inválida para verificação de contraste:', hexColor);
-        return '#000000'; // Padrão para preto para hex inválido
+import { getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut } from 'firebase/auth';
+import { getFirestore, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, deleteField, arrayUnion, arrayRemove, onSnapshot, collection, addDoc, query, where, orderBy, serverTimestamp, Timestamp, writeBatch, runTransaction } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import {
+    CANVAS_WIDTH, CANVAS_HEIGHT, getContext, flattenDrawing,
+    createStroke, roundPoint, drawStrokeTail, drawStroke, renderStrokes, stickerBounds, drawStickerSelection, STICKER_HANDLE_SIZE,
+    MAX_LAYERS, createLayer, drawingDocumentFromSaved, hasStrokes, updateLayer, addElementToLayer, moveLayer,
+    getLayerCanvas, compositeLayers, loadImageAsBackground, createHistory, pushHistory, undoHistory, redoHistory
+} from './drawing';
+import { FIRESTORE_DOCUMENT_MAX_BYTES, estimateFirestoreDocumentSize } from './firestoreSize';
+import { LETTER_MAX_LENGTH, sanitizeLetterHtml, htmlToPlainText, plainTextToHtml } from './richText';
+import {
+    MOOD_OPTIONS, getMoodOption, DEFAULT_MOOD_INTENSITY, MOOD_NOTE_MAX_LENGTH, SUGGESTED_MOOD_TAGS, parseMoodTags,
+    getMoodEntryDate, getMoodIntensity, filterMoodEntries, collectMoodTags, buildMoodMonth, buildWeeklyMoodTrend
+} from './moods';
+import {
+    MATCH_OUTCOMES, MOOD_DAYS_BEFORE_MATCH, MOOD_DAYS_AFTER_MATCH, MATCH_TIMELINE_OFFSETS, getMatchOutcome, getKickoff,
+    buildMatchMoodTimeline, summarizeMoodByOutcome, computeMatchStreaks
+} from './matchInsights';
+import {
+    MILESTONE_SUGGESTIONS, MILESTONE_EMOJIS, MILESTONE_NAME_MAX_LENGTH, UPCOMING_ANNIVERSARY_DAYS, formatElapsed, describeMilestone
+} from './milestones';
+import { parseDateOnly, toDayKey, msUntilNextMidnight } from './calendarDate';
+import {
+    formatFixtureTitle, formatFixtureScore, getGameKey, createConfiguredFixtureProvider, loadFixtures, subscribeToSharedFixtures,
+    mergeFixtures, validateFixtureForm, getFixturesCollectionPath, FIXTURE_TEXT_MAX_LENGTH, exportFixturesIcs, parseFixturesIcsFile,
+    planFixtureImport, FIXTURE_ICS_MAX_FILE_SIZE
+} from './fixtures';
+import {
+    REMINDER_LEAD_TIMES, DEFAULT_REMINDER_LEAD_TIMES, REMINDER_TIMER_MAX_MS, areRemindersSupported, ensureNotificationPermission,
+    availableLeadTimes, buildReminders, nextReminderDelay, registerReminderWorker, syncReminders, checkReminders
+} from './matchReminders';
+import {
+    getPhotoStoragePath, getPhotoSrc, getPhotoThumbSrc, preparePhotoUpload, dataUrlToBlob, uploadPreparedPhoto, deletePhotoFiles,
+    PHOTO_ACCEPTED_TYPES, validatePhotoFile, hashPhotoFile
+} from './photoStorage';
+import {
+    PHOTO_CAPTION_MAX_LENGTH, PHOTO_ALBUM_NAME_MAX_LENGTH, SUGGESTED_PHOTO_ALBUMS, PHOTO_SORT_OPTIONS, SLIDESHOW_INTERVAL_MS,
+    PHOTO_ZOOM_MAX, DEFAULT_PHOTO_VIEW, zoomPhotoView,
+    parsePhotoTags, getPhotoDayKey, sortPhotos, filterPhotos, collectPhotoTags
+} from './photoGallery';
+import {
+    SEED_TRIBUTES, TRIBUTE_NAME_MAX_LENGTH, TRIBUTE_MESSAGE_MAX_LENGTH, TRIBUTE_MEDIA_MAX_SECONDS,
+    getTributesCollectionPath, getTributeStoragePath, getSeedTributeId, getTributeShareUrl, readTributeOwnerFromUrl,
+    getTributeImage, getTributeSlug, sortTributes, validateTributeForm, uploadTributeFiles, deleteTributeFiles
+} from './tributes';
+import {
+    REVEAL_MUSIC_URL, REVEAL_MUSIC_VOLUME, REVEAL_MUSIC_DUCKED_VOLUME, getRevealPhase, orderRevealSequence,
+    getRevealSlideDuration, hasSeenReveal, markRevealSeen, startConfetti
+} from './birthdayReveal';
+import { parseRoute, buildPath, buildUrl, getPageTitle } from './routes';
+import {
+    ACCOUNT_PASSWORD_MIN_LENGTH, describeAuthUser, getAccountLabel, signInWithGoogle, switchToExistingAccount,
+    registerWithEmail, signInWithEmail, sendPasswordReset, validateAccountForm, getAuthErrorMessage
+} from './accounts';
+import {
+    SPACE_NAME_MAX_LENGTH, SHARED_CONTENT_COLLECTIONS, ITEM_VISIBILITIES, CONTENT_SORTERS, getSpacesCollectionPath, getSpacePath,
+    getSpaceInvitePath, getContentCollectionPath, generateInviteCode, normalizeInviteCode, formatInviteCode,
+    replaceContentItems, getAuthorLabel
+} from './familySpace';
+import {
+    getContrastTextColor, CARD_WIDTH, CARD_HEIGHT, CARD_FONTS, CARD_PAGES, PRINT_FORMATS, CARD_HANDLE_SIZE,
+    createCardDesign, cardDesignFromSaved, resolveCardTextColor, loadCardFont, cardElementBounds, renderCardPage,
+    exportCardPng, exportCardPdf, loadImageScaled, exportCardTemplateFile, parseCardTemplateFile, downloadDataUrl,
+    CARD_TEMPLATE_MAX_FILE_SIZE, CARD_TEMPLATE_NAME_MAX_LENGTH
+} from './cardDesign';
+
+// Escudo do Atlético-MG (cabeçalho e adesivo do Estúdio Criativo)
+const galoCrestUrl = 'https://upload.wikimedia.org/wikipedia/commons/thumb/5/52/Escudo_do_Clube_Atl%C3%A9tico_Mineiro.svg/1200px-Escudo_do_Clube_Atl%C3%A9tico_Mineiro.svg.png';
+
+// Destinatários possíveis das cartas
+const letterRecipients = {
+    galo: 'ao Galo',
+    drEmanuel: 'ao Dr. Emanuel'
+};
+
+// Rascunho da carta guardado no navegador, para não perder o texto se a aba fechar
+const LETTER_DRAFT_STORAGE_KEY = 'wonderland-letter-draft';
+
+const loadLocalLetterDraft = () => {
+    try {
+        return JSON.parse(localStorage.getItem(LETTER_DRAFT_STORAGE_KEY)) || null;
+    } catch (error) {
+        console.warn('Rascunho local de carta inválido:', error);
+        return null;
     }
+};
+
+// Converte uma data no valor aceito por <input type="datetime-local"> (horário local)
+const toDateTimeLocalValue = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Formata o tempo restante de uma contagem regressiva (ex.: "3d 04h 12m 09s")
+const formatCountdown = (milliseconds) => {
+    const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const pad = (value) => String(value).padStart(2, '0');
+    const time = `${pad(Math.floor((totalSeconds % 86400) / 3600))}h ${pad(Math.floor((totalSeconds % 3600) / 60))}m ${pad(totalSeconds % 60)}s`;
+    return days > 0 ? `${days}d ${time}` : time;
+};
+
+// Quem pode editar a agenda compartilhada (lista de UIDs separados por vírgula); vazia = ninguém
+const FIXTURE_EDITOR_UIDS = (process.env.REACT_APP_FIXTURE_EDITOR_UIDS || '').split(',').map((uid) => uid.trim()).filter(Boolean);
+
+const emptyFixtureForm = { date: '', time: '16:00', opponent: '', isHome: true, location: '', competition: '', tvChannel: '', goalsFor: '', goalsAgainst: '' };
+
+// Situações de uma foto na fila de envio da galeria
+const PHOTO_QUEUE_ACTIVE_STATUSES = ['pending', 'preparing', 'uploading'];
+const PHOTO_QUEUE_STATUS_LABELS = {
+    pending: 'Na fila',
+    preparing: 'Preparando...',
+    uploading: 'Enviando...',
+    done: 'Enviada ✓',
+    canceled: 'Cancelada',
+    duplicate: 'Já está na galeria',
+    invalid: 'Recusada',
+    error: 'Falhou'
+};
+
+// Uma carta com data de abertura fica lacrada até essa data, sempre a partir do valor salvo
+const isLetterSealed = (letter, now) => !!letter.unlockAt && letter.unlockAt.toMillis() > now;
+
+// Miniatura de uma página de cartão desenhada em canvas (lista de cartões salvos)
+const CardThumbnail = ({ card, pageKey = 'front', className }) => {
+    const canvasRef = useRef(null);
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const design = cardDesignFromSaved(card);
+        const redraw = () => renderCardPage(canvas, design, pageKey, { onImageLoad: redraw });
+        redraw();
+        loadCardFont(design).then(redraw);
+    }, [card, pageKey]);
+    return <canvas ref={canvasRef} width={CARD_WIDTH} height={CARD_HEIGHT} className={className} />;
+};
+
+// Contagem regressiva que anda sozinha a cada segundo, sem renderizar a página inteira junto
+const Countdown = ({ target, className }) => {
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        setNow(Date.now());
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [target]);
+    return <p className={className}>{formatCountdown(target - now)}</p>;
+};
+
+// Visualizador de fotos em tela cheia: navegação por teclado, deslize e botões, zoom e apresentação de slides.
+// `onSelect(index)` troca a foto exibida; `onSelect(null)` fecha.
+const PhotoLightbox = ({ photos, index, albums, onSelect }) => {
+    const [view, setView] = useState(DEFAULT_PHOTO_VIEW); // Zoom e deslocamento da imagem ampliada
+    const [playing, setPlaying] = useState(false);
+    const gestureRef = useRef(null); // { startX, startY, panX, panY } do toque/arraste em andamento
+    const photo = photos[index];
+    const count = photos.length;
+
+    const changeZoom = (delta) => setView((current) => zoomPhotoView(current, delta));
+
+    // Cada foto abre sem zoom
+    useEffect(() => {
+        setView(DEFAULT_PHOTO_VIEW);
+    }, [index]);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === 'ArrowRight') onSelect((index + 1) % count);
+            else if (event.key === 'ArrowLeft') onSelect((index - 1 + count) % count);
+            else if (event.key === 'Escape') onSelect(null);
+            else if (event.key === '+' || event.key === '=') setView((current) => zoomPhotoView(current, 0.5));
+            else if (event.key === '-') setView((current) => zoomPhotoView(current, -0.5));
+            else if (event.key === ' ') setPlaying((current) => !current);
+            else return;
+            event.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [index, count, onSelect]);
+
+    // Apresentação de slides: avança sozinha enquanto estiver ligada
+    useEffect(() => {
+        if (!playing || count < 2) return;
+        const timer = setTimeout(() => onSelect((index + 1) % count), SLIDESHOW_INTERVAL_MS);
+        return () => clearTimeout(timer);
+    }, [playing, index, count, onSelect]);
 
-    // Converte hex para RGB
-    const r = parseInt(cleanHex.substring(0, 2), 16);
-    const g = parseInt(cleanHex.substring(2, 4), 16);
-    const b = parseInt(cleanHex.substring(4, 6), 16);
+    if (!photo) return null;
 
-    // Calcula a luminância (brilho percebido) usando a fórmula YIQ
-    // Fórmula: (R*0.299 + G*0.587 + B*0.114) / 255
-    const luminance = (r * 299 + g * 587 + b * 114) / 1000;
+    // Sem zoom, arrastar para o lado troca de foto; com zoom, arrastar move a imagem
+    const handlePointerDown = (event) => {
+        event.currentTarget.setPointerCapture(event.pointerId);
+        gestureRef.current = { startX: event.clientX, startY: event.clientY, panX: view.x, panY: view.y };
+    };
+    const handlePointerMove = (event) => {
+        const gesture = gestureRef.current;
+        if (!gesture || view.zoom === 1) return;
+        setView({ ...view, x: gesture.panX + event.clientX - gesture.startX, y: gesture.panY + event.clientY - gesture.startY });
+    };
+    const handlePointerUp = (event) => {
+        const gesture = gestureRef.current;
+        gestureRef.current = null;
+        if (!gesture || view.zoom !== 1) return;
+        const deltaX = event.clientX - gesture.startX;
+        if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(event.clientY - gesture.startY)) {
+            onSelect((index + (deltaX < 0 ? 1 : -1) + count) % count);
+        }
+    };
 
-    // Retorna texto preto para cores claras, branco para cores escuras
-    return luminance > 186 ? '#000000' : '#ffffff'; // 186 é um limiar comum
+    const dayKey = getPhotoDayKey(photo);
+    const albumNames = albums.filter((album) => (photo.albumIds || []).includes(album.id)).map((album) => album.name);
+    const controlClass = 'text-white bg-white bg-opacity-10 hover:bg-opacity-25 rounded-full w-10 h-10 flex items-center justify-center';
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-95 z-50 flex flex-col select-none" role="dialog" aria-modal="true" aria-label="Visualizador de fotos">
+            <div className="flex items-center justify-between p-3 text-white">
+                <span className="text-sm">{index + 1} / {count}</span>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => changeZoom(-0.5)} disabled={view.zoom === 1} title="Diminuir zoom (-)" className={`${controlClass} disabled:opacity-30`}>−</button>
+                    <span className="text-sm w-12 text-center">{Math.round(view.zoom * 100)}%</span>
+                    <button onClick={() => changeZoom(0.5)} disabled={view.zoom === PHOTO_ZOOM_MAX} title="Aumentar zoom (+)" className={`${controlClass} disabled:opacity-30`}>+</button>
+                    <button onClick={() => setPlaying(!playing)} disabled={count < 2} title={playing ? 'Pausar apresentação (espaço)' : 'Apresentação de slides (espaço)'} className={`${controlClass} disabled:opacity-30`}>
+                        {playing ? '⏸' : '▶'}
+                    </button>
+                    <button onClick={() => onSelect(null)} title="Fechar (Esc)" className={controlClass}>✕</button>
+                </div>
+            </div>
+            <div
+                className="flex-1 relative overflow-hidden flex items-center justify-center"
+                style={{ touchAction: 'none', cursor: view.zoom > 1 ? 'grab' : 'default' }}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => { gestureRef.current = null; }}
+                onWheel={(event) => changeZoom(event.deltaY < 0 ? 0.25 : -0.25)}
+                onDoubleClick={() => setView(view.zoom > 1 ? DEFAULT_PHOTO_VIEW : { ...view, zoom: 2 })}
+            >
+                <img
+                    src={getPhotoSrc(photo)}
+                    alt={photo.caption || 'Foto do Memorial'}
+                    draggable={false}
+                    className="max-w-full max-h-full object-contain transition-transform duration-100"
+                    style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})` }}
+                />
+                {count > 1 && (
+                    <>
+                        <button
+                            onPointerDown={(event) => event.stopPropagation()}
+                            onClick={() => onSelect((index - 1 + count) % count)}
+                            title="Foto anterior (←)"
+                            className={`${controlClass} absolute left-3 top-1/2 -translate-y-1/2 text-2xl`}
+                        >
+                            ‹
+                        </button>
+                        <button
+                            onPointerDown={(event) => event.stopPropagation()}
+                            onClick={() => onSelect((index + 1) % count)}
+                            title="Próxima foto (→)"
+                            className={`${controlClass} absolute right-3 top-1/2 -translate-y-1/2 text-2xl`}
+                        >
+                            ›
+                        </button>
+                    </>
+                )}
+            </div>
+            <div className="p-4 text-center text-white">
+                {photo.caption && <p className="text-lg mb-1">{photo.caption}</p>}
+                <p className="text-sm text-gray-300">
+                    {dayKey && parseDateOnly(dayKey).toLocaleDateString('pt-BR')}
+                    {albumNames.length > 0 && ` · ${albumNames.join(', ')}`}
+                </p>
+                {(photo.tags || []).length > 0 && (
+                    <div className="flex flex-wrap justify-center gap-1 mt-2">
+                        {photo.tags.map((tag) => <span key={tag} className="bg-white bg-opacity-20 rounded-full px-2 py-0.5 text-xs">#{tag}</span>)}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
 };
 
+// Apresentação do modo surpresa: abertura, uma homenagem por vez e encerramento. Setas (ou deslizar)
+// trocam de mensagem, espaço pausa o avanço automático, M liga/desliga a música e Esc vai direto ao mural.
+const RevealPlayer = ({ tributes, musicUrl, onClose }) => {
+    const [step, setStep] = useState(-1); // -1 = abertura; tributes.length = encerramento
+    const [paused, setPaused] = useState(false);
+    const [muted, setMuted] = useState(false);
+    const [musicAvailable, setMusicAvailable] = useState(Boolean(musicUrl));
+    const confettiRef = useRef(null);
+    const musicRef = useRef(null);
+    const gestureRef = useRef(null); // { startX, startY } do toque/arraste em andamento
+    const count = tributes.length;
+    const tribute = tributes[step];
+    const started = step >= 0;
+
+    const goTo = (next) => setStep(Math.min(count, Math.max(-1, next)));
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === 'ArrowRight' || event.key === 'Enter') setStep((current) => Math.min(count, current + 1));
+            else if (event.key === 'ArrowLeft') setStep((current) => Math.max(0, current - 1));
+            else if (event.key === ' ') setPaused((current) => !current);
+            else if (event.key === 'm' || event.key === 'M') setMuted((current) => !current);
+            else if (event.key === 'Escape') onClose();
+            else return;
+            event.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [count, onClose]);
+
+    // A música começa com a primeira mensagem (depois de um clique ou tecla, como os navegadores exigem)
+    useEffect(() => {
+        if (!started || !musicRef.current) return;
+        musicRef.current.play().catch(() => setMusicAvailable(false));
+    }, [started]);
+
+    // Abaixa a música enquanto toca o áudio ou vídeo de uma homenagem
+    const hasMedia = Boolean(tribute?.mediaUrl);
+    useEffect(() => {
+        if (!musicRef.current) return;
+        musicRef.current.muted = muted;
+        musicRef.current.volume = hasMedia ? REVEAL_MUSIC_DUCKED_VOLUME : REVEAL_MUSIC_VOLUME;
+    }, [muted, hasMedia]);
+
+    // Confete na primeira mensagem e no encerramento
+    useEffect(() => {
+        if (step !== 0 && step !== count) return;
+        return startConfetti(confettiRef.current);
+    }, [step, count]);
+
+    // Avanço automático (mensagens com clipe avançam quando o clipe termina)
+    useEffect(() => {
+        if (paused || !tribute) return;
+        const duration = getRevealSlideDuration(tribute);
+        if (duration === null) return;
+        const timer = setTimeout(() => setStep((current) => Math.min(count, current + 1)), duration);
+        return () => clearTimeout(timer);
+    }, [paused, tribute, count]);
+
+    const handlePointerDown = (event) => {
+        gestureRef.current = { startX: event.clientX, startY: event.clientY };
+    };
+    const handlePointerUp = (event) => {
+        const gesture = gestureRef.current;
+        gestureRef.current = null;
+        if (!gesture || !started) return;
+        const deltaX = event.clientX - gesture.startX;
+        if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(event.clientY - gesture.startY)) {
+            goTo(Math.max(0, step + (deltaX < 0 ? 1 : -1)));
+        }
+    };
+
+    const controlClass = 'text-white bg-white bg-opacity-10 hover:bg-opacity-25 rounded-full px-4 h-10 flex items-center justify-center text-sm';
+    return (
+        <div className="fixed inset-0 z-50 flex flex-col bg-gradient-to-b from-black to-gray-900 text-white select-none" role="dialog" aria-modal="true" aria-label="Surpresa de aniversário">
+            {musicUrl && <audio ref={musicRef} src={musicUrl} loop preload="auto" onError={() => setMusicAvailable(false)} />}
+            <canvas ref={confettiRef} className="absolute inset-0 w-full h-full pointer-events-none" aria-hidden="true" />
+            <div className="flex items-center justify-between p-3 relative">
+                <span className="text-sm">{started && step < count ? `${step + 1} / ${count}` : ''}</span>
+                <div className="flex items-center gap-2">
+                    {started && step < count && (
+                        <button onClick={() => setPaused(!paused)} title={paused ? 'Continuar (espaço)' : 'Pausar (espaço)'} className={controlClass}>{paused ? '▶' : '⏸'}</button>
+                    )}
+                    {musicAvailable && started && (
+                        <button onClick={() => setMuted(!muted)} title={muted ? 'Ligar música (M)' : 'Desligar música (M)'} className={controlClass}>{muted ? '🔇' : '🔊'}</button>
+                    )}
+                    <button onClick={onClose} title="Pular para o mural (Esc)" className={controlClass}>Pular para o mural</button>
+                </div>
+            </div>
+            <div
+                className="flex-1 relative flex items-center justify-center p-6 text-center overflow-y-auto"
+                style={{ touchAction: 'pan-y' }}
+                onPointerDown={handlePointerDown}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => { gestureRef.current = null; }}
+            >
+                <div key={step} className="max-w-2xl w-full animate-reveal-slide">
+                    {step === -1 && (
+                        <>
+                            <p className="text-6xl mb-6">🎉</p>
+                            <h2 className="text-4xl md:text-5xl font-extrabold mb-4">Feliz aniversário, Dr. Emanuel!</h2>
+                            <p className="text-lg text-gray-300 mb-8">{count} {count === 1 ? 'pessoa deixou' : 'pessoas deixaram'} uma mensagem para você.</p>
+                            <button onClick={() => goTo(0)} disabled={count === 0} className="bg-white text-black px-8 py-3 rounded-full hover:bg-gray-200 transition duration-300 shadow-lg font-semibold text-lg disabled:opacity-50">
+                                ▶ Começar
+                            </button>
+                        </>
+                    )}
+                    {tribute && (
+                        <>
+                            <img src={getTributeImage(tribute)} alt={tribute.name} draggable={false} className="w-32 h-32 md:w-40 md:h-40 rounded-full mx-auto mb-6 object-cover border-4 border-white shadow-lg" />
+                            <h3 className="text-3xl font-bold mb-4">{tribute.name}</h3>
+                            <p className="text-xl md:text-2xl leading-relaxed whitespace-pre-line mb-6">{tribute.message}</p>
+                            {tribute.mediaType === 'video' && (
+                                <video src={tribute.mediaUrl} controls autoPlay playsInline onPointerDown={(event) => event.stopPropagation()} onEnded={() => !paused && goTo(step + 1)} className="w-full max-h-[40vh] rounded-lg bg-black" />
+                            )}
+                            {tribute.mediaType === 'audio' && (
+                                <audio src={tribute.mediaUrl} controls autoPlay onPointerDown={(event) => event.stopPropagation()} onEnded={() => !paused && goTo(step + 1)} className="w-full" />
+                            )}
+                        </>
+                    )}
+                    {step === count && count > 0 && (
+                        <>
+                            <p className="text-6xl mb-6">🖤🤍</p>
+                            <h2 className="text-4xl font-extrabold mb-4">Com todo o carinho da Massa!</h2>
+                            <p className="text-lg text-gray-300 mb-8">As mensagens continuam no mural para você ler quando quiser.</p>
+                            <button onClick={onClose} className="bg-white text-black px-8 py-3 rounded-full hover:bg-gray-200 transition duration-300 shadow-lg font-semibold text-lg">
+                                Ver o mural
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+            {started && (
+                <div className="flex items-center justify-center gap-4 p-4 relative">
+                    <button onClick={() => goTo(step - 1)} disabled={step === 0} title="Mensagem anterior (←)" className={`${controlClass} disabled:opacity-30`}>‹ Anterior</button>
+                    <button onClick={() => goTo(step + 1)} disabled={step === count} title="Próxima mensagem (→)" className={`${controlClass} disabled:opacity-30`}>Próxima ›</button>
+                </div>
+            )}
+        </div>
+    );
+};
 
 // Componente principal da aplicação
 const App = () => {
     // Estados para Firebase
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [account, setAccount] = useState(null); // Resumo do usuário logado (describeAuthUser)
+    const [showProfileMenu, setShowProfileMenu] = useState(false);
+    const [accountForm, setAccountForm] = useState(null); // { mode: 'register' | 'signIn', email, password } do login aberto
+    const [accountError, setAccountError] = useState('');
+    const [accountBusy, setAccountBusy] = useState(false);
 
     // Estados para navegação
-    const [currentPage, setCurrentPage] = useState('home');
-    const [showPlayerModal, setShowPlayerModal] = useState(false);
-    const [selectedPlayer, setSelectedPlayer] = useState(null);
+    const [route, setRoute] = useState(() => parseRoute(window.location)); // { page, params } do endereço atual
+    const currentPage = route.page;
     const [showMessageModal, setShowMessageModal] = useState(false);
     const [modalContent, setModalContent] = useState('');
     const [showNotification, setShowNotification] = useState(false);
     const [notificationMessage, setNotificationMessage] = useState('');
+    const [confirmDialog, setConfirmDialog] = useState(null); // { message, confirmLabel, onConfirm }
+    const [undoAction, setUndoAction] = useState(null); // { message, undo } exibido por alguns segundos
+    const undoTimeoutRef = useRef(null);
 
     // Estados para o Estúdio Criativo
     const canvasRef = useRef(null);
+    const [drawingTool, setDrawingTool] = useState('pen'); // pen, eraser, line, rect, ellipse, fill, text, sticker
     const [drawingColor, setDrawingColor] = useState('#000000');
     const [drawingSize, setDrawingSize] = useState(5);
+    const [drawingHistory, setDrawingHistory] = useState(() => createHistory()); // Fundo e camadas do desenho atual + desfazer/refazer
+    const [activeLayerId, setActiveLayerId] = useState(null); // Camada que recebe os traços (null = a do topo)
+    const layerCanvasesRef = useRef({}); // Canvases fora da tela, um por camada
+    const [pixelRatio, setPixelRatio] = useState(() => Math.min(window.devicePixelRatio || 1, 3)); // Densidade de pixels da tela
+    const [palmRejection, setPalmRejection] = useState(false); // Ignora palma e segundo dedo ao desenhar
+    const penDetectedRef = useRef(false); // Uma caneta já foi usada nesta sessão
+    const [editingDrawingId, setEditingDrawingId] = useState(null); // Desenho salvo sendo editado no canvas
+    const [textValue, setTextValue] = useState(''); // Texto carimbado pela ferramenta de texto
+    const [textSize, setTextSize] = useState(32);
+    const [selectedSticker, setSelectedSticker] = useState(null); // Adesivo escolhido na paleta
+    const [pendingSticker, setPendingSticker] = useState(null); // Adesivo posicionado mas ainda não aplicado
+    const pendingStickerRef = useRef(null);
     const [drawings, setDrawings] = useState([]);
-    const [letterContent, setLetterContent] = useState('');
+    const [initialLetterDraft] = useState(loadLocalLetterDraft); // Rascunho restaurado ao abrir o app
+    const [letterContent, setLetterContent] = useState(initialLetterDraft?.contentHtml || ''); // HTML do editor
+    const [letterTitle, setLetterTitle] = useState(initialLetterDraft?.title || '');
+    const [letterRecipient, setLetterRecipient] = useState(initialLetterDraft?.recipient || '');
+    const [editingLetterId, setEditingLetterId] = useState(initialLetterDraft?.letterId || null); // Carta salva sendo editada
+    const [letterUnlockAt, setLetterUnlockAt] = useState(initialLetterDraft?.unlockAt || ''); // "Abrir em" (datetime-local)
+    const [now, setNow] = useState(() => Date.now()); // Relógio para as contagens regressivas
+    const [letterDraftStatus, setLetterDraftStatus] = useState(''); // '', 'saving', 'saved' ou 'error'
+    const [letterVersionsView, setLetterVersionsView] = useState(null); // { letter, versions, loading }
+    const letterEditorRef = useRef(null);
+    const letterDirtyRef = useRef(false); // Só envia rascunho ao Firestore depois que o usuário digita
     const [letters, setLetters] = useState([]);
-    const [cardText, setCardText] = useState('');
-    const [cardBgColor, setCardBgColor] = useState('#ffffff');
+    const [lettersLoaded, setLettersLoaded] = useState(false);
+    const [cardDesign, setCardDesign] = useState(() => createCardDesign()); // Cartão sendo criado no designer
+    const [cardPage, setCardPage] = useState('front'); // Página em edição: capa ou parte interna
+    const [selectedCardElementId, setSelectedCardElementId] = useState(null);
+    const cardCanvasRef = useRef(null);
+    const cardDragRef = useRef(null); // { mode: 'move' | 'resize', offsetX, offsetY } durante o arraste
     const [cards, setCards] = useState([]);
+    const [userCardTemplates, setUserCardTemplates] = useState([]); // Modelos criados pelo usuário
+    const [newTemplateName, setNewTemplateName] = useState('');
+    const [renamingTemplate, setRenamingTemplate] = useState(null); // { id, name } do modelo sendo renomeado
 
     // Estados para o Rastreador de Humor
-    const [currentMood, setCurrentMood] = useState('');
-    const [moods, setMoods] = useState([]);
+    const [moods, setMoods] = useState([]); // Mais recentes primeiro
+    const [moodForm, setMoodForm] = useState({ mood: '', intensity: DEFAULT_MOOD_INTENSITY, note: '', tagsText: '' });
+    const [editingMoodId, setEditingMoodId] = useState(null);
+    const [moodFilter, setMoodFilter] = useState({ mood: '', tag: '' });
+    const [moodMonth, setMoodMonth] = useState(() => ({ year: new Date().getFullYear(), month: new Date().getMonth() }));
+    const [selectedMoodDay, setSelectedMoodDay] = useState(null); // Dia clicado no calendário (AAAA-MM-DD)
 
     // Estados para o Contador de Dias
-    const [startDate, setStartDate] = useState(null); // Inicializado com null
-
-    const [daysKnown, setDaysKnown] = useState(0);
+    const [milestones, setMilestones] = useState([]); // Marcos com nome e data (AAAA-MM-DD)
+    const [milestoneForm, setMilestoneForm] = useState({ name: '', date: '', emoji: MILESTONE_EMOJIS[0] });
+    const [editingMilestoneId, setEditingMilestoneId] = useState(null);
 
     // Estados para a Agenda de Jogos
-    const [gameSchedule, setGameSchedule] = useState([]);
+    const [fileFixtures, setFileFixtures] = useState([]); // Jogos do arquivo JSON/.ics configurado
+    const [sharedFixtures, setSharedFixtures] = useState([]); // Jogos da coleção compartilhada (editáveis)
+    const [sharedFixturesLoaded, setSharedFixturesLoaded] = useState(false);
+    const [scheduleStatus, setScheduleStatus] = useState('loading'); // 'loading' | 'ready' | 'error'
+    const [scheduleError, setScheduleError] = useState(null); // Mensagem do último erro (a agenda pode vir do cache)
+    const [scheduleUpdatedAt, setScheduleUpdatedAt] = useState(null);
+    const [scheduleReload, setScheduleReload] = useState(0);
+    const [gameResults, setGameResults] = useState([]); // Placar dos jogos, salvo pelo usuário
+    const [resultForm, setResultForm] = useState(null); // { game, goalsFor, goalsAgainst } do placar sendo registrado
+    const [pastMatchForm, setPastMatchForm] = useState({ date: '', time: '16:00', opponent: '', competition: '', goalsFor: '', goalsAgainst: '' });
+    const [fixtureForm, setFixtureForm] = useState(null); // Formulário do editor de jogos (null = fechado)
+    const [editingFixtureId, setEditingFixtureId] = useState(null); // Id do jogo compartilhado em edição
+    const [fixtureFormErrors, setFixtureFormErrors] = useState({});
+    const [matchReminders, setMatchReminders] = useState([]); // Inscrições em lembretes (id = chave do jogo)
+    const [reminderForm, setReminderForm] = useState(null); // { game, leadTimes } do lembrete sendo criado
 
     // Estados para a Galeria de Fotos
     const [photos, setPhotos] = useState([]);
+    const [photosLoaded, setPhotosLoaded] = useState(false);
+    const [photoUpload, setPhotoUpload] = useState(null); // { label, progress (0 a 1) } durante a migração
+    const [photoQueue, setPhotoQueue] = useState([]); // Fila de envio: { id, file, name, size, albumId, status, progress, error }
+    const [isDraggingPhotos, setIsDraggingPhotos] = useState(false);
+    const photoQueueRef = useRef([]);
+    const photoQueueRunningRef = useRef(false);
+    const photoUploadControllersRef = useRef({}); // AbortController do envio em andamento, por item da fila
+    const [photoAlbums, setPhotoAlbums] = useState([]);
+    const [newAlbumName, setNewAlbumName] = useState('');
+    const [photoFilter, setPhotoFilter] = useState({ albumId: '', tag: '' });
+    const [photoSort, setPhotoSort] = useState('takenDesc');
+    const [photoForm, setPhotoForm] = useState(null); // { id, caption, takenAt, tagsText, albumIds } da foto em edição
+
+    // Estados para o Mural de Homenagens
+    const [tributeOwnerId, setTributeOwnerId] = useState(readTributeOwnerFromUrl); // Dono do mural do link aberto (modo convidado)
+    const [tributes, setTributes] = useState([]); // Homenagens do mural do usuário (todas as situações)
+    const [tributeWallSeeded, setTributeWallSeeded] = useState(false); // Jogadores já copiados para o Firestore
+    const [tributeForm, setTributeForm] = useState({ name: '', message: '', photo: null, media: null });
+    const [tributeFormErrors, setTributeFormErrors] = useState({});
+    const [tributeSubmission, setTributeSubmission] = useState(null); // { progress } durante o envio, { sent: true } depois
+    const [revealSettings, setRevealSettings] = useState(null); // { enabled, revealAt, music } do modo surpresa (null = carregando)
+    const [revealForm, setRevealForm] = useState({ enabled: false, revealAt: '', music: true });
+    const [showReveal, setShowReveal] = useState(false); // Apresentação da surpresa aberta
+
+    // Estados para o Espaço da Família
+    const [familySpace, setFamilySpace] = useState(null); // Espaço de que o usuário participa (null = nenhum)
+    const [familySpaceLoaded, setFamilySpaceLoaded] = useState(false);
+    const [spaceForm, setSpaceForm] = useState({ name: '', code: '' });
+    const [newItemVisibility, setNewItemVisibility] = useState('shared'); // Onde entram cartas, cartões, fotos e marcos novos
 
     // Configuração e Inicialização do Firebase
     useEffect(() => {
@@ -106,14 +581,26 @@ const App = () => {
             const app = initializeApp(firebaseConfig);
             const firestoreDb = getFirestore(app);
             const firebaseAuth = getAuth(app);
+            const firebaseStorage = getStorage(app);
+            // Emulador local do Storage (ex.: REACT_APP_STORAGE_EMULATOR_HOST="localhost:9199")
+            if (process.env.REACT_APP_STORAGE_EMULATOR_HOST) {
+                const [emulatorHost, emulatorPort] = process.env.REACT_APP_STORAGE_EMULATOR_HOST.split(':');
+                connectStorageEmulator(firebaseStorage, emulatorHost, Number(emulatorPort) || 9199);
+            }
+            // Emulador local do Auth (ex.: REACT_APP_AUTH_EMULATOR_HOST="localhost:9099")
+            if (process.env.REACT_APP_AUTH_EMULATOR_HOST) {
+                connectAuthEmulator(firebaseAuth, `http://${process.env.REACT_APP_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+            }
 
             setDb(firestoreDb);
             setAuth(firebaseAuth);
+            setStorage(firebaseStorage);
 
             // Listener para o estado de autenticação
             const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setAccount(describeAuthUser(user));
                 } else {
                     // Tenta usar o token inicial do Canvas, se disponível
                     if (typeof __initial_auth_token !== 'undefined') {
@@ -143,9 +630,14 @@ const App = () => {
             const userDrawingsRef = collection(db, `artifacts/${appId}/users/${userId}/drawings`);
             const userLettersRef = collection(db, `artifacts/${appId}/users/${userId}/letters`);
             const userCardsRef = collection(db, `artifacts/${appId}/users/${userId}/cards`);
+            const userCardTemplatesRef = collection(db, `artifacts/${appId}/users/${userId}/cardTemplates`);
             const userMoodsRef = collection(db, `artifacts/${appId}/users/${userId}/moods`);
-            const userDaysCounterRef = doc(db, `artifacts/${appId}/users/${userId}/daysCounter/data`);
+            const userMilestonesRef = collection(db, `artifacts/${appId}/users/${userId}/milestones`);
+            const legacyDaysCounterRef = doc(db, `artifacts/${appId}/users/${userId}/daysCounter/data`);
             const userPhotosRef = collection(db, `artifacts/${appId}/users/${userId}/photos`);
+            const userPhotoAlbumsRef = collection(db, `artifacts/${appId}/users/${userId}/photoAlbums`);
+            const userGameResultsRef = collection(db, `artifacts/${appId}/users/${userId}/gameResults`);
+            const userMatchRemindersRef = collection(db, `artifacts/${appId}/users/${userId}/matchReminders`);
 
             // Carregar desenhos
             const unsubscribeDrawings = onSnapshot(userDrawingsRef, (snapshot) => {
@@ -153,108 +645,307 @@ const App = () => {
                 setDrawings(loadedDrawings);
             }, (error) => console.error("Erro ao carregar desenhos:", error));
 
-            // Carregar cartas
+            // Carregar cartas (as privadas; as compartilhadas vêm do espaço da família)
             const unsubscribeLetters = onSnapshot(userLettersRef, (snapshot) => {
                 const loadedLetters = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                setLetters(loadedLetters);
+                setLetters((current) => replaceContentItems(current, 'private', loadedLetters));
+                setLettersLoaded(true);
             }, (error) => console.error("Erro ao carregar cartas:", error));
 
             // Carregar cartões
             const unsubscribeCards = onSnapshot(userCardsRef, (snapshot) => {
                 const loadedCards = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                setCards(loadedCards);
+                setCards((current) => replaceContentItems(current, 'private', loadedCards));
             }, (error) => console.error("Erro ao carregar cartões:", error));
 
+            // Carregar modelos de cartão do usuário
+            const qCardTemplates = query(userCardTemplatesRef, orderBy('createdAt', 'asc'));
+            const unsubscribeCardTemplates = onSnapshot(qCardTemplates, (snapshot) => {
+                const loadedTemplates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setUserCardTemplates(loadedTemplates);
+            }, (error) => console.error("Erro ao carregar modelos de cartão:", error));
+
             // Carregar humor
             const qMoods = query(userMoodsRef, orderBy('timestamp', 'desc'));
             const unsubscribeMoods = onSnapshot(qMoods, (snapshot) => {
-                const loadedMoods = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                // Estima o horário de registros ainda não confirmados pelo servidor
+                const loadedMoods = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
                 setMoods(loadedMoods);
             }, (error) => console.error("Erro ao carregar humor:", error));
 
-            // Carregar data inicial do contador de dias
-            const unsubscribeDaysCounter = onSnapshot(userDaysCounterRef, (docSnap) => {
-                if (docSnap.exists()) {
-                    const data = docSnap.data();
-                    setStartDate(data.startDate || null); // Alterado para setar null se não houver data
-                } else {
-                    setStartDate(null); // Alterado para setar null
+            // Carregar marcos do contador de dias
+            const qMilestones = query(userMilestonesRef, orderBy('date', 'asc'));
+            const unsubscribeMilestones = onSnapshot(qMilestones, (snapshot) => {
+                const loadedMilestones = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setMilestones((current) => replaceContentItems(current, 'private', loadedMilestones, CONTENT_SORTERS.milestones));
+            }, (error) => console.error("Erro ao carregar marcos:", error));
+
+            // Migra a data única do modelo antigo (daysCounter/data) para um marco. Em transação e com id
+            // fixo, para duas abas (ou um recarregamento no meio) não criarem o marco duas vezes
+            runTransaction(db, async (transaction) => {
+                const legacySnap = await transaction.get(legacyDaysCounterRef);
+                if (!legacySnap.exists()) return;
+                const { startDate } = legacySnap.data();
+                if (startDate) {
+                    transaction.set(doc(userMilestonesRef, 'legacy-days-counter'), {
+                        name: MILESTONE_SUGGESTIONS[0].name,
+                        emoji: MILESTONE_SUGGESTIONS[0].emoji,
+                        date: startDate,
+                        createdAt: serverTimestamp()
+                    });
                 }
-            }, (error) => console.error("Erro ao carregar contador de dias:", error));
+                transaction.delete(legacyDaysCounterRef);
+            }).catch((error) => console.error("Erro ao migrar contador de dias:", error));
 
             // Carregar fotos
             const unsubscribePhotos = onSnapshot(userPhotosRef, (snapshot) => {
                 const loadedPhotos = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                setPhotos(loadedPhotos);
+                setPhotos((current) => replaceContentItems(current, 'private', loadedPhotos));
+                setPhotosLoaded(true);
             }, (error) => console.error("Erro ao carregar fotos:", error));
 
+            // Carregar álbuns de fotos
+            const qPhotoAlbums = query(userPhotoAlbumsRef, orderBy('createdAt', 'asc'));
+            const unsubscribePhotoAlbums = onSnapshot(qPhotoAlbums, (snapshot) => {
+                const loadedAlbums = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setPhotoAlbums(loadedAlbums);
+            }, (error) => console.error("Erro ao carregar álbuns:", error));
+
+            // Carregar resultados dos jogos
+            const unsubscribeGameResults = onSnapshot(userGameResultsRef, (snapshot) => {
+                const loadedResults = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setGameResults(loadedResults);
+            }, (error) => console.error("Erro ao carregar resultados dos jogos:", error));
+
+            // Carregar lembretes de jogos
+            const unsubscribeMatchReminders = onSnapshot(userMatchRemindersRef, (snapshot) => {
+                const loadedReminders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setMatchReminders(loadedReminders);
+            }, (error) => console.error("Erro ao carregar lembretes de jogos:", error));
+
+            // Recupera o rascunho de carta do Firestore se ele for mais novo que o local (ex.: outro aparelho)
+            getDoc(doc(db, `artifacts/${appId}/users/${userId}/letterDrafts/current`)).then((draftSnap) => {
+                if (!draftSnap.exists() || letterDirtyRef.current) return;
+                const remoteDraft = draftSnap.data();
+                const localDraft = loadLocalLetterDraft();
+                if (!localDraft || (remoteDraft.updatedAtMs || 0) > (localDraft.updatedAtMs || 0)) {
+                    setLetterTitle(remoteDraft.title || '');
+                    setLetterRecipient(remoteDraft.recipient || '');
+                    setEditingLetterId(remoteDraft.letterId || null);
+                    setLetterUnlockAt(remoteDraft.unlockAt || '');
+                    setLetterContent(remoteDraft.contentHtml || '');
+                }
+            }).catch((error) => console.error("Erro ao carregar rascunho de carta:", error));
+
             return () => {
                 unsubscribeDrawings();
                 unsubscribeLetters();
                 unsubscribeCards();
+                unsubscribeCardTemplates();
+                unsubscribeGameResults();
+                unsubscribeMatchReminders();
                 unsubscribeMoods();
-                unsubscribeDaysCounter();
+                unsubscribeMilestones();
                 unsubscribePhotos();
+                unsubscribePhotoAlbums();
             };
         }
     }, [isAuthReady, userId, db]);
 
-    // Calcular dias conhecidos sempre que a data inicial mudar
+    // Mural de homenagens: carrega as homenagens do próprio mural e, na primeira vez, copia os
+    // jogadores para o Firestore. Convidados (link de homenagem) só enviam, sem criar mural próprio.
     useEffect(() => {
-        if (startDate) {
-            const start = new Date(startDate);
-            const today = new Date();
-            const diffTime = Math.abs(today - start);
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-            setDaysKnown(diffDays);
-        } else {
-            setDaysKnown(0);
+        if (!isAuthReady || !userId || !db || tributeOwnerId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        const tributeWallRef = doc(db, `artifacts/${appId}/users/${userId}/settings/tributeWall`);
+        const revealSettingsRef = doc(db, `artifacts/${appId}/users/${userId}/settings/reveal`);
+
+        const qTributes = query(collection(db, getTributesCollectionPath(appId)), where('ownerId', '==', userId));
+        const unsubscribeTributes = onSnapshot(qTributes, (snapshot) => {
+            const loadedTributes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setTributes(sortTributes(loadedTributes));
+        }, (error) => console.error("Erro ao carregar homenagens:", error));
+
+        // Configuração do modo surpresa (o formulário acompanha o que está salvo)
+        const unsubscribeRevealSettings = onSnapshot(revealSettingsRef, (snapshot) => {
+            const settings = snapshot.exists() ? snapshot.data() : { enabled: false, revealAt: null, music: true };
+            setRevealSettings(settings);
+            setRevealForm({
+                enabled: Boolean(settings.enabled),
+                revealAt: settings.revealAt ? toDateTimeLocalValue(settings.revealAt.toDate()) : '',
+                music: settings.music !== false
+            });
+        }, (error) => {
+            console.error("Erro ao carregar o modo surpresa:", error);
+            setRevealSettings({ enabled: false, revealAt: null, music: true }); // Sem configuração, o mural fica visível
+        });
+
+        getDoc(tributeWallRef).then(async (wallSnap) => {
+            if (!wallSnap.exists()) {
+                await Promise.all(SEED_TRIBUTES.map((player, index) => setDoc(doc(db, `${getTributesCollectionPath(appId)}/${getSeedTributeId(userId, index)}`), {
+                    ownerId: userId,
+                    authorId: userId,
+                    name: player.name,
+                    message: player.message,
+                    imageUrl: player.imageUrl,
+                    status: 'approved',
+                    seed: true,
+                    order: index,
+                    createdAt: serverTimestamp()
+                })));
+                await setDoc(tributeWallRef, { seededAt: serverTimestamp() });
+            }
+            setTributeWallSeeded(true);
+        }).catch((error) => console.error("Erro ao preparar o mural de homenagens:", error));
+
+        return () => {
+            unsubscribeTributes();
+            unsubscribeRevealSettings();
+        };
+    }, [isAuthReady, userId, db, tributeOwnerId]);
+
+    // Espaço da família de que o usuário participa (um por vez: criar e entrar exigem estar fora de
+    // qualquer espaço; se ainda assim houver mais de um, vale sempre o mesmo, o de menor id)
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db || tributeOwnerId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        const qSpaces = query(collection(db, getSpacesCollectionPath(appId)), where('memberIds', 'array-contains', userId));
+        const unsubscribeSpaces = onSnapshot(qSpaces, (snapshot) => {
+            const loadedSpaces = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setFamilySpace(loadedSpaces.sort((a, b) => a.id.localeCompare(b.id))[0] || null);
+            setFamilySpaceLoaded(true);
+        }, (error) => console.error("Erro ao carregar o espaço da família:", error));
+        return () => unsubscribeSpaces();
+    }, [isAuthReady, userId, db, tributeOwnerId]);
+
+    // Conteúdo compartilhado do espaço: chega às mesmas listas dos itens privados, marcado como 'shared'
+    const familySpaceId = familySpace?.id;
+    useEffect(() => {
+        if (!db || !familySpaceId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        const setters = { letters: setLetters, cards: setCards, photos: setPhotos, milestones: setMilestones };
+        const unsubscribers = SHARED_CONTENT_COLLECTIONS.map((collectionName) => (
+            onSnapshot(collection(db, `${getSpacePath(appId, familySpaceId)}/${collectionName}`), (snapshot) => {
+                const loadedItems = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setters[collectionName]((current) => replaceContentItems(current, 'shared', loadedItems, CONTENT_SORTERS[collectionName]));
+            }, (error) => console.error(`Erro ao carregar ${collectionName} compartilhados:`, error))
+        ));
+        return () => {
+            unsubscribers.forEach((unsubscribe) => unsubscribe());
+            // Ao sair do espaço, os itens compartilhados somem das listas
+            SHARED_CONTENT_COLLECTIONS.forEach((collectionName) => setters[collectionName]((current) => replaceContentItems(current, 'shared', [])));
+        };
+    }, [db, familySpaceId]);
+
+    // Nome do membro na lista do espaço: acompanha a conta (o visitante que cria conta deixa de ser "Visitante")
+    const familyMemberName = familySpace?.members?.[userId]?.name;
+    const accountLabel = account ? getAccountLabel(account) : '';
+    useEffect(() => {
+        if (!db || !familySpaceId || !familyMemberName || !accountLabel || familyMemberName === accountLabel) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        updateDoc(doc(db, getSpacePath(appId, familySpaceId)), { [`members.${userId}.name`]: accountLabel })
+            .catch((error) => console.error("Erro ao atualizar o nome no espaço da família:", error));
+    }, [db, familySpaceId, userId, familyMemberName, accountLabel]);
+
+    // Modo surpresa: na contagem regressiva o relógio anda a cada segundo; quando a hora chega,
+    // a apresentação abre sozinha (uma vez por revelação, neste navegador)
+    const revealPhase = getRevealPhase(revealSettings, now);
+    const revealAtMs = revealSettings?.revealAt?.toMillis() ?? null;
+    useEffect(() => {
+        if (currentPage !== 'home' || revealPhase !== 'countdown') return;
+        const refresh = () => setNow(Date.now());
+        refresh(); // O valor pode estar parado desde a última vez que a página foi aberta
+        const interval = setInterval(refresh, 1000);
+        return () => clearInterval(interval);
+    }, [currentPage, revealPhase]);
+
+    useEffect(() => {
+        if (currentPage === 'home' && revealPhase === 'reveal' && !hasSeenReveal(revealAtMs)) setShowReveal(true);
+    }, [currentPage, revealPhase, revealAtMs]);
+
+    // Carrega a agenda do provedor de jogos configurado (usa o cache se for recente;
+    // "Atualizar" incrementa `scheduleReload` e ignora o cache)
+    useEffect(() => {
+        const provider = createConfiguredFixtureProvider();
+        if (!provider) {
+            setScheduleStatus('ready'); // Só a coleção compartilhada
+            return;
         }
-    }, [startDate]);
+        let cancelled = false;
+        setScheduleStatus('loading');
+        loadFixtures(provider, { force: scheduleReload > 0 }).then(({ fixtures, savedAt, error }) => {
+            if (cancelled) return;
+            setFileFixtures(fixtures);
+            setScheduleUpdatedAt(savedAt);
+            setScheduleError(error ? error.message : null);
+            setScheduleStatus('ready');
+            if (error) console.error("Erro ao atualizar agenda de jogos (usando cache):", error);
+        }).catch((error) => {
+            if (cancelled) return;
+            console.error("Erro ao carregar agenda de jogos:", error);
+            setScheduleError(error.message);
+            setScheduleStatus('error');
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [scheduleReload]);
 
-    // Simulação de carregamento da agenda de jogos
+    // Acompanha a coleção compartilhada de jogos (editada pelo editor da agenda)
     useEffect(() => {
-        // Esta função simula uma chamada de API para buscar a agenda de jogos.
-        // Em um ambiente real, você faria uma requisição HTTP para uma API externa.
-        const fetchGameSchedule = () => {
-            const today = new Date();
-            const nextWeek = new Date(today);
-            nextWeek.setDate(today.getDate() + 7);
-
-            const games = [
-                {
-                    id: 1,
-                    date: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 2).toISOString().split('T')[0], // Daqui a 2 dias
-                    time: '19:00',
-                    opponent: 'Cruzeiro',
-                    location: 'Mineirão',
-                    competition: 'Campeonato Brasileiro'
-                },
-                {
-                    id: 2,
-                    date: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 5).toISOString().split('T')[0], // Daqui a 5 dias
-                    time: '21:30',
-                    opponent: 'Flamengo',
-                    location: 'Maracanã',
-                    competition: 'Copa do Brasil'
-                },
-                {
-                    id: 3,
-                    date: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 10).toISOString().split('T')[0], // Daqui a 10 dias
-                    time: '16:00',
-                    opponent: 'Grêmio',
-                    location: 'Arena MRV',
-                    competition: 'Campeonato Brasileiro'
-                }
-            ];
-            setGameSchedule(games);
+        if (!isAuthReady || !db) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        return subscribeToSharedFixtures(db, appId, (fixtures) => {
+            setSharedFixtures(fixtures);
+            setSharedFixturesLoaded(true);
+        }, (error) => {
+            console.error("Erro ao carregar jogos compartilhados:", error);
+            setSharedFixturesLoaded(true);
+        });
+    }, [isAuthReady, db]);
+
+    // Entrega os lembretes ao service worker e avisa o worker na hora de cada um.
+    // Só roda com permissão de notificação; sem inscrições, a lista vazia limpa o worker.
+    useEffect(() => {
+        if (!areRemindersSupported() || Notification.permission !== 'granted') return;
+        const reminders = buildReminders(matchReminders, mergeFixtures(fileFixtures, sharedFixtures));
+        let timer = null;
+        const scheduleNextCheck = () => {
+            const delay = nextReminderDelay(reminders);
+            if (delay === null) return;
+            timer = setTimeout(() => {
+                checkReminders().catch((error) => console.error("Erro ao conferir lembretes:", error));
+                scheduleNextCheck();
+            }, Math.min(delay + 1000, REMINDER_TIMER_MAX_MS));
         };
+        // Ao voltar para a aba (ex.: computador acordou), confere os lembretes que venceram no meio tempo
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                checkReminders().catch((error) => console.error("Erro ao conferir lembretes:", error));
+            }
+        };
+        registerReminderWorker()
+            .then(() => syncReminders(reminders))
+            .catch((error) => console.error("Erro ao configurar lembretes de jogos:", error));
+        scheduleNextCheck();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            clearTimeout(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [matchReminders, fileFixtures, sharedFixtures]);
 
-        fetchGameSchedule();
-        // Você pode adicionar um setInterval para atualizar a cada X tempo em um app real
-        // const interval = setInterval(fetchGameSchedule, 3600000); // Atualiza a cada hora
-        // return () => clearInterval(interval);
-    }, []);
+    // Agenda exibida: arquivo + coleção compartilhada (que tem prioridade)
+    const gameSchedule = mergeFixtures(fileFixtures, sharedFixtures);
+    const canEditFixtures = !!userId && FIXTURE_EDITOR_UIDS.includes(userId);
+
+    // Jogos encerrados: placar oficial da agenda ou, na falta dele, o registrado pelo usuário
+    const scheduledScores = gameSchedule.filter((fixture) => getMatchOutcome(fixture));
+    const scheduledScoreKeys = new Set(scheduledScores.map(getGameKey));
+    const finishedMatches = [
+        ...scheduledScores.map((fixture) => ({ ...fixture, personal: false })),
+        ...gameResults.filter((result) => !scheduledScoreKeys.has(result.id)).map((result) => ({ ...result, personal: true }))
+    ].sort((x, y) => getKickoff(y) - getKickoff(x));
 
     // Função para exibir mensagens na tela (substitui alert)
     const showAppMessage = (message) => {
@@ -272,152 +963,454 @@ const App = () => {
         }, 3000); // Notificação desaparece após 3 segundos
     };
 
-    // Dados dos jogadores do Atlético-MG e Júlia Ayla
-    const players = [
-        {
-            name: "Hulk",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Hulk",
-            message: "Parabéns, Dr. Emanuel! Que sua força e paixão sejam tão grandes quanto as minhas em campo. Não há limites para quem acredita e batalha pelos seus sonhos. Siga em frente com determinação!"
-        },
-        {
-            name: "Rubens",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Rubens",
-            message: "Feliz aniversário, Dr. Emanuel! Que a sua juventude e energia te impulsionem a conquistar cada vez mais. O futuro é seu, acredite e vá em frente!"
-        },
-        {
-            name: "Everson",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Everson",
-            message: "Parabéns, Dr. Emanuel! Que a sua segurança e a sua capacidade de defender seus ideais sejam sempre inabaláveis, assim como minhas defesas. Mantenha o foco!"
-        },
-        {
-            name: "Rony",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Rony",
-            message: "Feliz aniversário, Dr. Emanuel! Que a sua velocidade e agilidade para superar desafios te levem a grandes vitórias. Corra atrás dos seus sonhos!"
-        },
-        {
-            name: "Lyanco",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Lyanco",
-            message: "Parabéns, Dr. Emanuel! Que a sua solidez e determinação sejam a base para todas as suas conquistas. Construa um futuro brilhante!"
-        },
-        {
-            name: "Júlia Ayla",
-            image: "https://placehold.co/100x100/FFC0CB/000000?text=Júlia+Ayla", // Cor de rosa para a princesa
-            message: "Eu te amo muito, meu amor!"
-        },
-        {
-            name: "Scarpa",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Scarpa",
-            message: "Feliz aniversário, Dr. Emanuel! Que a sua criatividade e o seu talento para inovar te abram muitos caminhos. Ouse sonhar grande!"
-        },
-        {
-            name: "Saraiva",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Saraiva",
-            message: "Parabéns, Dr. Emanuel! Que a sua visão de jogo e a sua capacidade de criar oportunidades te guiem para o sucesso. Enxergue além!"
-        },
-        {
-            name: "Paulinho",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Paulinho",
-            message: "Feliz aniversário, Dr. Emanuel! Que a sua estrela brilhe cada vez mais, e que você continue marcando gols na vida. Siga seu caminho com luz!"
-        },
-        {
-            name: "Zaracho",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Zaracho",
-            message: "Parabéns, Dr. Emanuel! Que a sua versatilidade e a sua paixão pelo que faz te levem a alcançar todos os seus objetivos. Seja completo!"
-        },
-        {
-            name: "Deyverson",
-            image: "https://placehold.co/100x100/000000/FFFFFF?text=Deyverson",
-            message: "Feliz aniversário, Dr. Emanuel! Que a sua alegria e o seu espírito guerreiro te inspirem a celebrar cada momento e a lutar por cada vitória. Viva intensamente!"
-        }
+    // Função para pedir confirmação antes de ações destrutivas (substitui confirm)
+    const showConfirm = (message, onConfirm, confirmLabel = 'Confirmar') => {
+        setConfirmDialog({ message, onConfirm, confirmLabel });
+    };
+
+    // Exibe uma barra com a opção de desfazer a última ação por alguns segundos
+    const showUndoAction = (message, undo) => {
+        clearTimeout(undoTimeoutRef.current);
+        setUndoAction({ message, undo });
+        undoTimeoutRef.current = setTimeout(() => setUndoAction(null), 6000); // Janela de 6 segundos para desfazer
+    };
+
+    const runUndoAction = async () => {
+        if (!undoAction) return;
+        clearTimeout(undoTimeoutRef.current);
+        const { undo } = undoAction;
+        setUndoAction(null);
+        await undo();
+    };
+
+    // Adesivos disponíveis no Estúdio Criativo: escudo, estrela, bola e os avatares dos jogadores
+    const stickers = [
+        { id: 'escudo', label: 'Escudo', preview: galoCrestUrl, content: { image: galoCrestUrl } },
+        { id: 'estrela', label: 'Estrela', emoji: '⭐', content: { emoji: '⭐' } },
+        { id: 'bola', label: 'Bola', emoji: '⚽', content: { emoji: '⚽' } },
+        ...SEED_TRIBUTES.map((player) => ({ id: `jogador-${player.name}`, label: player.name, preview: player.imageUrl, content: { image: player.imageUrl } }))
+    ];
+
+    // Ferramentas da barra do canvas
+    const drawingTools = [
+        { id: 'pen', label: 'Pincel', icon: '✏️' },
+        { id: 'eraser', label: 'Borracha', icon: '🧽' },
+        { id: 'line', label: 'Linha', icon: '📏' },
+        { id: 'rect', label: 'Retângulo', icon: '▭' },
+        { id: 'ellipse', label: 'Elipse', icon: '◯' },
+        { id: 'fill', label: 'Balde', icon: '🪣' },
+        { id: 'text', label: 'Texto', icon: '🔤' },
+        { id: 'sticker', label: 'Adesivos', icon: '⭐' }
     ];
 
-    // Funções para o modal de jogadores
-    const openPlayerModal = (player) => {
-        setSelectedPlayer(player);
-        setShowPlayerModal(true);
+    // Navegação: muda o endereço (novo item no histórico ou, com `replace`, no lugar do atual) e a página
+    const navigate = (page, params = {}, { replace = false } = {}) => {
+        const path = buildPath(page, params);
+        if (replace) {
+            window.history.replaceState(window.history.state, '', path);
+        } else if (path !== window.location.pathname || window.location.search) {
+            window.history.pushState({ openedInApp: true }, '', path);
+            if (page !== currentPage) window.scrollTo(0, 0);
+        }
+        setRoute({ page, params });
+    };
+
+    // Fecha um item aberto pelo endereço (foto, mensagem): volta no histórico se ele foi aberto
+    // dentro do site; se chegou por um link, troca o endereço pelo da página
+    const closeRouteItem = () => {
+        if (window.history.state?.openedInApp) window.history.back();
+        else navigate(currentPage, {}, { replace: true });
     };
 
-    const closePlayerModal = () => {
-        setShowPlayerModal(false);
-        setSelectedPlayer(null);
+    // Botões Voltar/Avançar do navegador
+    useEffect(() => {
+        const handlePopState = () => setRoute(parseRoute(window.location));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // Título da aba de acordo com a página
+    useEffect(() => {
+        const pageTitle = getPageTitle(currentPage);
+        document.title = pageTitle ? `${pageTitle} | Dr. Emanuel's Wonderland` : "Dr. Emanuel's Wonderland";
+    }, [currentPage]);
+
+    // Link para uma carta (/estudio/cartas/:id): rola até ela quando a lista carregar
+    const linkedLetterId = route.params.letterId;
+    const linkedLetterLoaded = letters.some((letter) => letter.id === linkedLetterId);
+    useEffect(() => {
+        if (!linkedLetterId || !linkedLetterLoaded) return;
+        document.getElementById(`carta-${linkedLetterId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [linkedLetterId, linkedLetterLoaded]);
+
+    // Copia um endereço do site para mandar a alguém
+    const copyLink = async (url) => {
+        try {
+            await navigator.clipboard.writeText(url);
+            showTemporaryNotification("Link copiado!");
+        } catch (error) {
+            showAppMessage(`Copie o link: ${url}`);
+        }
     };
 
+    // Funções para o modal de jogadores (a mensagem aberta fica no endereço: /jogadores/:nome)
+    const openPlayerModal = (player) => navigate('home', { player: getTributeSlug(player) });
+
+    const closePlayerModal = closeRouteItem;
+
+    // Camada ativa resolvida (se a escolhida deixou de existir, usa a do topo)
+    const drawingLayers = drawingHistory.present.layers;
+    const activeLayer = drawingLayers.find((layer) => layer.id === activeLayerId) || drawingLayers[drawingLayers.length - 1];
+
     // Funções para o Estúdio Criativo (Desenhos)
     useEffect(() => {
         const canvas = canvasRef.current;
         if (!canvas) return;
 
-        const ctx = canvas.getContext('2d');
-        let isDrawing = false;
-        let isErasing = false;
+        const documentData = drawingHistory.present;
+        // Os traços vão para o canvas da camada ativa; o canvas visível só mostra a composição
+        const layerCanvas = getLayerCanvas(layerCanvasesRef.current, activeLayer.id, canvas.width, canvas.height);
+        const ctx = getContext(layerCanvas);
+        let activePointerId = null; // Só um ponteiro desenha por vez
+        let currentStroke = null; // Traço ou forma em andamento
+        let shapeBase = null; // Imagem da camada antes da forma, para a pré-visualização
+        let stickerDrag = null; // { mode: 'move' | 'resize', offsetX, offsetY }
 
-        const startDrawing = (e) => {
-            isDrawing = true;
-            isErasing = (drawingColor === 'eraser'); // Verifica se o modo é borracha
-            ctx.beginPath();
-            draw(e);
+        // Converte a posição do ponteiro para coordenadas lógicas, descontando a borda
+        // e a escala do CSS (o canvas é exibido menor que o tamanho lógico em telas estreitas)
+        const getPoint = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left - canvas.clientLeft) * (CANVAS_WIDTH / canvas.clientWidth);
+            const y = (e.clientY - rect.top - canvas.clientTop) * (CANVAS_HEIGHT / canvas.clientHeight);
+            return roundPoint(x, y, e.pointerType === 'pen' ? e.pressure : undefined);
         };
 
-        const stopDrawing = () => {
-            isDrawing = false;
-            ctx.beginPath();
+        const setPending = (sticker) => {
+            pendingStickerRef.current = sticker;
+            setPendingSticker(sticker);
         };
 
-        const draw = (e) => {
-            if (!isDrawing) return;
+        const composite = () => compositeLayers(canvas, documentData, layerCanvasesRef.current);
 
-            const rect = canvas.getBoundingClientRect();
-            const x = (e.clientX || e.touches[0].clientX) - rect.left;
-            const y = (e.clientY || e.touches[0].clientY) - rect.top;
+        const commitElement = (element) => {
+            // O elemento concluído entra no histórico e o canvas é redesenhado a partir da lista
+            setDrawingHistory((history) => pushHistory(history, addElementToLayer(history.present, activeLayer.id, element)));
+        };
 
-            ctx.lineWidth = drawingSize;
-            ctx.lineCap = 'round';
+        const startSticker = (point) => {
+            const pending = pendingStickerRef.current;
+            if (pending) {
+                const { left, top, right, bottom } = stickerBounds(pending);
+                const onHandle = Math.abs(point.x - right) <= STICKER_HANDLE_SIZE && Math.abs(point.y - bottom) <= STICKER_HANDLE_SIZE;
+                const inside = point.x >= left && point.x <= right && point.y >= top && point.y <= bottom;
+                if (onHandle) {
+                    stickerDrag = { mode: 'resize' };
+                } else if (inside) {
+                    stickerDrag = { mode: 'move', offsetX: point.x - pending.x, offsetY: point.y - pending.y };
+                } else {
+                    // Clicar fora do adesivo o reposiciona no ponto clicado
+                    setPending({ ...pending, x: point.x, y: point.y });
+                    stickerDrag = { mode: 'move', offsetX: 0, offsetY: 0 };
+                }
+            } else if (selectedSticker) {
+                setPending({ type: 'sticker', ...selectedSticker.content, x: point.x, y: point.y, size: 80 });
+                stickerDrag = { mode: 'move', offsetX: 0, offsetY: 0 };
+            }
+        };
 
-            if (isErasing) {
-                ctx.strokeStyle = '#FFFFFF'; // Cor da borracha (fundo do canvas)
-                ctx.globalCompositeOperation = 'destination-out'; // Modo de apagar
+        const moveSticker = (point) => {
+            const pending = pendingStickerRef.current;
+            if (!pending) return;
+            if (stickerDrag.mode === 'resize') {
+                const half = Math.max(Math.abs(point.x - pending.x), Math.abs(point.y - pending.y));
+                setPending({ ...pending, size: Math.max(20, Math.round(half * 2)) });
             } else {
-                ctx.strokeStyle = drawingColor;
-                ctx.globalCompositeOperation = 'source-over'; // Modo de desenho normal
+                setPending({ ...pending, x: point.x - stickerDrag.offsetX, y: point.y - stickerDrag.offsetY });
+            }
+        };
+
+        // Descarta o traço em andamento, redesenhando a camada a partir dos dados salvos
+        const cancelStroke = () => {
+            currentStroke = null;
+            shapeBase = null;
+            stickerDrag = null;
+            activePointerId = null;
+            renderStrokes(layerCanvas, activeLayer.strokes);
+            composite();
+        };
+
+        // Rejeição de palma: com uma caneta em uso, toques são ignorados; toques com
+        // área de contato grande também
+        const isRejectedTouch = (e) => (
+            palmRejection && e.pointerType === 'touch' && (penDetectedRef.current || e.width > 40 || e.height > 40)
+        );
+
+        const startDrawing = (e) => {
+            if (e.pointerType === 'pen') penDetectedRef.current = true;
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            if (activePointerId !== null) {
+                // Um segundo dedo durante o traço costuma ser a palma ou um gesto: cancela o traço
+                if (palmRejection && e.pointerType === 'touch' && currentStroke) cancelStroke();
+                return;
+            }
+            if (isRejectedTouch(e)) return;
+            if (!activeLayer.visible && drawingTool !== 'sticker') {
+                showTemporaryNotification("A camada ativa está oculta. Mostre-a para desenhar.");
+                return;
+            }
+            e.preventDefault();
+            activePointerId = e.pointerId;
+            canvas.setPointerCapture(e.pointerId);
+            const point = getPoint(e);
+            switch (drawingTool) {
+                case 'line':
+                case 'rect':
+                case 'ellipse':
+                    shapeBase = ctx.getImageData(0, 0, layerCanvas.width, layerCanvas.height);
+                    currentStroke = { type: drawingTool, color: drawingColor, size: drawingSize, start: point, end: point };
+                    break;
+                case 'fill':
+                    commitElement({ type: 'fill', color: drawingColor, x: point.x, y: point.y });
+                    break;
+                case 'text':
+                    if (textValue.trim()) {
+                        commitElement({ type: 'text', color: drawingColor, fontSize: textSize, text: textValue, x: point.x, y: point.y });
+                    }
+                    break;
+                case 'sticker':
+                    startSticker(point);
+                    break;
+                default:
+                    currentStroke = createStroke({
+                        color: drawingColor,
+                        size: drawingSize,
+                        eraser: drawingTool === 'eraser' // Verifica se o modo é borracha
+                    });
+                    currentStroke.points.push(point);
+            }
+        };
+
+        const stopDrawing = (e) => {
+            if (e.pointerId !== activePointerId) return;
+            activePointerId = null;
+            stickerDrag = null;
+            if (!currentStroke) return;
+            const finishedStroke = currentStroke;
+            currentStroke = null;
+            shapeBase = null;
+            if (finishedStroke.type === 'stroke') {
+                if (finishedStroke.points.length > 0) commitElement(finishedStroke);
+            } else if (finishedStroke.start.x !== finishedStroke.end.x || finishedStroke.start.y !== finishedStroke.end.y) {
+                commitElement(finishedStroke);
+            }
+        };
+
+        const draw = (e) => {
+            if (e.pointerId !== activePointerId) return;
+            if (stickerDrag) {
+                moveSticker(getPoint(e));
+                return;
             }
+            if (!currentStroke) return;
 
-            ctx.lineTo(x, y);
-            ctx.stroke();
-            ctx.beginPath();
-            ctx.moveTo(x, y);
+            if (currentStroke.type === 'stroke') {
+                // Eventos agrupados pelo navegador entre dois quadros deixam a curva mais fiel
+                const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+                (events.length > 0 ? events : [e]).forEach((event) => {
+                    currentStroke.points.push(getPoint(event));
+                    drawStrokeTail(ctx, currentStroke);
+                });
+                composite();
+                return;
+            }
+            // Pré-visualização da forma: restaura a camada e desenha a forma até o ponto atual
+            currentStroke.end = getPoint(e);
+            ctx.putImageData(shapeBase, 0, 0);
+            drawStroke(ctx, currentStroke);
+            composite();
         };
 
-        // Event listeners para mouse
-        canvas.addEventListener('mousedown', startDrawing);
-        canvas.addEventListener('mouseup', stopDrawing);
-        canvas.addEventListener('mouseout', stopDrawing);
-        canvas.addEventListener('mousemove', draw);
+        const handlePointerCancel = (e) => {
+            if (e.pointerId === activePointerId) cancelStroke();
+        };
 
-        // Event listeners para toque
-        canvas.addEventListener('touchstart', startDrawing);
-        canvas.addEventListener('touchend', stopDrawing);
-        canvas.addEventListener('touchcancel', stopDrawing);
-        canvas.addEventListener('touchmove', draw);
+        // Pointer Events cobrem mouse, toque e caneta com a mesma API
+        canvas.addEventListener('pointerdown', startDrawing);
+        canvas.addEventListener('pointermove', draw);
+        canvas.addEventListener('pointerup', stopDrawing);
+        canvas.addEventListener('pointercancel', handlePointerCancel);
 
         return () => {
-            canvas.removeEventListener('mousedown', startDrawing);
-            canvas.removeEventListener('mouseup', stopDrawing);
-            canvas.removeEventListener('mouseout', stopDrawing);
-            canvas.removeEventListener('mousemove', draw);
-            canvas.removeEventListener('touchstart', startDrawing);
-            canvas.removeEventListener('touchend', stopDrawing);
-            canvas.removeEventListener('touchcancel', stopDrawing);
-            canvas.removeEventListener('touchmove', draw);
+            canvas.removeEventListener('pointerdown', startDrawing);
+            canvas.removeEventListener('pointermove', draw);
+            canvas.removeEventListener('pointerup', stopDrawing);
+            canvas.removeEventListener('pointercancel', handlePointerCancel);
         };
-    }, [drawingColor, drawingSize]);
+    }, [drawingTool, drawingColor, drawingSize, textValue, textSize, selectedSticker, palmRejection, drawingHistory, activeLayer, pixelRatio, currentPage]);
 
-    // Limpar o canvas
-    const clearCanvas = () => {
+    // Acompanha mudanças de densidade de pixels (zoom do navegador ou troca de monitor)
+    useEffect(() => {
+        const updatePixelRatio = () => setPixelRatio(Math.min(window.devicePixelRatio || 1, 3));
+        const mediaQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        mediaQuery.addEventListener('change', updatePixelRatio);
+        return () => mediaQuery.removeEventListener('change', updatePixelRatio);
+    }, [pixelRatio]);
+
+    // Redesenha camadas e composição sempre que o documento mudar (ou o canvas for montado de novo)
+    useEffect(() => {
         const canvas = canvasRef.current;
-        if (canvas) {
-            const ctx = canvas.getContext('2d');
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!canvas) return;
+
+        const documentData = drawingHistory.present;
+        const layerCanvases = layerCanvasesRef.current;
+        // Descarta canvases de camadas que não existem mais
+        Object.keys(layerCanvases).forEach((layerId) => {
+            if (!documentData.layers.some((layer) => layer.id === layerId)) delete layerCanvases[layerId];
+        });
+
+        const redraw = () => {
+            documentData.layers.forEach((layer) => {
+                renderStrokes(getLayerCanvas(layerCanvases, layer.id, canvas.width, canvas.height), layer.strokes, redraw);
+            });
+            compositeLayers(canvas, documentData, layerCanvases, redraw);
+            if (pendingSticker) {
+                // O adesivo ainda não aplicado aparece por cima, com contorno para mover/redimensionar
+                const ctx = getContext(canvas);
+                drawStroke(ctx, pendingSticker, redraw);
+                drawStickerSelection(ctx, pendingSticker);
+            }
+        };
+        redraw();
+    }, [drawingHistory, pendingSticker, pixelRatio, currentPage]);
+
+    // Mantém o ref do adesivo pendente em sincronia com o estado (lido pelos listeners do canvas)
+    const updatePendingSticker = (sticker) => {
+        pendingStickerRef.current = sticker;
+        setPendingSticker(sticker);
+    };
+
+    // Aplica o adesivo pendente ao desenho, na camada ativa
+    const applyPendingSticker = () => {
+        const pending = pendingStickerRef.current;
+        if (!pending) return;
+        updatePendingSticker(null);
+        setDrawingHistory((history) => pushHistory(history, addElementToLayer(history.present, activeLayer.id, pending)));
+    };
+
+    // Troca a ferramenta ativa; um adesivo pendente é aplicado antes de sair da ferramenta
+    const selectDrawingTool = (tool) => {
+        if (tool !== 'sticker') {
+            applyPendingSticker();
+        }
+        setDrawingTool(tool);
+    };
+
+    // Desfazer/refazer o último traço
+    const undoDrawing = () => setDrawingHistory((history) => undoHistory(history));
+    const redoDrawing = () => setDrawingHistory((history) => redoHistory(history));
+
+    // Atalhos de teclado: Ctrl+Z desfaz, Ctrl+Shift+Z (ou Ctrl+Y) refaz,
+    // Enter aplica e Esc descarta o adesivo pendente
+    useEffect(() => {
+        if (currentPage !== 'creativeStudio') return;
+
+        const handleKeyDown = (e) => {
+            // Não interfere nos atalhos nativos dos campos de texto
+            const tag = e.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || e.target.isContentEditable) return;
+
+            const pending = pendingStickerRef.current;
+            if (pending && (e.key === 'Enter' || e.key === 'Escape')) {
+                e.preventDefault();
+                pendingStickerRef.current = null;
+                setPendingSticker(null);
+                if (e.key === 'Enter') {
+                    setDrawingHistory((history) => pushHistory(history, addElementToLayer(history.present, activeLayer.id, pending)));
+                }
+                return;
+            }
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                setDrawingHistory((history) => undoHistory(history));
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                setDrawingHistory((history) => redoHistory(history));
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [currentPage, activeLayer.id]);
+
+    // Limpar todas as camadas de desenho, mantendo o fundo (pode ser desfeito)
+    const clearCanvas = () => {
+        setDrawingHistory((history) => (hasStrokes(history.present) ? pushHistory(history, {
+            ...history.present,
+            layers: history.present.layers.map((layer) => ({ ...layer, strokes: [] }))
+        }) : history));
+    };
+
+    // Funções de camadas: todas passam pelo histórico, então podem ser desfeitas
+    const toggleLayerVisibility = (layerId) => {
+        setDrawingHistory((history) => pushHistory(history, updateLayer(history.present, layerId, (layer) => ({ visible: !layer.visible }))));
+    };
+
+    const moveDrawingLayer = (layerId, direction) => {
+        setDrawingHistory((history) => pushHistory(history, moveLayer(history.present, layerId, direction)));
+    };
+
+    const addDrawingLayer = () => {
+        if (drawingLayers.length >= MAX_LAYERS) {
+            showTemporaryNotification(`Limite de ${MAX_LAYERS} camadas atingido.`);
+            return;
+        }
+        const layer = createLayer(`Camada ${drawingLayers.length + 1}`);
+        setDrawingHistory((history) => pushHistory(history, { ...history.present, layers: [...history.present.layers, layer] }));
+        setActiveLayerId(layer.id);
+    };
+
+    const removeDrawingLayer = (layerId) => {
+        if (drawingLayers.length <= 1) return;
+        setDrawingHistory((history) => pushHistory(history, {
+            ...history.present,
+            layers: history.present.layers.filter((layer) => layer.id !== layerId)
+        }));
+    };
+
+    // Funções do fundo do desenho (cor sólida, foto da galeria ou imagem enviada)
+    const setDrawingBackground = (background) => {
+        setDrawingHistory((history) => pushHistory(history, { ...history.present, background }));
+    };
+
+    const setBackgroundImage = async (src) => {
+        try {
+            const backgroundSrc = await loadImageAsBackground(src, CANVAS_WIDTH, CANVAS_HEIGHT);
+            setDrawingBackground({ type: 'image', src: backgroundSrc, color: drawingHistory.present.background.color });
+        } catch (error) {
+            console.error("Erro ao carregar imagem de fundo:", error);
+            showAppMessage("Erro ao carregar a imagem de fundo. Tente outra imagem.");
+        }
+    };
+
+    const handleBackgroundUpload = (event) => {
+        const file = event.target.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onloadend = () => setBackgroundImage(reader.result);
+            reader.readAsDataURL(file);
         }
+        event.target.value = ''; // Permite escolher o mesmo arquivo de novo
+    };
+
+    // Começa um desenho novo, saindo do modo de edição
+    const startNewDrawing = () => {
+        updatePendingSticker(null);
+        setEditingDrawingId(null);
+        setActiveLayerId(null);
+        setDrawingHistory(createHistory());
     };
 
     // Salvar desenho no Firestore
@@ -429,151 +1422,1768 @@ const App = () => {
         const canvas = canvasRef.current;
         if (canvas) {
             try {
-                const dataUrl = canvas.toDataURL('image/png');
+                // Um adesivo ainda pendente entra no desenho salvo, sem o contorno de seleção
+                const documentData = pendingSticker ? addElementToLayer(drawingHistory.present, activeLayer.id, pendingSticker) : drawingHistory.present;
+                // O PNG salvo é a composição achatada do fundo com as camadas visíveis, em 1x
+                const dataUrl = flattenDrawing(documentData).toDataURL('image/png');
                 const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
-                await addDoc(collection(db, `artifacts/${appId}/users/${userId}/drawings`), {
+                const drawingData = {
                     dataUrl: dataUrl,
-                    createdAt: serverTimestamp()
-                });
-                showAppMessage("Desenho salvo com sucesso!");
-                clearCanvas(); // Limpa o canvas após salvar
-            } catch (error) {
-                console.error("Erro ao salvar desenho:", error);
-                showAppMessage("Erro ao salvar o desenho. Tente novamente.");
+                    background: documentData.background,
+                    layers: documentData.layers, // Camadas com seus traços, para reabrir e editar depois
+                    width: CANVAS_WIDTH,
+                    height: CANVAS_HEIGHT
+                };
+                if (estimateFirestoreDocumentSize(drawingData) > FIRESTORE_DOCUMENT_MAX_BYTES) {
+                    showAppMessage("O desenho ficou grande demais para salvar (a imagem de fundo e os traços passam de 1 MB). Troque o fundo por uma cor ou apague alguns traços e tente de novo.");
+                    return;
+                }
+                if (editingDrawingId) {
+                    // Atualiza o mesmo documento ao salvar um desenho reaberto
+                    await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/drawings/${editingDrawingId}`), {
+                        ...drawingData,
+                        updatedAt: serverTimestamp()
+                    });
+                    showAppMessage("Desenho atualizado com sucesso!");
+                } else {
+                    await addDoc(collection(db, `artifacts/${appId}/users/${userId}/drawings`), {
+                        ...drawingData,
+                        createdAt: serverTimestamp()
+                    });
+                    showAppMessage("Desenho salvo com sucesso!");
+                }
+                startNewDrawing(); // Começa um novo desenho após salvar
+            } catch (error) {
+                console.error("Erro ao salvar desenho:", error);
+                showAppMessage("Erro ao salvar o desenho. Tente novamente.");
+            }
+        }
+    };
+
+    // Reabre um desenho salvo no canvas para continuar editando
+    const editDrawing = (drawing) => {
+        if (!drawing.strokes && !drawing.layers) {
+            showAppMessage("Este desenho foi salvo antes do histórico de traços e não pode ser editado.");
+            return;
+        }
+        const openDrawing = () => {
+            updatePendingSticker(null);
+            setEditingDrawingId(drawing.id);
+            setActiveLayerId(null);
+            setDrawingHistory(createHistory(drawingDocumentFromSaved(drawing)));
+        };
+        if (hasStrokes(drawingHistory.present) && editingDrawingId !== drawing.id) {
+            showConfirm("O desenho atual não salvo será descartado. Deseja continuar?", openDrawing, 'Descartar');
+        } else {
+            openDrawing();
+        }
+    };
+
+    // Cria uma cópia de um desenho salvo
+    const duplicateDrawing = async (drawing) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const { id, createdAt, updatedAt, ...drawingData } = drawing;
+            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/drawings`), {
+                ...drawingData,
+                createdAt: serverTimestamp()
+            });
+            showTemporaryNotification("Desenho duplicado!");
+        } catch (error) {
+            console.error("Erro ao duplicar desenho:", error);
+            showAppMessage("Erro ao duplicar o desenho. Tente novamente.");
+        }
+    };
+
+    // Exclui um desenho salvo, com confirmação e opção de desfazer
+    const deleteDrawing = (drawing) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm("Tem certeza que deseja excluir este desenho?", async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const drawingRef = doc(db, `artifacts/${appId}/users/${userId}/drawings/${drawing.id}`);
+            const { id, ...drawingData } = drawing;
+            try {
+                await deleteDoc(drawingRef);
+                if (editingDrawingId === drawing.id) {
+                    setEditingDrawingId(null); // O canvas continua com os traços, mas como desenho novo
+                }
+                // Recria o documento com o mesmo ID caso a exclusão seja desfeita
+                showUndoAction("Desenho excluído.", async () => {
+                    try {
+                        await setDoc(drawingRef, drawingData);
+                    } catch (error) {
+                        console.error("Erro ao restaurar desenho:", error);
+                        showAppMessage("Erro ao restaurar o desenho. Tente novamente.");
+                    }
+                });
+            } catch (error) {
+                console.error("Erro ao excluir desenho:", error);
+                showAppMessage("Erro ao excluir o desenho. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    // Mantém o editor de cartas (contentEditable, não controlado) em sincronia quando o
+    // conteúdo muda por fora da digitação: ao montar a página, restaurar rascunho ou abrir uma carta
+    useEffect(() => {
+        const editor = letterEditorRef.current;
+        if (editor && editor.innerHTML !== letterContent) {
+            editor.innerHTML = letterContent;
+        }
+    }, [letterContent, currentPage]);
+
+    // Salvamento automático do rascunho: imediato no navegador e, após uma pausa na digitação, no Firestore
+    useEffect(() => {
+        const isEmpty = !letterTitle.trim() && !htmlToPlainText(letterContent) && !editingLetterId;
+        const draft = {
+            title: letterTitle,
+            recipient: letterRecipient,
+            contentHtml: letterContent,
+            letterId: editingLetterId,
+            unlockAt: letterUnlockAt,
+            updatedAtMs: Date.now()
+        };
+        if (isEmpty) {
+            localStorage.removeItem(LETTER_DRAFT_STORAGE_KEY);
+        } else {
+            localStorage.setItem(LETTER_DRAFT_STORAGE_KEY, JSON.stringify(draft));
+        }
+
+        if (!letterDirtyRef.current || !userId || !db) return;
+        setLetterDraftStatus('saving');
+        const timeout = setTimeout(async () => {
+            try {
+                const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+                const draftRef = doc(db, `artifacts/${appId}/users/${userId}/letterDrafts/current`);
+                if (isEmpty) {
+                    await deleteDoc(draftRef);
+                } else {
+                    await setDoc(draftRef, { ...draft, contentHtml: sanitizeLetterHtml(letterContent), updatedAt: serverTimestamp() });
+                }
+                setLetterDraftStatus('saved');
+            } catch (error) {
+                console.error("Erro ao salvar rascunho de carta:", error);
+                setLetterDraftStatus('error');
+            }
+        }, 1500); // Espera uma pausa na digitação
+        return () => clearTimeout(timeout);
+    }, [letterTitle, letterRecipient, letterContent, letterUnlockAt, editingLetterId, userId, db]);
+
+    // Atualiza o relógio a cada segundo enquanto houver cartas lacradas na tela
+    const hasSealedLetters = letters.some((letter) => isLetterSealed(letter, now));
+    useEffect(() => {
+        if (currentPage !== 'creativeStudio' || !hasSealedLetters) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [currentPage, hasSealedLetters]);
+
+    // No contador de dias, o relógio só precisa virar à meia-noite (a chave do dia refaz o agendamento
+    // depois de cada virada); as contagens regressivas dos marcos futuros andam sozinhas (<Countdown>)
+    const todayKey = toDayKey(new Date(now));
+    useEffect(() => {
+        if (currentPage !== 'daysCounter') return;
+        const refresh = () => setNow(Date.now());
+        refresh(); // O valor pode estar parado desde a última vez que a página foi aberta
+        const timer = setTimeout(refresh, msUntilNextMidnight(new Date()) + 1000);
+        // Abas em segundo plano atrasam os timers; ao voltar, recalcula na hora
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') refresh();
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            clearTimeout(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [currentPage, todayKey]);
+
+    // Cartas que acabaram de abrir ganham a animação uma única vez; `openedAt` registra isso no Firestore
+    useEffect(() => {
+        if (currentPage !== 'creativeStudio' || !userId || !db) return;
+        const justOpened = letters.filter((letter) => letter.unlockAt && !letter.openedAt && !isLetterSealed(letter, now));
+        if (justOpened.length === 0) return;
+        const timeout = setTimeout(() => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            justOpened.forEach((letter) => {
+                updateDoc(doc(db, `${getContentCollectionPath(appId, userId, familySpaceId, 'letters', letter.visibility)}/${letter.id}`), { openedAt: serverTimestamp() })
+                    .catch((error) => console.error("Erro ao marcar carta como aberta:", error));
+            });
+        }, 3000); // Depois que a animação termina
+        return () => clearTimeout(timeout);
+    }, [letters, now, currentPage, userId, db, familySpaceId]);
+
+    // Carrega uma carta (ou um editor vazio) nos campos do editor
+    const loadLetterIntoEditor = ({ title = '', recipient = '', contentHtml = '', unlockAt = '', letterId = null }) => {
+        setLetterTitle(title);
+        setLetterRecipient(recipient);
+        setLetterUnlockAt(unlockAt);
+        setEditingLetterId(letterId);
+        setLetterContent(contentHtml);
+    };
+
+    // Limpa o editor e descarta o rascunho (local e no Firestore)
+    const resetLetterEditor = () => {
+        letterDirtyRef.current = true; // Faz o salvamento automático apagar o rascunho remoto
+        loadLetterIntoEditor({});
+        setLetterDraftStatus('');
+    };
+
+    const handleLetterInput = () => {
+        letterDirtyRef.current = true;
+        setLetterContent(letterEditorRef.current.innerHTML);
+    };
+
+    // Aplica formatação ao texto selecionado no editor
+    const formatLetter = (command, value) => {
+        letterEditorRef.current?.focus();
+        document.execCommand(command, false, value);
+        handleLetterInput();
+    };
+
+    // Espaço da família: coleção de cartas, cartões, fotos ou marcos conforme a visibilidade do item,
+    // onde entram os itens novos e quem os criou
+    const getContentPath = (appId, collectionName, visibility) => getContentCollectionPath(appId, userId, familySpaceId, collectionName, visibility);
+    const newContentVisibility = familySpace ? newItemVisibility : 'private';
+    const authorFields = () => ({ authorId: userId, authorName: familySpace?.members?.[userId]?.name || getAccountLabel(account) });
+
+    // Passa um item do espaço da família para a pasta do usuário ou o contrário (mesmo id; as cartas levam
+    // junto as versões). Só quem criou um item compartilhado pode torná-lo privado.
+    const moveContentItem = (collectionName, item) => {
+        if (!userId || !db || !familySpace) return;
+        const visibility = item.visibility === 'shared' ? 'private' : 'shared';
+        if (visibility === 'private' && item.authorId && item.authorId !== userId) {
+            showAppMessage("Só quem criou este item pode torná-lo privado.");
+            return;
+        }
+        const move = async () => {
+            try {
+                const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+                const fromRef = doc(db, `${getContentPath(appId, collectionName, item.visibility)}/${item.id}`);
+                const toRef = doc(db, `${getContentPath(appId, collectionName, visibility)}/${item.id}`);
+                // O id está no caminho e a visibilidade vem da coleção: nenhum dos dois é gravado no documento
+                const itemData = Object.fromEntries(Object.entries(item).filter(([field]) => field !== 'id' && field !== 'visibility'));
+                const batch = writeBatch(db);
+                batch.set(toRef, item.authorId ? itemData : { ...itemData, ...authorFields() });
+                if (collectionName === 'letters') {
+                    const versionsSnap = await getDocs(collection(fromRef, 'versions'));
+                    versionsSnap.docs.forEach((versionDoc) => {
+                        batch.set(doc(toRef, 'versions', versionDoc.id), versionDoc.data());
+                        batch.delete(versionDoc.ref);
+                    });
+                }
+                batch.delete(fromRef);
+                await batch.commit();
+                showTemporaryNotification(visibility === 'shared' ? "Compartilhado com a família!" : "Agora só você vê este item.");
+            } catch (error) {
+                console.error("Erro ao mudar a visibilidade:", error);
+                showAppMessage("Erro ao mudar a visibilidade. Tente novamente.");
+            }
+        };
+        if (visibility === 'private') {
+            showConfirm("Tornar este item privado? Os outros membros da família deixam de vê-lo.", move, 'Tornar privado');
+        } else {
+            move();
+        }
+    };
+
+    // Campos de uma carta prontos para o Firestore
+    const letterFields = (letter) => ({
+        title: letter.title || '',
+        recipient: letter.recipient || '',
+        contentHtml: letter.contentHtml || plainTextToHtml(letter.content),
+        content: letter.content || '' // Texto puro, para pré-visualização e cartas antigas
+    });
+
+    // Guarda o estado atual de uma carta salva na sua lista de versões
+    const saveLetterVersion = async (appId, letter) => {
+        await addDoc(collection(db, `${getContentPath(appId, 'letters', letter.visibility)}/${letter.id}/versions`), {
+            ...letterFields(letter),
+            savedAt: letter.updatedAt || letter.createdAt || serverTimestamp()
+        });
+    };
+
+    // Salvar carta no Firestore (nova ou atualização de uma carta existente)
+    const saveLetter = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar.");
+            return;
+        }
+        const contentHtml = sanitizeLetterHtml(letterContent);
+        const plainText = htmlToPlainText(contentHtml);
+        if (!plainText) {
+            showAppMessage("A carta não pode estar vazia.");
+            return;
+        }
+        if (plainText.length > LETTER_MAX_LENGTH) {
+            showAppMessage(`A carta passou do limite de ${LETTER_MAX_LENGTH} caracteres.`);
+            return;
+        }
+        const existingLetter = editingLetterId && letters.find((letter) => letter.id === editingLetterId);
+        // Editar uma cápsula sem mexer na data mantém a data e o registro de abertura (mesmo já no passado)
+        const keepsUnlockAt = existingLetter && letterUnlockAt === (existingLetter.unlockAt ? toDateTimeLocalValue(existingLetter.unlockAt.toDate()) : '');
+        const unlockDate = letterUnlockAt ? new Date(letterUnlockAt) : null;
+        if (!keepsUnlockAt && unlockDate && (isNaN(unlockDate.getTime()) || unlockDate.getTime() <= Date.now())) {
+            showAppMessage("A data de abertura precisa estar no futuro.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const letterData = {
+                title: letterTitle.trim(),
+                recipient: letterRecipient,
+                contentHtml,
+                content: plainText,
+                ...(keepsUnlockAt ? {} : {
+                    unlockAt: unlockDate ? Timestamp.fromDate(unlockDate) : null, // Cápsula do tempo: lacrada até esta data
+                    openedAt: null
+                })
+            };
+            if (existingLetter) {
+                // A versão anterior fica guardada antes de ser substituída
+                await saveLetterVersion(appId, existingLetter);
+                await updateDoc(doc(db, `${getContentPath(appId, 'letters', existingLetter.visibility)}/${editingLetterId}`), {
+                    ...letterData,
+                    updatedAt: serverTimestamp()
+                });
+                showAppMessage("Carta atualizada com sucesso!");
+            } else {
+                await addDoc(collection(db, getContentPath(appId, 'letters', newContentVisibility)), {
+                    ...letterData,
+                    ...authorFields(),
+                    createdAt: serverTimestamp()
+                });
+                showAppMessage("Carta salva com sucesso!");
+            }
+            resetLetterEditor(); // Limpa o conteúdo da carta
+        } catch (error) {
+            console.error("Erro ao salvar carta:", error);
+            showAppMessage("Erro ao salvar a carta. Tente novamente.");
+        }
+    };
+
+    // Abre uma carta salva no editor
+    const editLetter = (letter) => {
+        const openLetter = () => {
+            letterDirtyRef.current = true;
+            loadLetterIntoEditor({
+                ...letterFields(letter),
+                unlockAt: letter.unlockAt ? toDateTimeLocalValue(letter.unlockAt.toDate()) : '',
+                letterId: letter.id
+            });
+            letterEditorRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        };
+        const hasUnsavedText = htmlToPlainText(letterContent) && editingLetterId !== letter.id;
+        if (hasUnsavedText) {
+            showConfirm("O texto atual do editor será descartado. Deseja continuar?", openLetter, 'Descartar');
+        } else {
+            openLetter();
+        }
+    };
+
+    // Lista as versões anteriores de uma carta
+    const openLetterVersions = async (letter) => {
+        if (!userId || !db) return;
+        setLetterVersionsView({ letter, versions: [], loading: true });
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const versionsSnap = await getDocs(query(
+                collection(db, `${getContentPath(appId, 'letters', letter.visibility)}/${letter.id}/versions`),
+                orderBy('savedAt', 'desc')
+            ));
+            const versions = versionsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setLetterVersionsView({ letter, versions, loading: false });
+        } catch (error) {
+            console.error("Erro ao carregar versões da carta:", error);
+            setLetterVersionsView(null);
+            showAppMessage("Erro ao carregar as versões da carta. Tente novamente.");
+        }
+    };
+
+    // Restaura uma versão anterior (a versão atual também vai para o histórico)
+    const restoreLetterVersion = (letter, version) => {
+        showConfirm("Restaurar esta versão? A versão atual continuará disponível no histórico.", async () => {
+            try {
+                const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+                await saveLetterVersion(appId, letter);
+                await updateDoc(doc(db, `${getContentPath(appId, 'letters', letter.visibility)}/${letter.id}`), {
+                    ...letterFields(version),
+                    updatedAt: serverTimestamp()
+                });
+                setLetterVersionsView(null);
+                showTemporaryNotification("Versão restaurada!");
+            } catch (error) {
+                console.error("Erro ao restaurar versão da carta:", error);
+                showAppMessage("Erro ao restaurar a versão. Tente novamente.");
+            }
+        }, 'Restaurar');
+    };
+
+    // Modelos de cartões embutidos (os do usuário ficam em `userCardTemplates`)
+    const cardTemplates = [
+        { name: "Padrão", text: "", bgColor: "#ffffff" },
+        { name: "Galo Doido", text: "Parabéns! Que a paixão pelo Galo te inspire sempre!", bgColor: "#fcd34d" }, // Amarelo do Galo
+        { name: "Manto Sagrado", text: "Feliz Aniversário! Que a glória alvinegra esteja sempre com você!", bgColor: "#000000" },
+        { name: "Campo", text: "Que sua vida seja um campo de vitórias! Feliz Aniversário!", bgColor: "#34d399" } // Verde
+    ];
+
+    // Atualiza o texto ou os elementos de uma página do cartão
+    const updateCardPage = (pageKey, update) => {
+        setCardDesign((design) => ({
+            ...design,
+            pages: { ...design.pages, [pageKey]: { ...design.pages[pageKey], ...update(design.pages[pageKey]) } }
+        }));
+    };
+
+    // Desenha a página em edição no canvas do designer
+    useEffect(() => {
+        const canvas = cardCanvasRef.current;
+        if (!canvas) return;
+        const redraw = () => renderCardPage(canvas, cardDesign, cardPage, { onImageLoad: redraw, selectedElementId: selectedCardElementId });
+        redraw();
+        loadCardFont(cardDesign).then(redraw); // Redesenha quando a fonte escolhida terminar de carregar
+    }, [cardDesign, cardPage, selectedCardElementId, currentPage]);
+
+    // Seleciona, move e redimensiona imagens/adesivos no canvas do cartão
+    useEffect(() => {
+        const canvas = cardCanvasRef.current;
+        if (!canvas) return;
+
+        const elements = cardDesign.pages[cardPage].elements;
+        const getPoint = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left - canvas.clientLeft) * (CARD_WIDTH / canvas.clientWidth),
+                y: (e.clientY - rect.top - canvas.clientTop) * (CARD_HEIGHT / canvas.clientHeight)
+            };
+        };
+        const moveElement = (elementId, update) => {
+            updateCardPage(cardPage, (page) => ({
+                elements: page.elements.map((element) => (element.id === elementId ? { ...element, ...update(element) } : element))
+            }));
+        };
+
+        const handlePointerDown = (e) => {
+            const point = getPoint(e);
+            const selected = elements.find((element) => element.id === selectedCardElementId);
+            if (selected) {
+                const { right, bottom } = cardElementBounds(selected);
+                if (Math.abs(point.x - right) <= CARD_HANDLE_SIZE && Math.abs(point.y - bottom) <= CARD_HANDLE_SIZE) {
+                    cardDragRef.current = { mode: 'resize', elementId: selected.id };
+                    canvas.setPointerCapture(e.pointerId);
+                    return;
+                }
+            }
+            // O elemento de cima (último da lista) tem prioridade
+            const hit = [...elements].reverse().find((element) => {
+                const { left, top, right, bottom } = cardElementBounds(element);
+                return point.x >= left && point.x <= right && point.y >= top && point.y <= bottom;
+            });
+            if (hit) {
+                setSelectedCardElementId(hit.id);
+                cardDragRef.current = {
+                    mode: 'move',
+                    elementId: hit.id,
+                    offsetX: point.x - hit.x * CARD_WIDTH,
+                    offsetY: point.y - hit.y * CARD_HEIGHT
+                };
+                canvas.setPointerCapture(e.pointerId);
+            } else {
+                setSelectedCardElementId(null);
+            }
+        };
+
+        const handlePointerMove = (e) => {
+            const drag = cardDragRef.current;
+            if (!drag) return;
+            const point = getPoint(e);
+            if (drag.mode === 'resize') {
+                moveElement(drag.elementId, (element) => {
+                    const half = Math.max(Math.abs(point.x - element.x * CARD_WIDTH), Math.abs(point.y - element.y * CARD_HEIGHT));
+                    return { size: Math.min(1, Math.max(0.05, (half * 2) / CARD_WIDTH)) };
+                });
+            } else {
+                moveElement(drag.elementId, () => ({
+                    x: Math.min(1, Math.max(0, (point.x - drag.offsetX) / CARD_WIDTH)),
+                    y: Math.min(1, Math.max(0, (point.y - drag.offsetY) / CARD_HEIGHT))
+                }));
+            }
+        };
+
+        const handlePointerUp = () => {
+            cardDragRef.current = null;
+        };
+
+        canvas.addEventListener('pointerdown', handlePointerDown);
+        canvas.addEventListener('pointermove', handlePointerMove);
+        canvas.addEventListener('pointerup', handlePointerUp);
+        canvas.addEventListener('pointercancel', handlePointerUp);
+        return () => {
+            canvas.removeEventListener('pointerdown', handlePointerDown);
+            canvas.removeEventListener('pointermove', handlePointerMove);
+            canvas.removeEventListener('pointerup', handlePointerUp);
+            canvas.removeEventListener('pointercancel', handlePointerUp);
+        };
+    }, [cardDesign, cardPage, selectedCardElementId, currentPage]);
+
+    // Adiciona uma imagem ou adesivo à página em edição, já selecionado
+    const addCardElement = (content) => {
+        const element = { id: `elemento-${Date.now().toString(36)}`, ...content, x: 0.5, y: 0.25, size: 0.3 };
+        updateCardPage(cardPage, (page) => ({ elements: [...page.elements, element] }));
+        setSelectedCardElementId(element.id);
+    };
+
+    const removeSelectedCardElement = () => {
+        updateCardPage(cardPage, (page) => ({ elements: page.elements.filter((element) => element.id !== selectedCardElementId) }));
+        setSelectedCardElementId(null);
+    };
+
+    const handleCardImageUpload = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Permite escolher o mesmo arquivo de novo
+        if (!file) return;
+        try {
+            const objectUrl = URL.createObjectURL(file);
+            const image = await loadImageScaled(objectUrl);
+            URL.revokeObjectURL(objectUrl);
+            addCardElement({ image });
+        } catch (error) {
+            console.error("Erro ao carregar imagem do cartão:", error);
+            showAppMessage("Erro ao carregar a imagem. Tente outra imagem.");
+        }
+    };
+
+    // Exporta o cartão (PNG de uma página ou PDF de impressão com as duas)
+    const exportCard = async (design, type, pageKey = 'front') => {
+        try {
+            if (type === 'png') {
+                await exportCardPng(design, pageKey);
+            } else {
+                await exportCardPdf(design, type);
+            }
+        } catch (error) {
+            console.error("Erro ao exportar cartão:", error);
+            if (error.code === 'card/image-load') {
+                showAppMessage("Não foi possível carregar uma das imagens do cartão. Verifique a conexão ou remova a imagem e tente exportar de novo.");
+            } else {
+                showAppMessage("Erro ao exportar o cartão. Tente novamente.");
+            }
+        }
+    };
+
+    // Salvar cartão no Firestore
+    const saveCard = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar.");
+            return;
+        }
+        const { pages } = cardDesign;
+        if (!pages.front.text.trim() && !pages.inside.text.trim() && pages.front.elements.length === 0 && pages.inside.elements.length === 0) {
+            showAppMessage("O cartão não pode estar vazio.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const cardData = {
+                text: pages.front.text, // Texto da capa, mantido no campo antigo
+                bgColor: cardDesign.bgColor,
+                textColor: cardDesign.textColor, // null = automático pelo contraste com o fundo
+                font: cardDesign.font,
+                align: cardDesign.align,
+                fontSize: cardDesign.fontSize,
+                pages,
+                ...authorFields()
+            };
+            // Imagens enviadas do computador ficam embutidas no cartão como data URL
+            if (estimateFirestoreDocumentSize(cardData) > FIRESTORE_DOCUMENT_MAX_BYTES) {
+                showAppMessage("O cartão ficou grande demais para salvar (as imagens enviadas passam de 1 MB). Remova algumas imagens enviadas do computador e tente de novo.");
+                return;
+            }
+            await addDoc(collection(db, getContentPath(appId, 'cards', newContentVisibility)), {
+                ...cardData,
+                createdAt: serverTimestamp()
+            });
+            showAppMessage("Cartão salvo com sucesso!");
+            setCardDesign(createCardDesign()); // Começa um cartão novo
+            setCardPage('front');
+            setSelectedCardElementId(null);
+        } catch (error) {
+            console.error("Erro ao salvar cartão:", error);
+            showAppMessage("Erro ao salvar o cartão. Tente novamente.");
+        }
+    };
+
+    // Aplicar modelo de cartão: os do usuário trazem o design completo,
+    // os embutidos só o texto da capa e a cor de fundo
+    const applyCardTemplate = (template) => {
+        setSelectedCardElementId(null);
+        if (template.design) {
+            setCardDesign(cardDesignFromSaved(template.design));
+            return;
+        }
+        setCardDesign((design) => ({
+            ...design,
+            bgColor: template.bgColor,
+            pages: { ...design.pages, front: { ...design.pages.front, text: template.text } }
+        }));
+    };
+
+    // Salva o design atual como modelo do usuário
+    const saveCardTemplate = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar.");
+            return;
+        }
+        const name = newTemplateName.trim();
+        if (!name) {
+            showAppMessage("Dê um nome ao modelo.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/cardTemplates`), {
+                name,
+                design: cardDesign,
+                createdAt: serverTimestamp()
+            });
+            setNewTemplateName('');
+            showAppMessage("Modelo salvo!");
+        } catch (error) {
+            console.error("Erro ao salvar modelo de cartão:", error);
+            showAppMessage("Erro ao salvar o modelo. Tente novamente.");
+        }
+    };
+
+    const renameCardTemplate = async () => {
+        const name = renamingTemplate?.name.trim();
+        if (!name) {
+            showAppMessage("O nome do modelo não pode estar vazio.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/cardTemplates/${renamingTemplate.id}`), { name });
+            setRenamingTemplate(null);
+        } catch (error) {
+            console.error("Erro ao renomear modelo de cartão:", error);
+            showAppMessage("Erro ao renomear o modelo. Tente novamente.");
+        }
+    };
+
+    // Exclui um modelo do usuário, com confirmação e opção de desfazer
+    const deleteCardTemplate = (template) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm(`Excluir o modelo "${template.name}"?`, async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const templateRef = doc(db, `artifacts/${appId}/users/${userId}/cardTemplates/${template.id}`);
+            const { id, ...templateData } = template;
+            try {
+                await deleteDoc(templateRef);
+                showUndoAction("Modelo excluído.", async () => {
+                    try {
+                        await setDoc(templateRef, templateData);
+                    } catch (error) {
+                        console.error("Erro ao restaurar modelo de cartão:", error);
+                        showAppMessage("Erro ao restaurar o modelo. Tente novamente.");
+                    }
+                });
+            } catch (error) {
+                console.error("Erro ao excluir modelo de cartão:", error);
+                showAppMessage("Erro ao excluir o modelo. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    // Importa um modelo de um arquivo JSON exportado por outra pessoa da família
+    const handleCardTemplateImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Permite importar o mesmo arquivo de novo
+        if (!file) return;
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para importar.");
+            return;
+        }
+        if (file.size > CARD_TEMPLATE_MAX_FILE_SIZE) {
+            showAppMessage("O arquivo do modelo é grande demais.");
+            return;
+        }
+        let template;
+        try {
+            template = parseCardTemplateFile(await file.text());
+        } catch (error) {
+            showAppMessage(error.message);
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/cardTemplates`), {
+                ...template,
+                createdAt: serverTimestamp()
+            });
+            showAppMessage(`Modelo "${template.name}" importado!`);
+        } catch (error) {
+            console.error("Erro ao importar modelo de cartão:", error);
+            showAppMessage("Erro ao importar o modelo. Tente novamente.");
+        }
+    };
+
+    // Humor atual = último registro, assim sobrevive a recarregar a página
+    const currentMood = moods[0]?.mood || '';
+
+    const resetMoodForm = () => {
+        setMoodForm({ mood: '', intensity: DEFAULT_MOOD_INTENSITY, note: '', tagsText: '' });
+        setEditingMoodId(null);
+    };
+
+    // Adiciona ou remove uma tag sugerida do campo de tags
+    const toggleMoodTag = (tag) => {
+        setMoodForm((form) => {
+            const tags = parseMoodTags(form.tagsText);
+            const hasTag = tags.some((existing) => existing.toLowerCase() === tag.toLowerCase());
+            const nextTags = hasTag ? tags.filter((existing) => existing.toLowerCase() !== tag.toLowerCase()) : [...tags, tag];
+            return { ...form, tagsText: nextTags.join(', ') };
+        });
+    };
+
+    // Registrar (ou atualizar) humor no Firestore
+    const recordMood = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para registrar o humor.");
+            return;
+        }
+        if (!moodForm.mood) {
+            showAppMessage("Escolha como você está se sentindo.");
+            return;
+        }
+        const moodData = {
+            mood: moodForm.mood,
+            intensity: moodForm.intensity,
+            note: moodForm.note.trim(),
+            tags: parseMoodTags(moodForm.tagsText)
+        };
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            if (editingMoodId) {
+                // Mantém o horário original do registro
+                await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/moods/${editingMoodId}`), moodData);
+                showAppMessage("Registro de humor atualizado!");
+            } else {
+                await addDoc(collection(db, `artifacts/${appId}/users/${userId}/moods`), {
+                    ...moodData,
+                    timestamp: serverTimestamp()
+                });
+                showAppMessage(`Humor registrado: ${moodData.mood}`);
+            }
+            resetMoodForm();
+        } catch (error) {
+            console.error("Erro ao registrar humor:", error);
+            showAppMessage("Erro ao registrar o humor. Tente novamente.");
+        }
+    };
+
+    const editMood = (entry) => {
+        setEditingMoodId(entry.id);
+        setMoodForm({
+            mood: entry.mood,
+            intensity: getMoodIntensity(entry),
+            note: entry.note || '',
+            tagsText: (entry.tags || []).join(', ')
+        });
+    };
+
+    // Exclui um registro de humor, com confirmação e opção de desfazer
+    const deleteMood = (entry) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm("Excluir este registro de humor?", async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const moodRef = doc(db, `artifacts/${appId}/users/${userId}/moods/${entry.id}`);
+            const { id, ...moodData } = entry;
+            try {
+                await deleteDoc(moodRef);
+                if (editingMoodId === entry.id) resetMoodForm();
+                showUndoAction("Registro de humor excluído.", async () => {
+                    try {
+                        await setDoc(moodRef, moodData);
+                    } catch (error) {
+                        console.error("Erro ao restaurar humor:", error);
+                        showAppMessage("Erro ao restaurar o registro. Tente novamente.");
+                    }
+                });
+            } catch (error) {
+                console.error("Erro ao excluir humor:", error);
+                showAppMessage("Erro ao excluir o registro. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    // Navega entre os meses do calendário de humor
+    const changeMoodMonth = (delta) => {
+        setMoodMonth(({ year, month }) => {
+            const date = new Date(year, month + delta, 1);
+            return { year: date.getFullYear(), month: date.getMonth() };
+        });
+        setSelectedMoodDay(null);
+    };
+
+    // Converte o placar digitado em número inteiro (null se inválido)
+    const parseGoals = (value) => {
+        const goals = Number(value);
+        return value !== '' && Number.isInteger(goals) && goals >= 0 && goals <= 30 ? goals : null;
+    };
+
+    // Salva o placar de um jogo; o documento usa a chave do jogo, então registrar de novo substitui
+    const saveGameResult = async (game, goalsForText, goalsAgainstText) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar o resultado.");
+            return false;
+        }
+        const goalsFor = parseGoals(goalsForText);
+        const goalsAgainst = parseGoals(goalsAgainstText);
+        if (goalsFor === null || goalsAgainst === null) {
+            showAppMessage("Informe um placar válido (números inteiros).");
+            return false;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            await setDoc(doc(db, `artifacts/${appId}/users/${userId}/gameResults/${getGameKey(game)}`), {
+                date: game.date,
+                time: game.time || '',
+                opponent: game.opponent,
+                competition: game.competition || '',
+                location: game.location || '',
+                isHome: !!game.isHome,
+                goalsFor,
+                goalsAgainst,
+                updatedAt: serverTimestamp()
+            });
+            showAppMessage(`Resultado salvo: ${MATCH_OUTCOMES[getMatchOutcome({ goalsFor, goalsAgainst })].label} ${goalsFor} x ${goalsAgainst}`);
+            return true;
+        } catch (error) {
+            console.error("Erro ao salvar resultado do jogo:", error);
+            showAppMessage("Erro ao salvar o resultado. Tente novamente.");
+            return false;
+        }
+    };
+
+    // Abre o editor de jogos, vazio ou com os dados de um jogo da agenda.
+    // Jogos do arquivo viram uma cópia na coleção compartilhada, que passa a valer no lugar deles.
+    const openFixtureForm = (fixture = null) => {
+        setFixtureFormErrors({});
+        setEditingFixtureId(fixture?.shared ? fixture.id : null);
+        setFixtureForm(fixture ? {
+            date: fixture.date,
+            time: fixture.time,
+            opponent: fixture.opponent,
+            isHome: fixture.isHome,
+            location: fixture.location,
+            competition: fixture.competition,
+            tvChannel: fixture.tvChannel || '',
+            goalsFor: fixture.goalsFor === null ? '' : String(fixture.goalsFor),
+            goalsAgainst: fixture.goalsAgainst === null ? '' : String(fixture.goalsAgainst)
+        } : emptyFixtureForm);
+    };
+
+    const closeFixtureForm = () => {
+        setFixtureForm(null);
+        setEditingFixtureId(null);
+        setFixtureFormErrors({});
+    };
+
+    // Salva o jogo na coleção compartilhada depois de validar (inclui checagem de duplicidade)
+    const saveFixture = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar o jogo.");
+            return;
+        }
+        const { errors, fixture } = validateFixtureForm(fixtureForm, gameSchedule, editingFixtureId);
+        setFixtureFormErrors(errors);
+        if (!fixture) return;
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const fixtureData = { ...fixture, updatedBy: userId, updatedAt: serverTimestamp() };
+            if (editingFixtureId) {
+                await setDoc(doc(db, `${getFixturesCollectionPath(appId)}/${editingFixtureId}`), fixtureData);
+            } else {
+                await addDoc(collection(db, getFixturesCollectionPath(appId)), fixtureData);
+            }
+            showAppMessage(editingFixtureId ? "Jogo atualizado!" : "Jogo adicionado à agenda!");
+            closeFixtureForm();
+        } catch (error) {
+            console.error("Erro ao salvar jogo:", error);
+            showAppMessage("Erro ao salvar o jogo. Tente novamente.");
+        }
+    };
+
+    // Exclui um jogo da coleção compartilhada, com confirmação e opção de desfazer
+    const deleteFixture = (fixture) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm(`Excluir o jogo ${formatFixtureTitle(fixture)} da agenda de todos?`, async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const fixtureRef = doc(db, `${getFixturesCollectionPath(appId)}/${fixture.id}`);
+            const { id, shared, ...fixtureData } = fixture;
+            try {
+                await deleteDoc(fixtureRef);
+                if (editingFixtureId === fixture.id) closeFixtureForm();
+                showUndoAction("Jogo excluído.", async () => {
+                    try {
+                        await setDoc(fixtureRef, { ...fixtureData, updatedBy: userId, updatedAt: serverTimestamp() });
+                    } catch (error) {
+                        console.error("Erro ao restaurar jogo:", error);
+                        showAppMessage("Erro ao restaurar o jogo. Tente novamente.");
+                    }
+                });
+            } catch (error) {
+                console.error("Erro ao excluir jogo:", error);
+                showAppMessage("Erro ao excluir o jogo. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    // Baixa jogos como arquivo .ics para importar no app de calendário
+    const downloadFixturesCalendar = (fixtures, filename) => {
+        const url = URL.createObjectURL(new Blob([exportFixturesIcs(fixtures)], { type: 'text/calendar;charset=utf-8' }));
+        downloadDataUrl(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+
+    // Importa jogos de um arquivo .ics para a coleção compartilhada, ignorando os que já estão na agenda
+    const handleFixtureIcsImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Permite importar o mesmo arquivo de novo
+        if (!file) return;
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para importar.");
+            return;
+        }
+        if (file.size > FIXTURE_ICS_MAX_FILE_SIZE) {
+            showAppMessage("O arquivo de calendário é grande demais.");
+            return;
+        }
+        let plan;
+        try {
+            plan = planFixtureImport(parseFixturesIcsFile(await file.text()), gameSchedule);
+        } catch (error) {
+            showAppMessage(error.message);
+            return;
+        }
+        const skippedMessage = [
+            plan.duplicates.length > 0 && `${plan.duplicates.length} ignorado(s) por já estarem na agenda.`,
+            plan.ownTeam.length > 0 && `${plan.ownTeam.length} ignorado(s) por terem o próprio Galo como adversário.`
+        ].filter(Boolean).join(' ');
+        if (plan.toAdd.length === 0) {
+            showAppMessage(`Nenhum jogo novo no arquivo. ${skippedMessage}`);
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const fixturesRef = collection(db, getFixturesCollectionPath(appId));
+            await Promise.all(plan.toAdd.map((fixture) => addDoc(fixturesRef, { ...fixture, updatedBy: userId, updatedAt: serverTimestamp() })));
+            showAppMessage(`${plan.toAdd.length} jogo(s) importado(s).${skippedMessage ? ` ${skippedMessage}` : ''}`);
+        } catch (error) {
+            console.error("Erro ao importar calendário de jogos:", error);
+            showAppMessage("Erro ao importar os jogos. Tente novamente.");
+        }
+    };
+
+    // Botão "Notificar-me": abre a escolha de antecedência ou, se já inscrito, cancela o lembrete
+    const toggleMatchReminder = async (game) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para criar lembretes.");
+            return;
+        }
+        const gameKey = getGameKey(game);
+        if (!matchReminders.some((reminder) => reminder.id === gameKey)) {
+            const available = availableLeadTimes(game).map((leadTime) => leadTime.id);
+            const defaults = DEFAULT_REMINDER_LEAD_TIMES.filter((id) => available.includes(id));
+            setReminderForm({ game, leadTimes: defaults.length > 0 ? defaults : available.slice(-1) });
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/matchReminders/${gameKey}`));
+            showTemporaryNotification(`Lembrete do jogo contra ${game.opponent} cancelado.`);
+        } catch (error) {
+            console.error("Erro ao cancelar lembrete:", error);
+            showAppMessage("Erro ao cancelar o lembrete. Tente novamente.");
+        }
+    };
+
+    // Salva a inscrição no lembrete depois de obter a permissão de notificação
+    const saveMatchReminder = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para criar lembretes.");
+            return;
+        }
+        const { game, leadTimes } = reminderForm;
+        if (leadTimes.length === 0) {
+            showAppMessage("Escolha quando quer ser avisado.");
+            return;
+        }
+        if (!areRemindersSupported()) {
+            showAppMessage("Este navegador não suporta notificações.");
+            return;
+        }
+        if (!(await ensureNotificationPermission())) {
+            showAppMessage("As notificações estão bloqueadas. Permita as notificações deste site nas configurações do navegador para receber lembretes.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            // Guarda uma cópia do jogo para o lembrete funcionar mesmo se ele sair da agenda
+            await setDoc(doc(db, `artifacts/${appId}/users/${userId}/matchReminders/${getGameKey(game)}`), {
+                date: game.date,
+                time: game.time,
+                opponent: game.opponent,
+                isHome: game.isHome,
+                location: game.location,
+                competition: game.competition,
+                tvChannel: game.tvChannel || '',
+                leadTimes,
+                createdAt: serverTimestamp()
+            });
+            setReminderForm(null);
+            showTemporaryNotification(`Lembrete ativado para o jogo contra ${game.opponent}!`);
+        } catch (error) {
+            console.error("Erro ao salvar lembrete:", error);
+            showAppMessage("Erro ao salvar o lembrete. Tente novamente.");
+        }
+    };
+
+    // Registra o resultado de um jogo que não está na agenda (jogos passados)
+    const addPastMatchResult = async () => {
+        const { date, time, opponent, competition, goalsFor, goalsAgainst } = pastMatchForm;
+        if (!date || !opponent.trim()) {
+            showAppMessage("Informe a data e o adversário do jogo.");
+            return;
+        }
+        if (getKickoff({ date, time }) > new Date()) {
+            showAppMessage("Só é possível registrar resultados de jogos que já aconteceram.");
+            return;
+        }
+        const saved = await saveGameResult({ date, time, opponent: opponent.trim(), competition: competition.trim() }, goalsFor, goalsAgainst);
+        if (saved) {
+            setPastMatchForm({ date: '', time: '16:00', opponent: '', competition: '', goalsFor: '', goalsAgainst: '' });
+        }
+    };
+
+    // Exclui o resultado de um jogo, com confirmação e opção de desfazer
+    const deleteGameResult = (result) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm(`Excluir o resultado contra ${result.opponent}?`, async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const resultRef = doc(db, `artifacts/${appId}/users/${userId}/gameResults/${result.id}`);
+            const { id, ...resultData } = result;
+            try {
+                await deleteDoc(resultRef);
+                showUndoAction("Resultado excluído.", async () => {
+                    try {
+                        await setDoc(resultRef, resultData);
+                    } catch (error) {
+                        console.error("Erro ao restaurar resultado do jogo:", error);
+                        showAppMessage("Erro ao restaurar o resultado. Tente novamente.");
+                    }
+                });
+            } catch (error) {
+                console.error("Erro ao excluir resultado do jogo:", error);
+                showAppMessage("Erro ao excluir o resultado. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    const resetMilestoneForm = () => {
+        setMilestoneForm({ name: '', date: '', emoji: MILESTONE_EMOJIS[0] });
+        setEditingMilestoneId(null);
+    };
+
+    // Salvar (ou atualizar) um marco do contador de dias no Firestore
+    const saveMilestone = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar a data.");
+            return;
+        }
+        const name = milestoneForm.name.trim();
+        if (!name || !milestoneForm.date) {
+            showAppMessage("Dê um nome e escolha uma data para o marco.");
+            return;
+        }
+        const milestoneData = { name, date: milestoneForm.date, emoji: milestoneForm.emoji };
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            if (editingMilestoneId) {
+                const editingMilestone = milestones.find((milestone) => milestone.id === editingMilestoneId);
+                await updateDoc(doc(db, `${getContentPath(appId, 'milestones', editingMilestone?.visibility)}/${editingMilestoneId}`), milestoneData);
+                showAppMessage("Marco atualizado!");
+            } else {
+                await addDoc(collection(db, getContentPath(appId, 'milestones', newContentVisibility)), {
+                    ...milestoneData,
+                    ...authorFields(),
+                    createdAt: serverTimestamp()
+                });
+                showAppMessage("Marco salvo com sucesso!");
+            }
+            resetMilestoneForm();
+        } catch (error) {
+            console.error("Erro ao salvar marco:", error);
+            showAppMessage("Erro ao salvar o marco. Tente novamente.");
+        }
+    };
+
+    const editMilestone = (milestone) => {
+        setEditingMilestoneId(milestone.id);
+        setMilestoneForm({ name: milestone.name, date: milestone.date, emoji: milestone.emoji || MILESTONE_EMOJIS[0] });
+    };
+
+    // Exclui um marco, com confirmação e opção de desfazer
+    const deleteMilestone = (milestone) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm(`Excluir o marco "${milestone.name}"?`, async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const milestoneRef = doc(db, `${getContentPath(appId, 'milestones', milestone.visibility)}/${milestone.id}`);
+            const { id, visibility, ...milestoneData } = milestone; // id e visibilidade não são campos do documento
+            try {
+                await deleteDoc(milestoneRef);
+                if (editingMilestoneId === milestone.id) resetMilestoneForm();
+                showUndoAction("Marco excluído.", async () => {
+                    try {
+                        await setDoc(milestoneRef, milestoneData);
+                    } catch (error) {
+                        console.error("Erro ao restaurar marco:", error);
+                        showAppMessage("Erro ao restaurar o marco. Tente novamente.");
+                    }
+                });
+            } catch (error) {
+                console.error("Erro ao excluir marco:", error);
+                showAppMessage("Erro ao excluir o marco. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    // Fila de envio da galeria. O laço de envio lê a fila pelo ref (o estado só muda na próxima
+    // renderização); `updatePhotoQueue` mantém os dois iguais.
+    const updatePhotoQueue = (update) => {
+        photoQueueRef.current = update(photoQueueRef.current);
+        setPhotoQueue(photoQueueRef.current);
+    };
+    const updatePhotoQueueItem = (itemId, changes) => {
+        updatePhotoQueue((queue) => queue.map((item) => (item.id === itemId ? { ...item, ...changes } : item)));
+    };
+
+    // Envia uma foto da fila: confere repetição pelo conteúdo, reduz a imagem, envia ao Storage e salva no Firestore
+    const uploadQueuedPhoto = async (item, knownHashes) => {
+        const controller = new AbortController();
+        photoUploadControllersRef.current[item.id] = controller;
+        try {
+            updatePhotoQueueItem(item.id, { status: 'preparing', progress: 0, error: null });
+            const contentHash = await hashPhotoFile(item.file);
+            if (!item.allowDuplicate && knownHashes.has(contentHash)) {
+                updatePhotoQueueItem(item.id, { status: 'duplicate' });
+                return;
+            }
+            const prepared = await preparePhotoUpload(item.file);
+            if (controller.signal.aborted) throw Object.assign(new Error("Envio cancelado."), { code: 'storage/canceled' });
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const photoRef = doc(collection(db, getContentPath(appId, 'photos', item.visibility)));
+            updatePhotoQueueItem(item.id, { status: 'uploading' });
+            const uploaded = await uploadPreparedPhoto(storage, getPhotoStoragePath(appId, userId, photoRef.id), prepared, {
+                signal: controller.signal,
+                onProgress: (progress) => updatePhotoQueueItem(item.id, { progress })
+            });
+            try {
+                await setDoc(photoRef, {
+                    ...uploaded,
+                    contentHash,
+                    caption: '',
+                    takenAt: prepared.takenAt,
+                    tags: [],
+                    albumIds: item.albumId ? [item.albumId] : [], // Enviada de dentro de um álbum, já entra nele
+                    ...authorFields(),
+                    createdAt: serverTimestamp()
+                });
+            } catch (error) {
+                // Não deixa arquivos órfãos no Storage se o documento não foi salvo
+                deletePhotoFiles(storage, uploaded).catch((cleanupError) => console.error("Erro ao limpar foto enviada:", cleanupError));
+                throw error;
+            }
+            knownHashes.add(contentHash);
+            updatePhotoQueueItem(item.id, { status: 'done', progress: 1 });
+        } catch (error) {
+            if (error.code === 'storage/canceled') {
+                updatePhotoQueueItem(item.id, { status: 'canceled' });
+            } else {
+                console.error("Erro ao adicionar foto:", item.name, error);
+                updatePhotoQueueItem(item.id, { status: 'error', error: error.message || "Erro ao enviar a foto." });
+            }
+        } finally {
+            delete photoUploadControllersRef.current[item.id];
+        }
+    };
+
+    // Processa a fila, uma foto por vez, até não sobrar nenhuma pendente
+    const runPhotoQueue = async () => {
+        if (photoQueueRunningRef.current) return;
+        photoQueueRunningRef.current = true;
+        const knownHashes = new Set(photos.map((photo) => photo.contentHash).filter(Boolean));
+        let next;
+        while ((next = photoQueueRef.current.find((item) => item.status === 'pending'))) {
+            await uploadQueuedPhoto(next, knownHashes);
+        }
+        photoQueueRunningRef.current = false;
+    };
+
+    // Adiciona arquivos (do seletor ou arrastados) à fila; os inválidos entram já com o motivo da recusa
+    const enqueuePhotoFiles = (fileList) => {
+        if (!userId || !db || !storage) {
+            showAppMessage("Por favor, aguarde a inicialização para fazer upload de fotos.");
+            return;
+        }
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+        updatePhotoQueue((queue) => [...queue, ...files.map((file) => {
+            const error = validatePhotoFile(file);
+            return {
+                id: crypto.randomUUID(),
+                file,
+                name: file.name,
+                size: file.size,
+                albumId: photoFilter.albumId,
+                visibility: newContentVisibility,
+                status: error ? 'invalid' : 'pending',
+                progress: 0,
+                error
+            };
+        })]);
+        runPhotoQueue();
+    };
+
+    const handlePhotoUpload = (event) => {
+        enqueuePhotoFiles(event.target.files);
+        event.target.value = ''; // Permite escolher os mesmos arquivos de novo
+    };
+
+    const handlePhotoDrop = (event) => {
+        event.preventDefault();
+        setIsDraggingPhotos(false);
+        enqueuePhotoFiles(event.dataTransfer.files);
+    };
+
+    // Tenta de novo uma foto que falhou ou foi cancelada (ou envia uma repetida assim mesmo)
+    const retryQueuedPhoto = (item) => {
+        updatePhotoQueueItem(item.id, { status: 'pending', progress: 0, error: null, allowDuplicate: item.status === 'duplicate' || item.allowDuplicate });
+        runPhotoQueue();
+    };
+
+    // Cancela uma foto: pendente sai da vez; em preparo ou envio, o envio é interrompido
+    const cancelQueuedPhoto = (item) => {
+        if (item.status === 'pending') {
+            updatePhotoQueueItem(item.id, { status: 'canceled' });
+        } else {
+            photoUploadControllersRef.current[item.id]?.abort();
+        }
+    };
+
+    const cancelPendingPhotos = () => {
+        updatePhotoQueue((queue) => queue.map((item) => (item.status === 'pending' ? { ...item, status: 'canceled' } : item)));
+    };
+
+    // Remove da lista o que já terminou (enviadas, canceladas, repetidas e recusadas)
+    const clearFinishedPhotos = () => {
+        updatePhotoQueue((queue) => queue.filter((item) => PHOTO_QUEUE_ACTIVE_STATUSES.includes(item.status) || item.status === 'error'));
+    };
+
+    // Migra as fotos antigas (base64 no campo `dataUrl`) para o Storage, uma de cada vez
+    const migrateLegacyPhotos = async () => {
+        if (!userId || !db || !storage) {
+            showAppMessage("Por favor, aguarde a inicialização para migrar as fotos.");
+            return;
+        }
+        const legacyPhotos = photos.filter((photo) => photo.visibility === 'private' && photo.dataUrl && !photo.url);
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        let migrated = 0;
+        for (const photo of legacyPhotos) {
+            const label = `Migrando foto ${migrated + 1} de ${legacyPhotos.length}...`;
+            setPhotoUpload({ label, progress: 0 });
+            try {
+                const original = await dataUrlToBlob(photo.dataUrl);
+                const prepared = await preparePhotoUpload(original);
+                const uploaded = await uploadPreparedPhoto(storage, getPhotoStoragePath(appId, userId, photo.id), prepared, {
+                    onProgress: (progress) => setPhotoUpload({ label, progress })
+                });
+                await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/photos/${photo.id}`), {
+                    ...uploaded,
+                    contentHash: await hashPhotoFile(original),
+                    ...(prepared.takenAt && !photo.takenAt ? { takenAt: prepared.takenAt } : {}),
+                    dataUrl: deleteField()
+                });
+                migrated++;
+            } catch (error) {
+                console.error("Erro ao migrar foto:", photo.id, error);
             }
         }
+        setPhotoUpload(null);
+        showAppMessage(migrated === legacyPhotos.length
+            ? `${migrated} foto(s) migrada(s) para o novo armazenamento!`
+            : `${migrated} de ${legacyPhotos.length} foto(s) migrada(s). Tente novamente para migrar as restantes.`);
+    };
+
+    // Cria um álbum da galeria (nomes repetidos não são aceitos)
+    const createPhotoAlbum = async (name) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para criar álbuns.");
+            return;
+        }
+        const albumName = name.trim().replace(/\s+/g, ' ');
+        if (!albumName) {
+            showAppMessage("Dê um nome para o álbum.");
+            return;
+        }
+        if (albumName.length > PHOTO_ALBUM_NAME_MAX_LENGTH) {
+            showAppMessage(`O nome do álbum pode ter no máximo ${PHOTO_ALBUM_NAME_MAX_LENGTH} caracteres.`);
+            return;
+        }
+        if (photoAlbums.some((album) => album.name.toLowerCase() === albumName.toLowerCase())) {
+            showAppMessage(`Já existe um álbum chamado "${albumName}".`);
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/photoAlbums`), {
+                name: albumName,
+                createdAt: serverTimestamp()
+            });
+            setNewAlbumName('');
+            showTemporaryNotification(`Álbum "${albumName}" criado!`);
+        } catch (error) {
+            console.error("Erro ao criar álbum:", error);
+            showAppMessage("Erro ao criar o álbum. Tente novamente.");
+        }
+    };
+
+    // Exclui um álbum (as fotos continuam na galeria), com confirmação e opção de desfazer
+    const deletePhotoAlbum = (album) => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm(`Excluir o álbum "${album.name}"? As fotos continuam na galeria.`, async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const albumRef = doc(db, `artifacts/${appId}/users/${userId}/photoAlbums/${album.id}`);
+            const albumPhotoRefs = photos
+                .filter((photo) => (photo.albumIds || []).includes(album.id))
+                .map((photo) => doc(db, `${getContentPath(appId, 'photos', photo.visibility)}/${photo.id}`));
+            const { id, ...albumData } = album;
+            try {
+                await deleteDoc(albumRef);
+                await Promise.all(albumPhotoRefs.map((photoRef) => updateDoc(photoRef, { albumIds: arrayRemove(album.id) })));
+                if (photoFilter.albumId === album.id) setPhotoFilter({ ...photoFilter, albumId: '' });
+                showUndoAction("Álbum excluído.", async () => {
+                    try {
+                        await setDoc(albumRef, albumData);
+                        await Promise.all(albumPhotoRefs.map((photoRef) => updateDoc(photoRef, { albumIds: arrayUnion(album.id) })));
+                    } catch (error) {
+                        console.error("Erro ao restaurar álbum:", error);
+                        showAppMessage("Erro ao restaurar o álbum. Tente novamente.");
+                    }
+                });
+            } catch (error) {
+                console.error("Erro ao excluir álbum:", error);
+                showAppMessage("Erro ao excluir o álbum. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    // Abre a edição de legenda, data, pessoas/tags e álbuns de uma foto
+    const editPhoto = (photo) => {
+        setPhotoForm({
+            id: photo.id,
+            caption: photo.caption || '',
+            takenAt: getPhotoDayKey(photo),
+            tagsText: (photo.tags || []).join(', '),
+            albumIds: photo.albumIds || [],
+            visibility: photo.visibility
+        });
     };
 
-    // Salvar carta no Firestore
-    const saveLetter = async () => {
+    const savePhotoDetails = async () => {
         if (!userId || !db) {
             showAppMessage("Por favor, aguarde a inicialização para salvar.");
             return;
         }
-        if (!letterContent.trim()) {
-            showAppMessage("A carta não pode estar vazia.");
+        if (photoForm.takenAt && (!/^\d{4}-\d{2}-\d{2}$/.test(photoForm.takenAt) || photoForm.takenAt > toDayKey(new Date()))) {
+            showAppMessage("A data da foto não pode ser no futuro.");
             return;
         }
         try {
             const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
-            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/letters`), {
-                content: letterContent,
-                createdAt: serverTimestamp()
+            await updateDoc(doc(db, `${getContentPath(appId, 'photos', photoForm.visibility)}/${photoForm.id}`), {
+                caption: photoForm.caption.trim().slice(0, PHOTO_CAPTION_MAX_LENGTH),
+                takenAt: photoForm.takenAt || null,
+                tags: parsePhotoTags(photoForm.tagsText),
+                albumIds: photoForm.albumIds.filter((albumId) => photoAlbums.some((album) => album.id === albumId))
             });
-            showAppMessage("Carta salva com sucesso!");
-            setLetterContent(''); // Limpa o conteúdo da carta
+            setPhotoForm(null);
+            showTemporaryNotification("Foto atualizada!");
         } catch (error) {
-            console.error("Erro ao salvar carta:", error);
-            showAppMessage("Erro ao salvar a carta. Tente novamente.");
+            console.error("Erro ao salvar detalhes da foto:", error);
+            showAppMessage("Erro ao salvar a foto. Tente novamente.");
         }
     };
 
-    // Modelos de cartões
-    const cardTemplates = [
-        { name: "Padrão", text: "", bgColor: "#ffffff" },
-        { name: "Galo Doido", text: "Parabéns! Que a paixão pelo Galo te inspire sempre!", bgColor: "#fcd34d" }, // Amarelo do Galo
-        { name: "Manto Sagrado", text: "Feliz Aniversário! Que a glória alvinegra esteja sempre com você!", bgColor: "#000000" },
-        { name: "Campo", text: "Que sua vida seja um campo de vitórias! Feliz Aniversário!", bgColor: "#34d399" } // Verde
-    ];
+    // Funções para o Mural de Homenagens
+    // Convidado: envia a homenagem (arquivos no Storage, documento pendente de aprovação)
+    const submitTribute = async () => {
+        if (!userId || !db || !storage) {
+            showAppMessage("Por favor, aguarde a inicialização para enviar.");
+            return;
+        }
+        const errors = await validateTributeForm(tributeForm);
+        setTributeFormErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        const tributeRef = doc(collection(db, getTributesCollectionPath(appId)));
+        setTributeSubmission({ progress: 0 });
+        try {
+            const files = await uploadTributeFiles(storage, getTributeStoragePath(appId, tributeOwnerId, tributeRef.id), tributeForm, {
+                onProgress: (progress) => setTributeSubmission({ progress })
+            });
+            try {
+                await setDoc(tributeRef, {
+                    ownerId: tributeOwnerId,
+                    authorId: userId,
+                    name: tributeForm.name.trim(),
+                    message: tributeForm.message.trim(),
+                    ...files,
+                    status: 'pending',
+                    seed: false,
+                    createdAt: serverTimestamp()
+                });
+            } catch (error) {
+                // Não deixa arquivos órfãos no Storage se o documento não foi salvo
+                deleteTributeFiles(storage, files).catch((cleanupError) => console.error("Erro ao limpar homenagem enviada:", cleanupError));
+                throw error;
+            }
+            setTributeForm({ name: '', message: '', photo: null, media: null });
+            setTributeSubmission({ sent: true });
+        } catch (error) {
+            console.error("Erro ao enviar homenagem:", error);
+            setTributeSubmission(null);
+            showAppMessage("Erro ao enviar a homenagem. Tente novamente.");
+        }
+    };
 
-    // Salvar cartão no Firestore
-    const saveCard = async () => {
+    // Sai do modo convidado (ex.: o próprio dono abriu o link) e volta ao site
+    const leaveGuestMode = () => {
+        setTributeOwnerId(null);
+        setTributeSubmission(null);
+        navigate('home', {}, { replace: true });
+    };
+
+    // Dono do mural: aprova, oculta ou recusa uma homenagem (ocultar pode ser desfeito)
+    const setTributeStatus = async (tribute, status) => {
         if (!userId || !db) {
             showAppMessage("Por favor, aguarde a inicialização para salvar.");
             return;
         }
-        if (!cardText.trim()) {
-            showAppMessage("O cartão não pode estar vazio.");
+        const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+        const tributeRef = doc(db, `${getTributesCollectionPath(appId)}/${tribute.id}`);
+        try {
+            await updateDoc(tributeRef, { status, reviewedAt: serverTimestamp() });
+            if (status === 'approved') {
+                showTemporaryNotification("Homenagem aprovada! Ela já aparece no mural.");
+            } else if (tribute.status === 'approved') {
+                showUndoAction("Homenagem ocultada do mural.", async () => {
+                    try {
+                        await updateDoc(tributeRef, { status: 'approved' });
+                    } catch (error) {
+                        console.error("Erro ao restaurar homenagem:", error);
+                        showAppMessage("Erro ao restaurar a homenagem. Tente novamente.");
+                    }
+                });
+            } else {
+                showTemporaryNotification("Homenagem recusada.");
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar homenagem:", error);
+            showAppMessage("Erro ao atualizar a homenagem. Tente novamente.");
+        }
+    };
+
+    // Exclui de vez uma homenagem recusada, com a foto e o clipe (não dá para desfazer)
+    const deleteTribute = (tribute) => {
+        if (!userId || !db || !storage) {
+            showAppMessage("Por favor, aguarde a inicialização para excluir.");
+            return;
+        }
+        showConfirm(`Excluir definitivamente a homenagem de "${tribute.name}"? Isso não pode ser desfeito.`, async () => {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            try {
+                await deleteDoc(doc(db, `${getTributesCollectionPath(appId)}/${tribute.id}`));
+                await deleteTributeFiles(storage, tribute);
+                showTemporaryNotification("Homenagem excluída.");
+            } catch (error) {
+                console.error("Erro ao excluir homenagem:", error);
+                showAppMessage("Erro ao excluir a homenagem. Tente novamente.");
+            }
+        }, 'Excluir');
+    };
+
+    // Salva a configuração do modo surpresa (data e hora da revelação e música de fundo)
+    const saveRevealSettings = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para salvar.");
+            return;
+        }
+        if (revealForm.enabled && !revealForm.revealAt) {
+            showAppMessage("Escolha a data e a hora da revelação.");
             return;
         }
         try {
             const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
-            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/cards`), {
-                text: cardText,
-                bgColor: cardBgColor,
-                createdAt: serverTimestamp()
+            await setDoc(doc(db, `artifacts/${appId}/users/${userId}/settings/reveal`), {
+                enabled: revealForm.enabled,
+                revealAt: revealForm.revealAt ? Timestamp.fromDate(new Date(revealForm.revealAt)) : null,
+                music: revealForm.music
             });
-            showAppMessage("Cartão salvo com sucesso!");
-            setCardText(''); // Limpa o conteúdo do cartão
-            setCardBgColor('#ffffff'); // Reseta a cor de fundo
+            showTemporaryNotification(revealForm.enabled ? "Modo surpresa ativado!" : "Modo surpresa desativado.");
         } catch (error) {
-            console.error("Erro ao salvar cartão:", error);
-            showAppMessage("Erro ao salvar o cartão. Tente novamente.");
+            console.error("Erro ao salvar o modo surpresa:", error);
+            showAppMessage("Erro ao salvar o modo surpresa. Tente novamente.");
         }
     };
 
-    // Aplicar modelo de cartão
-    const applyCardTemplate = (template) => {
-        setCardText(template.text);
-        setCardBgColor(template.bgColor);
+    // Fecha a apresentação; depois da hora marcada, ela não abre mais sozinha neste navegador
+    const closeReveal = () => {
+        if (revealPhase === 'reveal') markRevealSeen(revealAtMs);
+        setShowReveal(false);
     };
 
-    // Registrar humor no Firestore
-    const recordMood = async (mood) => {
-        if (!userId || !db) {
-            showAppMessage("Por favor, aguarde a inicialização para registrar o humor.");
+    // Funções de conta: login com Google ou e-mail, conta nova para o visitante e saída
+    const openAccountForm = (mode) => {
+        setShowProfileMenu(false);
+        setAccountError('');
+        setAccountForm({ mode, email: '', password: '' });
+    };
+
+    const finishAccountSignIn = (user, linked) => {
+        const signedIn = describeAuthUser(user);
+        setAccount(signedIn); // Ao vincular, o UID não muda e o Firebase não avisa a troca
+        setAccountForm(null);
+        showTemporaryNotification(linked ? "Conta criada! Tudo o que você fez neste aparelho foi mantido." : `Bem-vindo, ${getAccountLabel(signedIn)}!`);
+    };
+
+    const handleGoogleSignIn = async () => {
+        if (!auth) {
+            showAppMessage("Por favor, aguarde a inicialização para entrar.");
             return;
         }
+        setAccountBusy(true);
+        setAccountError('');
         try {
-            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
-            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/moods`), {
-                mood: mood,
-                timestamp: serverTimestamp()
-            });
-            setCurrentMood(mood);
-            showAppMessage(`Humor registrado: ${mood}`);
+            const result = await signInWithGoogle(auth);
+            if (result.conflict) {
+                showConfirm("Essa conta Google já está em uso. Entrar nela? O que você criou como visitante neste aparelho não vai junto para a conta.", async () => {
+                    try {
+                        const { user } = await switchToExistingAccount(auth, result.conflict);
+                        finishAccountSignIn(user, false);
+                    } catch (error) {
+                        console.error("Erro ao entrar com o Google:", error);
+                        setAccountError(getAuthErrorMessage(error) || '');
+                    }
+                }, 'Entrar');
+                return;
+            }
+            finishAccountSignIn(result.user, result.linked);
         } catch (error) {
-            console.error("Erro ao registrar humor:", error);
-            showAppMessage("Erro ao registrar o humor. Tente novamente.");
+            console.error("Erro ao entrar com o Google:", error);
+            setAccountError(getAuthErrorMessage(error) || '');
+        } finally {
+            setAccountBusy(false);
         }
     };
 
-    // Salvar data inicial do contador de dias no Firestore
-    const saveStartDate = async () => {
-        if (!userId || !db) {
-            showAppMessage("Por favor, aguarde a inicialização para salvar a data.");
+    const submitAccountForm = async () => {
+        if (!auth) {
+            showAppMessage("Por favor, aguarde a inicialização para entrar.");
+            return;
+        }
+        const formError = validateAccountForm(accountForm);
+        if (formError) {
+            setAccountError(formError);
+            return;
+        }
+        const email = accountForm.email.trim();
+        const submit = async () => {
+            setAccountBusy(true);
+            setAccountError('');
+            try {
+                if (accountForm.mode === 'register') {
+                    const result = await registerWithEmail(auth, email, accountForm.password);
+                    finishAccountSignIn(result.user, result.linked);
+                } else {
+                    const { user } = await signInWithEmail(auth, email, accountForm.password);
+                    finishAccountSignIn(user, false);
+                }
+            } catch (error) {
+                console.error("Erro ao entrar com e-mail:", error);
+                setAccountError(getAuthErrorMessage(error) || '');
+            } finally {
+                setAccountBusy(false);
+            }
+        };
+        // Entrar em uma conta existente troca de usuário: como no Google, o visitante confirma antes
+        if (accountForm.mode !== 'register' && auth.currentUser?.isAnonymous) {
+            showConfirm("Entrar em uma conta existente? O que você criou como visitante neste aparelho não vai junto para a conta. Para guardar esses dados, use \"Criar conta\".", submit, 'Entrar');
             return;
         }
-        if (!startDate) {
-            showAppMessage("Por favor, selecione uma data.");
+        submit();
+    };
+
+    const handlePasswordReset = async () => {
+        const email = accountForm.email.trim();
+        if (validateAccountForm({ mode: 'signIn', email, password: '-' })) {
+            setAccountError("Informe seu e-mail para receber o link de redefinição.");
             return;
         }
         try {
-            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
-            await setDoc(doc(db, `artifacts/${appId}/users/${userId}/daysCounter/data`), {
-                startDate: startDate
-            });
-            showAppMessage("Data inicial salva com sucesso!");
+            await sendPasswordReset(auth, email);
+            setAccountError('');
+            showAppMessage(`Se houver uma conta com ${email}, enviamos um link para criar uma nova senha.`);
         } catch (error) {
-            console.error("Erro ao salvar data inicial:", error);
-            showAppMessage("Erro ao salvar a data inicial. Tente novamente.");
+            console.error("Erro ao enviar redefinição de senha:", error);
+            setAccountError(getAuthErrorMessage(error) || '');
         }
     };
 
-    // Adicionar foto à galeria
-    const handlePhotoUpload = async (event) => {
+    // Ao sair, o site volta a abrir como visitante (novo usuário anônimo)
+    const handleSignOut = () => {
+        setShowProfileMenu(false);
+        showConfirm("Sair da conta? Neste aparelho o site volta a abrir como visitante.", async () => {
+            try {
+                await signOut(auth);
+                showTemporaryNotification("Você saiu da conta.");
+            } catch (error) {
+                console.error("Erro ao sair:", error);
+                showAppMessage("Erro ao sair da conta. Tente novamente.");
+            }
+        }, 'Sair');
+    };
+
+    // Funções para o Espaço da Família
+    // Cria o espaço com o usuário como primeiro membro e um código de convite para os demais
+    const createFamilySpace = async () => {
         if (!userId || !db) {
-            showAppMessage("Por favor, aguarde a inicialização para fazer upload de fotos.");
+            showAppMessage("Por favor, aguarde a inicialização para criar o espaço.");
             return;
         }
-        const file = event.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onloadend = async () => {
-                try {
-                    const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
-                    await addDoc(collection(db, `artifacts/${appId}/users/${userId}/photos`), {
-                        dataUrl: reader.result, // Armazena a imagem como base64
+        if (familySpace) {
+            showAppMessage("Você já participa de um espaço da família. Saia dele antes de criar outro.");
+            return;
+        }
+        const name = spaceForm.name.trim();
+        if (!name) {
+            showAppMessage("Dê um nome ao espaço da família.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const spaceRef = doc(collection(db, getSpacesCollectionPath(appId)));
+            // Espaço e convite são gravados juntos; se o código sorteado já existir, sorteia outro
+            let inviteCode = null;
+            for (let attempt = 0; attempt < 5 && !inviteCode; attempt++) {
+                inviteCode = await runTransaction(db, async (transaction) => {
+                    const code = generateInviteCode();
+                    const inviteRef = doc(db, getSpaceInvitePath(appId, code));
+                    if ((await transaction.get(inviteRef)).exists()) return null;
+                    transaction.set(spaceRef, {
+                        name: name.slice(0, SPACE_NAME_MAX_LENGTH),
+                        inviteCode: code,
+                        memberIds: [userId],
+                        members: { [userId]: { name: getAccountLabel(account), joinedAt: serverTimestamp() } },
+                        createdBy: userId,
                         createdAt: serverTimestamp()
                     });
-                    showAppMessage("Foto adicionada à galeria!");
-                } catch (error) {
-                    console.error("Erro ao adicionar foto:", error);
-                    showAppMessage("Erro ao adicionar a foto. Tente novamente.");
-                }
-            };
-            reader.readAsDataURL(file);
+                    transaction.set(inviteRef, { spaceId: spaceRef.id });
+                    return code;
+                });
+            }
+            if (!inviteCode) throw new Error("Nenhum código de convite livre.");
+            setSpaceForm({ name: '', code: '' });
+            showAppMessage(`Espaço criado! Mande o código ${formatInviteCode(inviteCode)} para quem vai participar.`);
+        } catch (error) {
+            console.error("Erro ao criar espaço da família:", error);
+            showAppMessage("Erro ao criar o espaço. Tente novamente.");
+        }
+    };
+
+    // Entra em um espaço pelo código de convite
+    const joinFamilySpace = async () => {
+        if (!userId || !db) {
+            showAppMessage("Por favor, aguarde a inicialização para entrar no espaço.");
+            return;
+        }
+        if (familySpace) {
+            showAppMessage("Você já participa de um espaço da família. Saia dele antes de entrar em outro.");
+            return;
         }
+        const code = normalizeInviteCode(spaceForm.code);
+        if (!code) {
+            showAppMessage("Digite o código de convite.");
+            return;
+        }
+        try {
+            const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+            const inviteSnap = await getDoc(doc(db, getSpaceInvitePath(appId, code)));
+            if (!inviteSnap.exists()) {
+                showAppMessage("Código de convite não encontrado. Confira e tente de novo.");
+                return;
+            }
+            await updateDoc(doc(db, getSpacePath(appId, inviteSnap.data().spaceId)), {
+                memberIds: arrayUnion(userId),
+                [`members.${userId}`]: { name: getAccountLabel(account), joinedAt: serverTimestamp() }
+            });
+            setSpaceForm({ name: '', code: '' });
+            showTemporaryNotification("Você entrou no espaço da família!");
+        } catch (error) {
+            console.error("Erro ao entrar no espaço da família:", error);
+            showAppMessage("Erro ao entrar no espaço. Tente novamente.");
+        }
+    };
+
+    // Sai do espaço; o que a pessoa compartilhou continua lá para os outros membros
+    const leaveFamilySpace = () => {
+        if (!userId || !db || !familySpace) return;
+        showConfirm(`Sair do espaço "${familySpace.name}"? O que você compartilhou continua lá para a família.`, async () => {
+            try {
+                const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_FIREBASE_APP_ID ? process.env.REACT_APP_FIREBASE_APP_ID : 'default-app-id');
+                await updateDoc(doc(db, getSpacePath(appId, familySpace.id)), {
+                    memberIds: arrayRemove(userId),
+                    [`members.${userId}`]: deleteField()
+                });
+                showTemporaryNotification("Você saiu do espaço da família.");
+            } catch (error) {
+                console.error("Erro ao sair do espaço da família:", error);
+                showAppMessage("Erro ao sair do espaço. Tente novamente.");
+            }
+        }, 'Sair');
     };
 
     // Componente de Mensagem Modal (substitui alert)
@@ -593,6 +3203,42 @@ const App = () => {
         );
     };
 
+    // Componente de Confirmação (substitui confirm)
+    const ConfirmModal = ({ message, confirmLabel, onConfirm, onCancel }) => {
+        return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+                <div className="bg-white p-6 rounded-lg shadow-xl max-w-sm w-full text-center">
+                    <p className="text-lg font-semibold mb-4 text-gray-800">{message}</p>
+                    <div className="flex justify-center gap-3">
+                        <button
+                            onClick={onCancel}
+                            className="bg-gray-300 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-400 transition duration-300 shadow-md"
+                        >
+                            Cancelar
+                        </button>
+                        <button
+                            onClick={onConfirm}
+                            className="bg-red-600 text-white px-6 py-2 rounded-full hover:bg-red-700 transition duration-300 shadow-md"
+                        >
+                            {confirmLabel}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Componente de barra para desfazer a última ação
+    const UndoBanner = ({ action, onUndo, onDismiss }) => {
+        return (
+            <div className="fixed bottom-4 left-1/2 -translate-x-1/2 bg-gray-800 text-white px-6 py-3 rounded-lg shadow-lg z-50 flex items-center gap-4">
+                <span>{action.message}</span>
+                <button onClick={onUndo} className="font-semibold text-yellow-300 hover:text-yellow-200">Desfazer</button>
+                <button onClick={onDismiss} className="text-gray-400 hover:text-white" aria-label="Fechar">✕</button>
+            </div>
+        );
+    };
+
     // Componente de Notificação Temporária
     const NotificationBanner = ({ message, show }) => {
         return (
@@ -602,10 +3248,69 @@ const App = () => {
         );
     };
 
+    // Homenagens do mural (enquanto os jogadores não chegam do Firestore, mostra a cópia local)
+    const approvedTributes = tributes.filter((tribute) => tribute.status === 'approved');
+    const tributeWall = tributeWallSeeded || approvedTributes.length > 0 ? approvedTributes : SEED_TRIBUTES;
+
+    // Mensagem aberta pelo endereço /jogadores/:nome (escondida enquanto o mural é surpresa)
+    const selectedPlayer = currentPage === 'home' && route.params.player && revealPhase !== 'countdown'
+        ? tributeWall.find((tribute) => getTributeSlug(tribute) === route.params.player)
+        : null;
+
+    // Homenagens esperando aprovação (aviso no menu)
+    const pendingTributeCount = tributes.filter((tribute) => tribute.status === 'pending').length;
+
+    // Selo de visibilidade de um item (com o autor, se compartilhado) e o botão que troca; só aparece com espaço da família
+    const renderItemVisibility = (collectionName, item) => {
+        if (!familySpace) return null;
+        const shared = item.visibility === 'shared';
+        const canToggle = !shared || !item.authorId || item.authorId === userId;
+        return (
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-500">
+                <span>{shared ? `👪 Compartilhado · por ${getAuthorLabel(item, userId, familySpace)}` : '🔒 Privado'}</span>
+                {canToggle && (
+                    <button onClick={() => moveContentItem(collectionName, item)} className="underline hover:text-gray-800">
+                        {shared ? 'Tornar privado' : 'Compartilhar'}
+                    </button>
+                )}
+            </div>
+        );
+    };
+
+    // Página 404 (endereço desconhecido ou item que não existe mais)
+    const renderNotFound = () => (
+        <div className="flex flex-col items-center justify-center p-6 text-center min-h-[50vh]">
+            <p className="text-6xl mb-4">🐓</p>
+            <h2 className="text-3xl md:text-4xl font-bold text-white mb-4">Página não encontrada</h2>
+            <p className="text-lg text-gray-200 mb-8">Esse endereço não existe ou o que estava aqui foi removido.</p>
+            <button onClick={() => navigate('home')} className="bg-white text-black px-6 py-2 rounded-full hover:bg-gray-200 transition duration-300 shadow-md font-semibold">
+                Voltar ao Início
+            </button>
+        </div>
+    );
+
     // Renderização das páginas
     const renderPage = () => {
         switch (currentPage) {
-            case 'home':
+            case 'home': {
+                // Não mostra o mural antes de saber se ele ainda é surpresa
+                if (db && revealSettings === null) {
+                    return <p className="p-6 text-center text-gray-300">Carregando...</p>;
+                }
+                if (route.params.player && tributeWallSeeded && revealPhase !== 'countdown' && !selectedPlayer) {
+                    return renderNotFound();
+                }
+                if (revealPhase === 'countdown') {
+                    return (
+                        <div className="flex flex-col items-center justify-center p-6 text-center min-h-[50vh]">
+                            <p className="text-6xl mb-6">🎁</p>
+                            <h2 className="text-3xl md:text-4xl font-bold text-white mb-4">Tem uma surpresa chegando...</h2>
+                            <p className="text-lg text-gray-200 mb-6">As mensagens do mural serão reveladas em</p>
+                            <p className="text-4xl md:text-5xl font-bold font-mono text-white mb-4">{formatCountdown(revealAtMs - now)}</p>
+                            <p className="text-gray-400">{revealSettings.revealAt.toDate().toLocaleString('pt-BR', { dateStyle: 'full', timeStyle: 'short' })}</p>
+                        </div>
+                    );
+                }
                 return (
                     <div className="flex flex-col items-center justify-center p-6 text-center">
                         <h2 className="text-3xl md:text-4xl font-bold text-white mb-6">Uma Celebração Alvinegra!</h2>
@@ -616,21 +3321,270 @@ const App = () => {
                             se encontra com a celebração da sua vida.
                         </p>
                         <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-6">
-                            {players.map((player, index) => (
+                            {tributeWall.map((tribute, index) => (
                                 <div
-                                    key={index}
+                                    key={tribute.id || index}
                                     className="bg-white rounded-xl shadow-lg p-4 flex flex-col items-center cursor-pointer transform hover:scale-105 transition duration-300 border-2 border-gray-200 hover:border-black"
-                                    onClick={() => openPlayerModal(player)}
+                                    onClick={() => openPlayerModal(tribute)}
                                 >
-                                    <img src={player.image} alt={player.name} className="w-24 h-24 rounded-full mb-3 object-cover border-4 border-gray-300" />
-                                    <p className="text-lg font-semibold text-gray-800">{player.name}</p>
-                                    <span className="text-sm text-gray-500 mt-1">Clique para mensagem</span>
+                                    <img src={getTributeImage(tribute)} alt={tribute.name} className="w-24 h-24 rounded-full mb-3 object-cover border-4 border-gray-300" />
+                                    <p className="text-lg font-semibold text-gray-800">{tribute.name}</p>
+                                    <span className="text-sm text-gray-500 mt-1">
+                                        {tribute.mediaType === 'video' ? '🎬 ' : tribute.mediaType === 'audio' ? '🎙️ ' : ''}Clique para mensagem
+                                    </span>
                                 </div>
                             ))}
                         </div>
+                        {tributeWall.length === 0 && (
+                            <p className="text-gray-300">O mural está vazio. Aprove homenagens na página Homenagens.</p>
+                        )}
+                        {revealPhase === 'reveal' && tributeWall.length > 0 && (
+                            <button onClick={() => setShowReveal(true)} className="mt-8 bg-black text-white border-2 border-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md font-semibold">
+                                🎉 Rever a surpresa
+                            </button>
+                        )}
+                        <button onClick={() => navigate('tributes')} className="mt-8 bg-white text-black px-6 py-2 rounded-full hover:bg-gray-200 transition duration-300 shadow-md font-semibold">
+                            💌 Convidar amigos e família para deixar uma homenagem
+                        </button>
+                    </div>
+                );
+            }
+            case 'guestTribute': {
+                const tributeInputClass = (field) => `w-full p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-black ${tributeFormErrors[field] ? 'border-red-500' : 'border-gray-300'}`;
+                return (
+                    <div className="p-6 text-center">
+                        <h2 className="text-3xl md:text-4xl font-bold text-white mb-4">Deixe sua homenagem para o Dr. Emanuel</h2>
+                        <p className="text-lg text-gray-200 mb-8 max-w-2xl mx-auto">
+                            Escreva uma mensagem e, se quiser, mande uma foto e um áudio ou vídeo curto.
+                            Ela aparece no mural assim que for aprovada.
+                        </p>
+                        {tributeSubmission?.sent ? (
+                            <div className="bg-white rounded-xl shadow-lg p-6 max-w-xl mx-auto border-2 border-gray-200 text-gray-800">
+                                <p className="text-2xl font-bold mb-2">Obrigado! 🖤🤍</p>
+                                <p className="mb-6">Sua homenagem foi enviada e vai para o mural depois de aprovada.</p>
+                                <button onClick={() => setTributeSubmission(null)} className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">
+                                    Enviar outra homenagem
+                                </button>
+                            </div>
+                        ) : (
+                            <div className="bg-white rounded-xl shadow-lg p-6 max-w-xl mx-auto border-2 border-gray-200 text-left space-y-4">
+                                <label className="block text-gray-700 font-medium">
+                                    Seu nome
+                                    <input type="text" value={tributeForm.name} maxLength={TRIBUTE_NAME_MAX_LENGTH} onChange={(e) => setTributeForm({ ...tributeForm, name: e.target.value })} placeholder="Ex.: Tia Maria" className={tributeInputClass('name')} />
+                                    {tributeFormErrors.name && <span className="text-sm text-red-600">{tributeFormErrors.name}</span>}
+                                </label>
+                                <label className="block text-gray-700 font-medium">
+                                    Mensagem
+                                    <textarea value={tributeForm.message} maxLength={TRIBUTE_MESSAGE_MAX_LENGTH} rows={5} onChange={(e) => setTributeForm({ ...tributeForm, message: e.target.value })} className={tributeInputClass('message')} />
+                                    <span className="block text-xs text-gray-500 text-right">{tributeForm.message.length}/{TRIBUTE_MESSAGE_MAX_LENGTH}</span>
+                                    {tributeFormErrors.message && <span className="text-sm text-red-600">{tributeFormErrors.message}</span>}
+                                </label>
+                                <label className="block text-gray-700 font-medium">
+                                    Foto (opcional)
+                                    <input type="file" accept={PHOTO_ACCEPTED_TYPES.join(',')} onChange={(e) => setTributeForm({ ...tributeForm, photo: e.target.files[0] || null })} className="block w-full text-sm mt-1" />
+                                    {tributeFormErrors.photo && <span className="text-sm text-red-600">{tributeFormErrors.photo}</span>}
+                                </label>
+                                <label className="block text-gray-700 font-medium">
+                                    Áudio ou vídeo (opcional, até {TRIBUTE_MEDIA_MAX_SECONDS} segundos)
+                                    <input type="file" accept="audio/*,video/*" onChange={(e) => setTributeForm({ ...tributeForm, media: e.target.files[0] || null })} className="block w-full text-sm mt-1" />
+                                    {tributeFormErrors.media && <span className="text-sm text-red-600">{tributeFormErrors.media}</span>}
+                                </label>
+                                {tributeSubmission && (
+                                    <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden" role="progressbar" aria-label="Envio da homenagem" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(tributeSubmission.progress * 100)}>
+                                        <div className="h-full bg-black transition-all duration-200" style={{ width: `${tributeSubmission.progress * 100}%` }} />
+                                    </div>
+                                )}
+                                <div className="text-center">
+                                    <button onClick={submitTribute} disabled={Boolean(tributeSubmission)} className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md disabled:opacity-50">
+                                        {tributeSubmission ? `Enviando... ${Math.round(tributeSubmission.progress * 100)}%` : 'Enviar homenagem'}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                        {tributeOwnerId === userId && (
+                            <button onClick={leaveGuestMode} className="mt-6 underline text-gray-300">Este é o seu mural? Voltar ao site</button>
+                        )}
+                    </div>
+                );
+            }
+            case 'tributes': {
+                const pendingTributes = tributes.filter((tribute) => tribute.status === 'pending');
+                const rejectedTributes = tributes.filter((tribute) => tribute.status === 'rejected');
+                const renderTribute = (tribute, actions) => (
+                    <li key={tribute.id} className="py-4 flex gap-4 text-left">
+                        <img src={getTributeImage(tribute)} alt={tribute.name} className="w-16 h-16 rounded-full object-cover border-2 border-gray-300 shrink-0" />
+                        <div className="flex-grow min-w-0">
+                            <p className="font-semibold text-gray-900">
+                                {tribute.name}
+                                {tribute.createdAt && !tribute.seed && <span className="ml-2 text-xs font-normal text-gray-500">{tribute.createdAt.toDate().toLocaleString('pt-BR')}</span>}
+                            </p>
+                            <p className="text-gray-700 whitespace-pre-line break-words">{tribute.message}</p>
+                            {tribute.mediaType === 'video' && <video src={tribute.mediaUrl} controls preload="metadata" className="mt-2 max-h-48 rounded-lg" />}
+                            {tribute.mediaType === 'audio' && <audio src={tribute.mediaUrl} controls preload="metadata" className="mt-2 w-full" />}
+                            <div className="flex flex-wrap gap-2 mt-2">{actions}</div>
+                        </div>
+                    </li>
+                );
+                const tributeActionClass = 'px-3 py-1 rounded-full text-sm shadow-sm transition duration-300';
+                return (
+                    <div className="p-6 text-center">
+                        <h2 className="text-3xl md:text-4xl font-bold text-white mb-8">Homenagens</h2>
+                        <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto mb-8 border-2 border-gray-200 text-gray-800">
+                            <h3 className="text-2xl font-semibold mb-2">Convide quem você quiser</h3>
+                            <p className="mb-4">Quem abrir este link pode enviar nome, foto, mensagem e um áudio ou vídeo curto. Nada aparece no mural antes da sua aprovação.</p>
+                            <div className="flex flex-col sm:flex-row gap-2">
+                                <input type="text" readOnly value={userId ? getTributeShareUrl(userId) : ''} onFocus={(e) => e.target.select()} className="flex-grow p-2 border border-gray-300 rounded-lg text-sm" />
+                                <button onClick={() => copyLink(getTributeShareUrl(userId))} disabled={!userId} className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">Copiar link</button>
+                            </div>
+                        </div>
+                        <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto mb-8 border-2 border-gray-200 text-gray-800 text-left">
+                            <h3 className="text-2xl font-semibold mb-2 text-center">🎁 Modo surpresa</h3>
+                            <p className="mb-4 text-center">Até a hora marcada, a página inicial mostra só uma contagem regressiva. Depois, as mensagens aparecem uma a uma, terminando com a da Júlia Ayla.</p>
+                            <label className="flex items-center gap-2 mb-3 font-medium">
+                                <input type="checkbox" checked={revealForm.enabled} onChange={(e) => setRevealForm({ ...revealForm, enabled: e.target.checked })} />
+                                Esconder o mural até a revelação
+                            </label>
+                            <label className="block font-medium mb-3">
+                                Revelar em
+                                <input type="datetime-local" value={revealForm.revealAt} onChange={(e) => setRevealForm({ ...revealForm, revealAt: e.target.value })} className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black" />
+                            </label>
+                            <label className="flex items-center gap-2 mb-4 font-medium">
+                                <input type="checkbox" checked={revealForm.music} onChange={(e) => setRevealForm({ ...revealForm, music: e.target.checked })} />
+                                Tocar música de fundo
+                            </label>
+                            <div className="flex flex-wrap justify-center gap-3">
+                                <button onClick={saveRevealSettings} className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">Salvar</button>
+                                <button onClick={() => setShowReveal(true)} disabled={tributeWall.length === 0} className="bg-gray-200 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md disabled:opacity-50">Pré-visualizar</button>
+                            </div>
+                        </div>
+                        <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto mb-8 border-2 border-gray-200 text-gray-800">
+                            <h3 className="text-2xl font-semibold mb-2">Aguardando aprovação ({pendingTributes.length})</h3>
+                            {pendingTributes.length > 0 ? (
+                                <ul className="divide-y divide-gray-200">
+                                    {pendingTributes.map((tribute) => renderTribute(tribute, (
+                                        <>
+                                            <button onClick={() => setTributeStatus(tribute, 'approved')} className={`${tributeActionClass} bg-black text-white hover:bg-gray-800`}>Aprovar</button>
+                                            <button onClick={() => setTributeStatus(tribute, 'rejected')} className={`${tributeActionClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}>Recusar</button>
+                                        </>
+                                    )))}
+                                </ul>
+                            ) : (
+                                <p className="text-gray-500">Nenhuma homenagem nova.</p>
+                            )}
+                        </div>
+                        <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto mb-8 border-2 border-gray-200 text-gray-800">
+                            <h3 className="text-2xl font-semibold mb-2">No mural ({approvedTributes.length})</h3>
+                            {approvedTributes.length > 0 ? (
+                                <ul className="divide-y divide-gray-200">
+                                    {approvedTributes.map((tribute) => renderTribute(tribute, (
+                                        <button onClick={() => setTributeStatus(tribute, 'rejected')} className={`${tributeActionClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}>Ocultar do mural</button>
+                                    )))}
+                                </ul>
+                            ) : (
+                                <p className="text-gray-500">Nenhuma homenagem no mural.</p>
+                            )}
+                        </div>
+                        {rejectedTributes.length > 0 && (
+                            <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto border-2 border-gray-200 text-gray-800">
+                                <h3 className="text-2xl font-semibold mb-2">Recusadas e ocultas ({rejectedTributes.length})</h3>
+                                <ul className="divide-y divide-gray-200">
+                                    {rejectedTributes.map((tribute) => renderTribute(tribute, (
+                                        <>
+                                            <button onClick={() => setTributeStatus(tribute, 'approved')} className={`${tributeActionClass} bg-black text-white hover:bg-gray-800`}>Aprovar</button>
+                                            <button onClick={() => deleteTribute(tribute)} className={`${tributeActionClass} bg-red-600 text-white hover:bg-red-700`}>Excluir definitivamente</button>
+                                        </>
+                                    )))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                );
+            }
+            case 'family':
+                return (
+                    <div className="p-6 text-center">
+                        <h2 className="text-3xl md:text-4xl font-bold text-white mb-4">Espaço da Família</h2>
+                        <p className="text-lg text-gray-200 mb-8 max-w-2xl mx-auto">Um wonderland compartilhado: cartas, cartões, fotos e marcos que todos os membros veem e acompanham em tempo real, cada um com o nome de quem criou.</p>
+                        {account?.isAnonymous && (
+                            <div className="bg-yellow-50 text-gray-800 rounded-xl p-4 max-w-3xl mx-auto mb-8 border-2 border-yellow-300">
+                                <p className="mb-3">Você está como visitante: se trocar de aparelho ou limpar o navegador, perde o acesso ao espaço. Crie uma conta para continuar sendo membro.</p>
+                                <button onClick={() => openAccountForm('register')} className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">Criar conta</button>
+                            </div>
+                        )}
+                        {!familySpaceLoaded ? (
+                            <p className="text-gray-200">Carregando...</p>
+                        ) : familySpace ? (
+                            <>
+                                <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto mb-8 border-2 border-gray-200 text-gray-800">
+                                    <h3 className="text-2xl font-semibold mb-2">👪 {familySpace.name}</h3>
+                                    <p className="mb-4">Para convidar alguém, mande este código. A pessoa entra em "Família" e digita o código.</p>
+                                    <div className="flex flex-col sm:flex-row items-center justify-center gap-3">
+                                        <span className="text-3xl font-mono font-bold tracking-widest">{formatInviteCode(familySpace.inviteCode)}</span>
+                                        <button onClick={() => copyLink(formatInviteCode(familySpace.inviteCode))} className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">Copiar código</button>
+                                    </div>
+                                </div>
+                                <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto mb-8 border-2 border-gray-200 text-gray-800">
+                                    <h3 className="text-2xl font-semibold mb-2">Membros ({familySpace.memberIds.length})</h3>
+                                    <ul className="divide-y divide-gray-200 text-left">
+                                        {Object.entries(familySpace.members || {}).map(([memberId, member]) => (
+                                            <li key={memberId} className="py-2 flex justify-between gap-4">
+                                                <span className="font-semibold">{member.name}{memberId === userId && ' (você)'}</span>
+                                                {member.joinedAt && <span className="text-sm text-gray-500">desde {member.joinedAt.toDate().toLocaleDateString('pt-BR')}</span>}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                                <div className="bg-white rounded-xl shadow-lg p-6 max-w-3xl mx-auto mb-8 border-2 border-gray-200 text-gray-800">
+                                    <h3 className="text-2xl font-semibold mb-2">Itens novos</h3>
+                                    <p className="mb-4">Onde entram as cartas, cartões, fotos e marcos que você criar daqui em diante. Cada item também pode mudar depois, na própria lista.</p>
+                                    <div className="flex flex-wrap justify-center gap-2">
+                                        {ITEM_VISIBILITIES.map((visibility) => (
+                                            <button
+                                                key={visibility.id}
+                                                onClick={() => setNewItemVisibility(visibility.id)}
+                                                className={`px-4 py-2 rounded-full transition duration-300 ${newItemVisibility === visibility.id ? 'bg-black text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                                            >
+                                                {visibility.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <p className="text-sm text-gray-500 mt-2">{ITEM_VISIBILITIES.find((visibility) => visibility.id === newItemVisibility).description}</p>
+                                </div>
+                                <button onClick={leaveFamilySpace} className="bg-gray-200 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md">Sair do espaço</button>
+                            </>
+                        ) : (
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 max-w-3xl mx-auto text-gray-800">
+                                <form onSubmit={(e) => { e.preventDefault(); joinFamilySpace(); }} className="bg-white rounded-xl shadow-lg p-6 border-2 border-gray-200">
+                                    <h3 className="text-2xl font-semibold mb-2">Tenho um convite</h3>
+                                    <input
+                                        type="text"
+                                        value={spaceForm.code}
+                                        onChange={(e) => setSpaceForm({ ...spaceForm, code: e.target.value })}
+                                        placeholder="ABCD-EFGH"
+                                        autoCapitalize="characters"
+                                        className="w-full p-2 border border-gray-300 rounded-lg mb-3 font-mono text-center uppercase"
+                                    />
+                                    <button type="submit" className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">Entrar no espaço</button>
+                                </form>
+                                <form onSubmit={(e) => { e.preventDefault(); createFamilySpace(); }} className="bg-white rounded-xl shadow-lg p-6 border-2 border-gray-200">
+                                    <h3 className="text-2xl font-semibold mb-2">Criar um espaço</h3>
+                                    <input
+                                        type="text"
+                                        value={spaceForm.name}
+                                        onChange={(e) => setSpaceForm({ ...spaceForm, name: e.target.value })}
+                                        maxLength={SPACE_NAME_MAX_LENGTH}
+                                        placeholder="Família do Galo"
+                                        className="w-full p-2 border border-gray-300 rounded-lg mb-3"
+                                    />
+                                    <button type="submit" className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">Criar</button>
+                                </form>
+                                <p className="md:col-span-2 text-gray-200">Sem espaço, tudo o que você cria continua só seu.</p>
+                            </div>
+                        )}
                     </div>
                 );
             case 'creativeStudio':
+                if (route.params.letterId && lettersLoaded && !linkedLetterLoaded) return renderNotFound();
                 return (
                     <div className="p-6">
                         <h2 className="text-3xl md:text-4xl font-bold text-white mb-8 text-center">Estúdio Criativo: Seu Santuário Pessoal</h2>
@@ -638,48 +3592,262 @@ const App = () => {
                         {/* Seção de Desenho */}
                         <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-2 border-gray-200">
                             <h3 className="text-2xl font-semibold text-gray-800 mb-4">Galeria de Desenhos da Massa</h3>
+                            {/* Ferramentas */}
+                            <div className="flex flex-wrap justify-center gap-2 mb-4" role="toolbar" aria-label="Ferramentas de desenho">
+                                {drawingTools.map((tool) => (
+                                    <button
+                                        key={tool.id}
+                                        onClick={() => selectDrawingTool(tool.id)}
+                                        aria-pressed={drawingTool === tool.id}
+                                        className={`px-4 py-2 rounded-full text-sm font-semibold shadow-md transition duration-300 border-2 ${drawingTool === tool.id ? 'bg-black text-white border-black' : 'bg-gray-100 text-gray-800 border-gray-200 hover:bg-gray-200'}`}
+                                    >
+                                        <span className="mr-1">{tool.icon}</span>{tool.label}
+                                    </button>
+                                ))}
+                            </div>
+                            {/* Opções da ferramenta selecionada */}
                             <div className="flex flex-col md:flex-row items-center justify-center gap-4 mb-4">
-                                <label htmlFor="drawingColor" className="font-medium text-gray-700">Cor:</label>
-                                <input
-                                    type="color"
-                                    id="drawingColor"
-                                    value={drawingColor === 'eraser' ? '#000000' : drawingColor} // Mostra preto no seletor de cor se for borracha
-                                    onChange={(e) => setDrawingColor(e.target.value)}
-                                    className="rounded-md h-10 w-10 cursor-pointer"
-                                />
-                                <label htmlFor="drawingSize" className="font-medium text-gray-700">Tamanho:</label>
-                                <input
-                                    type="range"
-                                    id="drawingSize"
-                                    min="1"
-                                    max="20"
-                                    value={drawingSize}
-                                    onChange={(e) => setDrawingSize(parseInt(e.target.value))}
-                                    className="w-32"
-                                />
-                                <span className="text-gray-700">{drawingSize}px</span>
+                                {drawingTool !== 'eraser' && drawingTool !== 'sticker' && (
+                                    <>
+                                        <label htmlFor="drawingColor" className="font-medium text-gray-700">Cor:</label>
+                                        <input
+                                            type="color"
+                                            id="drawingColor"
+                                            value={drawingColor}
+                                            onChange={(e) => setDrawingColor(e.target.value)}
+                                            className="rounded-md h-10 w-10 cursor-pointer"
+                                        />
+                                    </>
+                                )}
+                                {['pen', 'eraser', 'line', 'rect', 'ellipse'].includes(drawingTool) && (
+                                    <>
+                                        <label htmlFor="drawingSize" className="font-medium text-gray-700">Tamanho:</label>
+                                        <input
+                                            type="range"
+                                            id="drawingSize"
+                                            min="1"
+                                            max="20"
+                                            value={drawingSize}
+                                            onChange={(e) => setDrawingSize(parseInt(e.target.value))}
+                                            className="w-32"
+                                        />
+                                        <span className="text-gray-700">{drawingSize}px</span>
+                                    </>
+                                )}
+                                {drawingTool === 'text' && (
+                                    <>
+                                        <input
+                                            type="text"
+                                            value={textValue}
+                                            onChange={(e) => setTextValue(e.target.value)}
+                                            placeholder="Digite o texto e clique no desenho"
+                                            className="p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black text-gray-800"
+                                            maxLength="80"
+                                        />
+                                        <label htmlFor="textSize" className="font-medium text-gray-700">Fonte:</label>
+                                        <input
+                                            type="range"
+                                            id="textSize"
+                                            min="12"
+                                            max="96"
+                                            value={textSize}
+                                            onChange={(e) => setTextSize(parseInt(e.target.value))}
+                                            className="w-32"
+                                        />
+                                        <span className="text-gray-700">{textSize}px</span>
+                                    </>
+                                )}
+                                {drawingTool === 'fill' && (
+                                    <span className="text-gray-600 text-sm">Clique em uma área para preenchê-la.</span>
+                                )}
+                                <label className="flex items-center gap-2 text-sm text-gray-700" title="Com caneta, ignora toques da mão; um segundo dedo cancela o traço">
+                                    <input
+                                        type="checkbox"
+                                        checked={palmRejection}
+                                        onChange={(e) => setPalmRejection(e.target.checked)}
+                                    />
+                                    Ignorar palma e segundo dedo
+                                </label>
                             </div>
+                            {drawingTool === 'sticker' && (
+                                <div className="mb-4">
+                                    <div className="flex flex-wrap justify-center gap-2 mb-3">
+                                        {stickers.map((sticker) => (
+                                            <button
+                                                key={sticker.id}
+                                                onClick={() => setSelectedSticker(sticker)}
+                                                title={sticker.label}
+                                                aria-pressed={selectedSticker?.id === sticker.id}
+                                                className={`w-14 h-14 rounded-lg flex items-center justify-center border-2 transition duration-300 ${selectedSticker?.id === sticker.id ? 'border-black bg-yellow-100' : 'border-gray-200 bg-gray-50 hover:border-gray-400'}`}
+                                            >
+                                                {sticker.emoji ? (
+                                                    <span className="text-3xl">{sticker.emoji}</span>
+                                                ) : (
+                                                    <img src={sticker.preview} alt={sticker.label} className="w-12 h-12 rounded-md object-contain" />
+                                                )}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {pendingSticker ? (
+                                        <div className="flex flex-wrap justify-center items-center gap-3">
+                                            <label htmlFor="stickerSize" className="font-medium text-gray-700">Tamanho:</label>
+                                            <input
+                                                type="range"
+                                                id="stickerSize"
+                                                min="20"
+                                                max="300"
+                                                value={pendingSticker.size}
+                                                onChange={(e) => updatePendingSticker({ ...pendingSticker, size: parseInt(e.target.value) })}
+                                                className="w-32"
+                                            />
+                                            <button
+                                                onClick={applyPendingSticker}
+                                                className="bg-green-600 text-white px-4 py-1 rounded-full hover:bg-green-700 transition duration-300 shadow-md text-sm"
+                                            >
+                                                Aplicar (Enter)
+                                            </button>
+                                            <button
+                                                onClick={() => updatePendingSticker(null)}
+                                                className="bg-gray-300 text-gray-800 px-4 py-1 rounded-full hover:bg-gray-400 transition duration-300 shadow-md text-sm"
+                                            >
+                                                Descartar (Esc)
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <p className="text-center text-gray-600 text-sm">
+                                            {selectedSticker ? 'Clique no desenho para posicionar o adesivo. Arraste para mover e use a alça amarela para redimensionar.' : 'Escolha um adesivo.'}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
                             <div className="flex justify-center gap-4 mb-4">
                                 <button
-                                    onClick={() => setDrawingColor('eraser')}
-                                    className="bg-gray-500 text-white px-6 py-2 rounded-full hover:bg-gray-600 transition duration-300 shadow-md"
+                                    onClick={undoDrawing}
+                                    disabled={drawingHistory.past.length === 0}
+                                    title="Desfazer (Ctrl+Z)"
+                                    className="bg-gray-800 text-white px-6 py-2 rounded-full hover:bg-gray-700 transition duration-300 shadow-md disabled:opacity-40 disabled:cursor-not-allowed"
+                                >
+                                    Desfazer
+                                </button>
+                                <button
+                                    onClick={redoDrawing}
+                                    disabled={drawingHistory.future.length === 0}
+                                    title="Refazer (Ctrl+Shift+Z)"
+                                    className="bg-gray-800 text-white px-6 py-2 rounded-full hover:bg-gray-700 transition duration-300 shadow-md disabled:opacity-40 disabled:cursor-not-allowed"
                                 >
-                                    Borracha
+                                    Refazer
                                 </button>
                             </div>
-                            <canvas
-                                ref={canvasRef}
-                                width="600"
-                                height="400"
-                                className="border-2 border-gray-300 rounded-lg bg-white w-full max-w-full h-auto"
-                                style={{ touchAction: 'none' }} // Previne o scroll da página ao desenhar
-                            ></canvas>
+                            {editingDrawingId && (
+                                <div className="flex justify-center items-center gap-3 mb-4 text-gray-700">
+                                    <span className="font-medium">Editando um desenho salvo.</span>
+                                    <button
+                                        onClick={startNewDrawing}
+                                        className="text-sm underline hover:text-black"
+                                    >
+                                        Começar um novo
+                                    </button>
+                                </div>
+                            )}
+                            <div className="flex flex-col lg:flex-row gap-4">
+                                <canvas
+                                    ref={canvasRef}
+                                    width={CANVAS_WIDTH * pixelRatio} // Resolução real acompanha a densidade de pixels da tela
+                                    height={CANVAS_HEIGHT * pixelRatio}
+                                    className="border-2 border-gray-300 rounded-lg bg-white w-full max-w-full h-auto lg:flex-1 lg:min-w-0 self-start"
+                                    style={{ touchAction: 'none' }} // Previne o scroll da página ao desenhar
+                                ></canvas>
+                                {/* Painel de camadas e fundo */}
+                                <div className="lg:w-64 text-gray-800 text-left">
+                                    <div className="flex items-center justify-between mb-2">
+                                        <h4 className="font-semibold">Camadas</h4>
+                                        <button
+                                            onClick={addDrawingLayer}
+                                            disabled={drawingLayers.length >= MAX_LAYERS}
+                                            className="text-sm bg-gray-800 text-white px-3 py-1 rounded-full hover:bg-gray-700 transition duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                                        >
+                                            + Camada
+                                        </button>
+                                    </div>
+                                    {/* Listadas do topo para a base, como a pilha aparece no desenho */}
+                                    <ul className="space-y-1 mb-4">
+                                        {[...drawingLayers].reverse().map((layer) => {
+                                            const index = drawingLayers.indexOf(layer);
+                                            return (
+                                                <li
+                                                    key={layer.id}
+                                                    className={`flex items-center gap-1 p-2 rounded-lg border ${layer.id === activeLayer.id ? 'border-black bg-yellow-50' : 'border-gray-200 bg-gray-50'}`}
+                                                >
+                                                    <button
+                                                        onClick={() => toggleLayerVisibility(layer.id)}
+                                                        title={layer.visible ? 'Ocultar camada' : 'Mostrar camada'}
+                                                        className={`w-7 ${layer.visible ? '' : 'opacity-30'}`}
+                                                    >
+                                                        👁
+                                                    </button>
+                                                    <button
+                                                        onClick={() => setActiveLayerId(layer.id)}
+                                                        className={`flex-1 text-left text-sm truncate ${layer.id === activeLayer.id ? 'font-bold' : ''}`}
+                                                    >
+                                                        {layer.name}
+                                                    </button>
+                                                    <button onClick={() => moveDrawingLayer(layer.id, 1)} disabled={index === drawingLayers.length - 1} title="Subir" className="px-1 disabled:opacity-30">▲</button>
+                                                    <button onClick={() => moveDrawingLayer(layer.id, -1)} disabled={index === 0} title="Descer" className="px-1 disabled:opacity-30">▼</button>
+                                                    <button onClick={() => removeDrawingLayer(layer.id)} disabled={drawingLayers.length <= 1} title="Excluir camada" className="px-1 text-red-600 disabled:opacity-30">✕</button>
+                                                </li>
+                                            );
+                                        })}
+                                        <li className="flex items-center gap-2 p-2 rounded-lg border border-dashed border-gray-300 text-sm text-gray-600">
+                                            Fundo
+                                        </li>
+                                    </ul>
+                                    <h4 className="font-semibold mb-2">Fundo</h4>
+                                    <div className="flex items-center gap-2 mb-2">
+                                        <label htmlFor="backgroundColor" className="text-sm">Cor:</label>
+                                        <input
+                                            type="color"
+                                            id="backgroundColor"
+                                            value={drawingHistory.present.background.color || '#ffffff'}
+                                            onChange={(e) => setDrawingBackground({ type: 'color', color: e.target.value })}
+                                            className="rounded-md h-8 w-8 cursor-pointer"
+                                        />
+                                        {drawingHistory.present.background.type === 'image' && (
+                                            <button
+                                                onClick={() => setDrawingBackground({ type: 'color', color: drawingHistory.present.background.color || '#ffffff' })}
+                                                className="text-sm underline hover:text-black"
+                                            >
+                                                Remover imagem
+                                            </button>
+                                        )}
+                                    </div>
+                                    <label htmlFor="backgroundUpload" className="block text-sm mb-1">Enviar imagem:</label>
+                                    <input
+                                        type="file"
+                                        id="backgroundUpload"
+                                        accept="image/*"
+                                        onChange={handleBackgroundUpload}
+                                        className="w-full text-sm mb-2"
+                                    />
+                                    {photos.length > 0 && (
+                                        <>
+                                            <p className="text-sm mb-1">Ou escolha da Galeria de Fotos:</p>
+                                            <div className="grid grid-cols-4 gap-1 max-h-32 overflow-y-auto">
+                                                {photos.map((photo) => (
+                                                    <button key={photo.id} onClick={() => setBackgroundImage(getPhotoSrc(photo))} title="Usar como fundo">
+                                                        <img src={getPhotoThumbSrc(photo)} alt="Foto da galeria" className="w-full h-12 object-cover rounded" />
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
                             <div className="flex justify-center gap-4 mt-4">
                                 <button
                                     onClick={saveDrawing}
                                     className="bg-green-600 text-white px-6 py-2 rounded-full hover:bg-green-700 transition duration-300 shadow-md"
                                 >
-                                    Salvar Desenho
+                                    {editingDrawingId ? 'Atualizar Desenho' : 'Salvar Desenho'}
                                 </button>
                                 <button
                                     onClick={clearCanvas}
@@ -693,8 +3861,30 @@ const App = () => {
                                 <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
                                     {drawings.length > 0 ? (
                                         drawings.map((drawing) => (
-                                            <div key={drawing.id} className="border border-gray-200 rounded-lg p-2 flex justify-center items-center bg-gray-50">
-                                                <img src={drawing.dataUrl} alt="Desenho Salvo" className="max-w-full h-auto rounded-md" />
+                                            <div key={drawing.id} className={`border rounded-lg p-2 flex flex-col items-center bg-gray-50 ${editingDrawingId === drawing.id ? 'border-black border-2' : 'border-gray-200'}`}>
+                                                <img src={drawing.dataUrl} alt="Desenho Salvo" className="max-w-full h-auto rounded-md bg-white" />
+                                                <div className="flex flex-wrap justify-center gap-2 mt-2">
+                                                    <button
+                                                        onClick={() => editDrawing(drawing)}
+                                                        disabled={!drawing.strokes && !drawing.layers}
+                                                        title={drawing.strokes || drawing.layers ? 'Abrir no canvas' : 'Desenho antigo, salvo sem traços'}
+                                                        className="bg-black text-white px-3 py-1 rounded-full hover:bg-gray-800 transition duration-300 shadow-sm text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+                                                    >
+                                                        Editar
+                                                    </button>
+                                                    <button
+                                                        onClick={() => duplicateDrawing(drawing)}
+                                                        className="bg-gray-500 text-white px-3 py-1 rounded-full hover:bg-gray-600 transition duration-300 shadow-sm text-sm"
+                                                    >
+                                                        Duplicar
+                                                    </button>
+                                                    <button
+                                                        onClick={() => deleteDrawing(drawing)}
+                                                        className="bg-red-600 text-white px-3 py-1 rounded-full hover:bg-red-700 transition duration-300 shadow-sm text-sm"
+                                                    >
+                                                        Excluir
+                                                    </button>
+                                                </div>
                                             </div>
                                         ))
                                     ) : (
@@ -707,31 +3897,175 @@ const App = () => {
                         {/* Seção de Cartas */}
                         <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-2 border-gray-200">
                             <h3 className="text-2xl font-semibold text-gray-800 mb-4">Carta ao Galo / Dr. Emanuel</h3>
-                            <textarea
-                                value={letterContent}
-                                onChange={(e) => setLetterContent(e.target.value)}
-                                placeholder="Escreva sua mensagem especial aqui..."
-                                rows="8"
-                                className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black resize-y"
-                                maxLength="1000" // Limite de caracteres
-                            ></textarea>
-                            <p className="text-sm text-gray-500 text-right mt-1">{letterContent.length}/1000 caracteres</p>
-                            <div className="flex justify-center mt-4">
+                            {editingLetterId && (
+                                <p className="text-gray-700 font-medium mb-3">Editando uma carta salva.</p>
+                            )}
+                            <div className="flex flex-col sm:flex-row gap-3 mb-3">
+                                <input
+                                    type="text"
+                                    value={letterTitle}
+                                    onChange={(e) => {
+                                        letterDirtyRef.current = true;
+                                        setLetterTitle(e.target.value);
+                                    }}
+                                    placeholder="Título (opcional)"
+                                    maxLength="120"
+                                    className="flex-1 p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black text-gray-800"
+                                />
+                                <select
+                                    value={letterRecipient}
+                                    onChange={(e) => {
+                                        letterDirtyRef.current = true;
+                                        setLetterRecipient(e.target.value);
+                                    }}
+                                    className="p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black text-gray-800"
+                                >
+                                    <option value="">Destinatário (opcional)</option>
+                                    {Object.entries(letterRecipients).map(([value, label]) => (
+                                        <option key={value} value={value}>Carta {label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="flex flex-wrap items-center gap-3 mb-3 text-gray-700">
+                                <label htmlFor="letterUnlockAt" className="font-medium">✉️ Abrir somente em (opcional):</label>
+                                <input
+                                    type="datetime-local"
+                                    id="letterUnlockAt"
+                                    value={letterUnlockAt}
+                                    min={toDateTimeLocalValue(new Date())}
+                                    onChange={(e) => {
+                                        letterDirtyRef.current = true;
+                                        setLetterUnlockAt(e.target.value);
+                                    }}
+                                    className="p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black text-gray-800"
+                                />
+                                {letterUnlockAt && (
+                                    <button
+                                        onClick={() => {
+                                            letterDirtyRef.current = true;
+                                            setLetterUnlockAt('');
+                                        }}
+                                        className="text-sm underline hover:text-black"
+                                    >
+                                        Sem data
+                                    </button>
+                                )}
+                            </div>
+                            {/* Barra de formatação (onMouseDown evita que o editor perca a seleção) */}
+                            <div className="flex flex-wrap gap-2 mb-2" role="toolbar" aria-label="Formatação da carta">
+                                {[
+                                    { label: 'N', title: 'Negrito', command: 'bold', className: 'font-bold' },
+                                    { label: 'I', title: 'Itálico', command: 'italic', className: 'italic' },
+                                    { label: 'Título', title: 'Título', command: 'formatBlock', value: 'h2' },
+                                    { label: 'Subtítulo', title: 'Subtítulo', command: 'formatBlock', value: 'h3' },
+                                    { label: 'Parágrafo', title: 'Texto normal', command: 'formatBlock', value: 'p' },
+                                    { label: '• Lista', title: 'Lista com marcadores', command: 'insertUnorderedList' },
+                                    { label: '1. Lista', title: 'Lista numerada', command: 'insertOrderedList' }
+                                ].map((format) => (
+                                    <button
+                                        key={format.title}
+                                        title={format.title}
+                                        onMouseDown={(e) => {
+                                            e.preventDefault();
+                                            formatLetter(format.command, format.value);
+                                        }}
+                                        className={`px-3 py-1 rounded-md border border-gray-300 bg-gray-100 hover:bg-gray-200 text-gray-800 text-sm ${format.className || ''}`}
+                                    >
+                                        {format.label}
+                                    </button>
+                                ))}
+                            </div>
+                            <div
+                                ref={letterEditorRef}
+                                contentEditable
+                                suppressContentEditableWarning
+                                onInput={handleLetterInput}
+                                data-placeholder="Escreva sua mensagem especial aqui..."
+                                role="textbox"
+                                aria-multiline="true"
+                                className="letter-content letter-editor w-full min-h-[12rem] p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black text-gray-800 text-left overflow-y-auto resize-y"
+                            ></div>
+                            <div className="flex justify-between text-sm text-gray-500 mt-1">
+                                <span>
+                                    {letterDraftStatus === 'saving' && 'Salvando rascunho...'}
+                                    {letterDraftStatus === 'saved' && 'Rascunho salvo'}
+                                    {letterDraftStatus === 'error' && 'Rascunho salvo só neste navegador'}
+                                </span>
+                                <span className={htmlToPlainText(letterContent).length > LETTER_MAX_LENGTH ? 'text-red-600' : ''}>
+                                    {htmlToPlainText(letterContent).length}/{LETTER_MAX_LENGTH} caracteres
+                                </span>
+                            </div>
+                            <div className="flex justify-center gap-4 mt-4">
                                 <button
                                     onClick={saveLetter}
                                     className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md"
                                 >
-                                    Salvar Carta
+                                    {editingLetterId ? 'Atualizar Carta' : 'Salvar Carta'}
                                 </button>
+                                {(editingLetterId || letterTitle || htmlToPlainText(letterContent)) && (
+                                    <button
+                                        onClick={() => showConfirm(editingLetterId ? "Descartar as alterações nesta carta?" : "Descartar este rascunho?", resetLetterEditor, 'Descartar')}
+                                        className="bg-gray-300 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-400 transition duration-300 shadow-md"
+                                    >
+                                        {editingLetterId ? 'Cancelar Edição' : 'Descartar Rascunho'}
+                                    </button>
+                                )}
                             </div>
                             <div className="mt-6">
                                 <h4 className="text-xl font-semibold text-gray-700 mb-3">Suas Cartas Salvas:</h4>
                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                                     {letters.length > 0 ? (
-                                        letters.map((letter) => (
-                                            <div key={letter.id} className="border border-gray-200 rounded-lg p-4 bg-gray-50">
-                                                <p className="text-gray-800 whitespace-pre-wrap">{letter.content}</p>
-                                                <p className="text-xs text-gray-500 mt-2">Salvo em: {new Date(letter.createdAt?.toDate()).toLocaleString()}</p>
+                                        letters.map((letter) => isLetterSealed(letter, now) ? (
+                                            // Carta lacrada: só o envelope e a contagem regressiva até a data de abertura
+                                            <div key={letter.id} id={`carta-${letter.id}`} className={`border-2 border-dashed rounded-lg p-4 bg-yellow-50 flex flex-col items-center justify-center text-center text-gray-800 ${route.params.letterId === letter.id ? 'border-black ring-4 ring-yellow-300' : 'border-gray-400'}`}>
+                                                <span className="text-6xl mb-2" role="img" aria-label="Envelope lacrado">✉️</span>
+                                                {letter.title && <h5 className="text-lg font-bold">{letter.title}</h5>}
+                                                {letterRecipients[letter.recipient] && (
+                                                    <p className="text-sm text-gray-500">Carta {letterRecipients[letter.recipient]}</p>
+                                                )}
+                                                <p className="text-sm mt-2">Abre em {letter.unlockAt.toDate().toLocaleString('pt-BR')}</p>
+                                                <p className="text-2xl font-bold font-mono mt-1">{formatCountdown(letter.unlockAt.toMillis() - now)}</p>
+                                                {renderItemVisibility('letters', letter)}
+                                            </div>
+                                        ) : (
+                                            <div key={letter.id} id={`carta-${letter.id}`} className={`border rounded-lg p-4 bg-gray-50 text-left ${letter.unlockAt && !letter.openedAt ? 'animate-letter-open' : ''} ${editingLetterId === letter.id ? 'border-black border-2' : 'border-gray-200'} ${route.params.letterId === letter.id ? 'ring-4 ring-yellow-300' : ''}`}>
+                                                {letter.unlockAt && (
+                                                    <p className="text-sm text-yellow-700 font-semibold mb-1">💌 Aberta em {letter.unlockAt.toDate().toLocaleDateString('pt-BR')}</p>
+                                                )}
+                                                {letter.title && <h5 className="text-lg font-bold text-gray-900">{letter.title}</h5>}
+                                                {letterRecipients[letter.recipient] && (
+                                                    <p className="text-sm text-gray-500 mb-2">Carta {letterRecipients[letter.recipient]}</p>
+                                                )}
+                                                {letter.contentHtml ? (
+                                                    <div className="letter-content text-gray-800" dangerouslySetInnerHTML={{ __html: sanitizeLetterHtml(letter.contentHtml) }} />
+                                                ) : (
+                                                    <p className="text-gray-800 whitespace-pre-wrap">{letter.content}</p>
+                                                )}
+                                                <p className="text-xs text-gray-500 mt-2">
+                                                    Salvo em: {new Date(letter.createdAt?.toDate()).toLocaleString()}
+                                                    {letter.updatedAt && ` · Editado em: ${new Date(letter.updatedAt.toDate()).toLocaleString()}`}
+                                                </p>
+                                                {renderItemVisibility('letters', letter)}
+                                                <div className="flex gap-2 mt-3">
+                                                    <button
+                                                        onClick={() => editLetter(letter)}
+                                                        className="bg-black text-white px-3 py-1 rounded-full hover:bg-gray-800 transition duration-300 shadow-sm text-sm"
+                                                    >
+                                                        Editar
+                                                    </button>
+                                                    <button
+                                                        onClick={() => openLetterVersions(letter)}
+                                                        className="bg-gray-500 text-white px-3 py-1 rounded-full hover:bg-gray-600 transition duration-300 shadow-sm text-sm"
+                                                    >
+                                                        Versões
+                                                    </button>
+                                                    <button
+                                                        onClick={() => copyLink(buildUrl('creativeStudio', { letterId: letter.id }))}
+                                                        className="bg-gray-200 text-gray-800 px-3 py-1 rounded-full hover:bg-gray-300 transition duration-300 shadow-sm text-sm"
+                                                    >
+                                                        🔗 Link
+                                                    </button>
+                                                </div>
                                             </div>
                                         ))
                                     ) : (
@@ -744,25 +4078,129 @@ const App = () => {
                         {/* Seção de Cartões */}
                         <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-2 border-gray-200">
                             <h3 className="text-2xl font-semibold text-gray-800 mb-4">Crie seu Cartão Alvinegro</h3>
-                            <div className="mb-4">
-                                <label htmlFor="cardText" className="block text-gray-700 font-medium mb-2">Mensagem do Cartão:</label>
-                                <textarea
-                                    value={cardText}
-                                    onChange={(e) => setCardText(e.target.value)}
-                                    placeholder="Escreva a mensagem do seu cartão aqui..."
-                                    rows="4"
-                                    className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black resize-y"
-                                ></textarea>
-                            </div>
-                            <div className="mb-4 flex items-center gap-4">
-                                <label htmlFor="cardBgColor" className="text-gray-700 font-medium">Cor de Fundo:</label>
-                                <input
-                                    type="color"
-                                    id="cardBgColor"
-                                    value={cardBgColor}
-                                    onChange={(e) => setCardBgColor(e.target.value)}
-                                    className="rounded-md h-10 w-10 cursor-pointer"
-                                />
+                            <div className="flex flex-col lg:flex-row gap-6">
+                                <div className="flex flex-col items-center">
+                                    <div className="flex gap-2 mb-3">
+                                        {Object.entries(CARD_PAGES).map(([pageKey, label]) => (
+                                            <button
+                                                key={pageKey}
+                                                onClick={() => { setCardPage(pageKey); setSelectedCardElementId(null); }}
+                                                className={`px-4 py-1 rounded-full text-sm font-semibold transition duration-300 ${cardPage === pageKey ? 'bg-black text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <canvas
+                                        ref={cardCanvasRef}
+                                        width={CARD_WIDTH}
+                                        height={CARD_HEIGHT}
+                                        className="border-2 border-black rounded-lg shadow-inner w-full max-w-xs touch-none"
+                                    ></canvas>
+                                    <p className="text-xs text-gray-500 mt-2">Arraste imagens e adesivos para posicionar; use o canto para redimensionar.</p>
+                                </div>
+                                <div className="flex-1">
+                                    <div className="mb-4">
+                                        <label htmlFor="cardText" className="block text-gray-700 font-medium mb-2">Mensagem ({CARD_PAGES[cardPage]}):</label>
+                                        <textarea
+                                            id="cardText"
+                                            value={cardDesign.pages[cardPage].text}
+                                            onChange={(e) => updateCardPage(cardPage, () => ({ text: e.target.value }))}
+                                            placeholder="Escreva a mensagem do seu cartão aqui..."
+                                            rows="4"
+                                            className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black resize-y"
+                                        ></textarea>
+                                    </div>
+                                    <div className="mb-4 flex flex-wrap items-center gap-4">
+                                        <label htmlFor="cardBgColor" className="text-gray-700 font-medium">Cor de Fundo:</label>
+                                        <input
+                                            type="color"
+                                            id="cardBgColor"
+                                            value={cardDesign.bgColor}
+                                            onChange={(e) => setCardDesign((design) => ({ ...design, bgColor: e.target.value }))}
+                                            className="rounded-md h-10 w-10 cursor-pointer"
+                                        />
+                                        <label className="flex items-center gap-2 text-gray-700 font-medium">
+                                            <input
+                                                type="checkbox"
+                                                checked={!cardDesign.textColor}
+                                                onChange={(e) => setCardDesign((design) => ({ ...design, textColor: e.target.checked ? null : resolveCardTextColor(design) }))}
+                                            />
+                                            Cor do texto automática
+                                        </label>
+                                        {cardDesign.textColor && (
+                                            <input
+                                                type="color"
+                                                aria-label="Cor do texto"
+                                                value={cardDesign.textColor}
+                                                onChange={(e) => setCardDesign((design) => ({ ...design, textColor: e.target.value }))}
+                                                className="rounded-md h-10 w-10 cursor-pointer"
+                                            />
+                                        )}
+                                    </div>
+                                    <div className="mb-4 flex flex-wrap items-center gap-4">
+                                        <label htmlFor="cardFont" className="text-gray-700 font-medium">Fonte:</label>
+                                        <select
+                                            id="cardFont"
+                                            value={cardDesign.font}
+                                            onChange={(e) => setCardDesign((design) => ({ ...design, font: e.target.value }))}
+                                            className="p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black"
+                                        >
+                                            {CARD_FONTS.map((font) => (
+                                                <option key={font.id} value={font.id} style={{ fontFamily: font.id }}>{font.label}</option>
+                                            ))}
+                                        </select>
+                                        <div className="flex gap-1">
+                                            {[['left', 'Esquerda'], ['center', 'Centro'], ['right', 'Direita']].map(([align, label]) => (
+                                                <button
+                                                    key={align}
+                                                    onClick={() => setCardDesign((design) => ({ ...design, align }))}
+                                                    className={`px-3 py-1 rounded-lg text-sm transition duration-300 ${cardDesign.align === align ? 'bg-black text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        <label className="flex items-center gap-2 text-gray-700 font-medium">
+                                            Tamanho:
+                                            <input
+                                                type="range"
+                                                min="14"
+                                                max="64"
+                                                value={cardDesign.fontSize}
+                                                onChange={(e) => setCardDesign((design) => ({ ...design, fontSize: Number(e.target.value) }))}
+                                            />
+                                            <span className="text-sm text-gray-500">{cardDesign.fontSize}px</span>
+                                        </label>
+                                    </div>
+                                    <div className="mb-4">
+                                        <h4 className="text-lg font-medium text-gray-700 mb-2">Imagens e Adesivos:</h4>
+                                        <div className="flex flex-wrap gap-2 items-center">
+                                            {stickers.map((sticker) => (
+                                                <button
+                                                    key={sticker.id}
+                                                    onClick={() => addCardElement(sticker.content)}
+                                                    title={sticker.label}
+                                                    className="w-10 h-10 rounded-lg border border-gray-300 bg-gray-50 hover:bg-gray-200 flex items-center justify-center text-xl"
+                                                >
+                                                    {sticker.emoji || <img src={sticker.preview} alt={sticker.label} className="w-8 h-8 object-contain" />}
+                                                </button>
+                                            ))}
+                                            <label className="px-3 py-2 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 text-sm cursor-pointer">
+                                                Enviar imagem
+                                                <input type="file" accept="image/*" onChange={handleCardImageUpload} className="hidden" />
+                                            </label>
+                                            {selectedCardElementId && (
+                                                <button
+                                                    onClick={removeSelectedCardElement}
+                                                    className="px-3 py-2 rounded-lg bg-red-500 text-white hover:bg-red-600 text-sm"
+                                                >
+                                                    Remover selecionado
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                </div>
                             </div>
                             <div className="mb-4">
                                 <h4 className="text-lg font-medium text-gray-700 mb-2">Modelos:</h4>
@@ -772,32 +4210,118 @@ const App = () => {
                                             key={index}
                                             onClick={() => applyCardTemplate(template)}
                                             className="px-4 py-2 rounded-full text-sm font-semibold shadow-md transition duration-300"
-                                            style={{ backgroundColor: template.bgColor, color: '#ffffff', border: '1px solid #ccc' }} // Força texto branco
+                                            style={{ backgroundColor: template.bgColor, color: getContrastTextColor(template.bgColor), border: '1px solid #ccc' }}
                                         >
                                             {template.name}
                                         </button>
                                     ))}
+                                    {userCardTemplates.map((template) => (
+                                        <div key={template.id} className="flex items-center gap-1 rounded-full shadow-md pr-2" style={{ backgroundColor: template.design.bgColor, border: '1px solid #ccc' }}>
+                                            {renamingTemplate?.id === template.id ? (
+                                                <form
+                                                    onSubmit={(e) => { e.preventDefault(); renameCardTemplate(); }}
+                                                    className="flex items-center gap-1 pl-2 py-1"
+                                                >
+                                                    <input
+                                                        type="text"
+                                                        autoFocus
+                                                        value={renamingTemplate.name}
+                                                        maxLength={CARD_TEMPLATE_NAME_MAX_LENGTH}
+                                                        onChange={(e) => setRenamingTemplate({ ...renamingTemplate, name: e.target.value })}
+                                                        onKeyDown={(e) => { if (e.key === 'Escape') setRenamingTemplate(null); }}
+                                                        aria-label="Novo nome do modelo"
+                                                        className="px-2 py-1 rounded-full text-sm text-gray-800 border border-gray-300"
+                                                    />
+                                                    <button type="submit" title="Salvar nome" className="text-sm">✔️</button>
+                                                    <button type="button" title="Cancelar" onClick={() => setRenamingTemplate(null)} className="text-sm">✖️</button>
+                                                </form>
+                                            ) : (
+                                                <>
+                                                    <button
+                                                        onClick={() => applyCardTemplate(template)}
+                                                        className="pl-4 pr-1 py-2 text-sm font-semibold"
+                                                        style={{ color: resolveCardTextColor(template.design) }}
+                                                    >
+                                                        {template.name}
+                                                    </button>
+                                                    <button title="Renomear" onClick={() => setRenamingTemplate({ id: template.id, name: template.name })} className="text-xs">✏️</button>
+                                                    <button title="Exportar (JSON)" onClick={() => exportCardTemplateFile(template)} className="text-xs">📤</button>
+                                                    <button title="Excluir" onClick={() => deleteCardTemplate(template)} className="text-xs">🗑️</button>
+                                                </>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="flex flex-wrap justify-center items-center gap-2 mt-3">
+                                    <input
+                                        type="text"
+                                        value={newTemplateName}
+                                        onChange={(e) => setNewTemplateName(e.target.value)}
+                                        maxLength={CARD_TEMPLATE_NAME_MAX_LENGTH}
+                                        placeholder="Nome do novo modelo"
+                                        className="p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-black"
+                                    />
+                                    <button
+                                        onClick={saveCardTemplate}
+                                        className="bg-gray-200 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-300 transition duration-300"
+                                    >
+                                        Salvar como modelo
+                                    </button>
+                                    <label className="bg-gray-200 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-300 transition duration-300 cursor-pointer">
+                                        Importar modelo
+                                        <input type="file" accept="application/json,.json" onChange={handleCardTemplateImport} className="hidden" />
+                                    </label>
                                 </div>
                             </div>
-                            <div className="flex justify-center mt-4">
+                            <div className="flex flex-wrap justify-center gap-3 mt-4">
                                 <button
                                     onClick={saveCard}
                                     className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md"
                                 >
                                     Salvar Cartão
                                 </button>
+                                <button
+                                    onClick={() => exportCard(cardDesign, 'png', cardPage)}
+                                    className="bg-gray-200 text-gray-800 px-4 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md"
+                                >
+                                    Baixar PNG
+                                </button>
+                                {Object.entries(PRINT_FORMATS).map(([formatKey, format]) => (
+                                    <button
+                                        key={formatKey}
+                                        onClick={() => exportCard(cardDesign, formatKey)}
+                                        className="bg-gray-200 text-gray-800 px-4 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md"
+                                    >
+                                        PDF {format.label}
+                                    </button>
+                                ))}
                             </div>
                             <div className="mt-6">
                                 <h4 className="text-xl font-semibold text-gray-700 mb-3">Seus Cartões Salvos:</h4>
                                 <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
                                     {cards.length > 0 ? (
                                         cards.map((card) => (
-                                            <div key={card.id}
-                                                className="border border-gray-200 rounded-lg p-4 flex flex-col items-center justify-center text-center shadow-sm"
-                                                style={{ backgroundColor: card.bgColor, minHeight: '150px', color: '#ffffff' }} // Força texto branco
-                                            >
-                                                <p className="font-medium">{card.text}</p>
+                                            <div key={card.id} className="border border-gray-200 rounded-lg p-4 flex flex-col items-center text-center shadow-sm">
+                                                <CardThumbnail card={card} className="w-full max-w-[180px] rounded-md border border-gray-200" />
                                                 <p className="text-xs text-gray-500 mt-2">Salvo em: {new Date(card.createdAt?.toDate()).toLocaleString()}</p>
+                                                {renderItemVisibility('cards', card)}
+                                                <div className="flex flex-wrap justify-center gap-2 mt-2">
+                                                    <button
+                                                        onClick={() => exportCard(cardDesignFromSaved(card), 'png')}
+                                                        className="bg-gray-200 text-gray-800 px-3 py-1 rounded-full text-xs hover:bg-gray-300 transition duration-300"
+                                                    >
+                                                        PNG
+                                                    </button>
+                                                    {Object.entries(PRINT_FORMATS).map(([formatKey, format]) => (
+                                                        <button
+                                                            key={formatKey}
+                                                            onClick={() => exportCard(cardDesignFromSaved(card), formatKey)}
+                                                            className="bg-gray-200 text-gray-800 px-3 py-1 rounded-full text-xs hover:bg-gray-300 transition duration-300"
+                                                        >
+                                                            PDF {format.label}
+                                                        </button>
+                                                    ))}
+                                                </div>
                                             </div>
                                         ))
                                     ) : (
@@ -808,131 +4332,1003 @@ const App = () => {
                         </div>
                     </div>
                 );
-            case 'moodTracker':
+            case 'moodTracker': {
+                const filteredMoods = filterMoodEntries(moods, moodFilter);
+                const moodWeeks = buildMoodMonth(filteredMoods, moodMonth.year, moodMonth.month);
+                const moodTrend = buildWeeklyMoodTrend(filteredMoods, new Date(now));
+                const moodTags = collectMoodTags(moods);
+                const listedMoods = selectedMoodDay
+                    ? filteredMoods.filter((entry) => getMoodEntryDate(entry) && toDayKey(getMoodEntryDate(entry)) === selectedMoodDay)
+                    : filteredMoods;
+                const currentMoodOption = getMoodOption(currentMood);
+                const formTags = parseMoodTags(moodForm.tagsText);
+                // Gráfico de tendência: eixo y de -2 (pior) a 2 (melhor)
+                const trendWidth = 320;
+                const trendHeight = 140;
+                const trendX = (index) => 20 + (index * (trendWidth - 40)) / (moodTrend.length - 1);
+                const trendY = (value) => trendHeight / 2 - (value / 2) * (trendHeight / 2 - 15);
+                const trendPoints = moodTrend
+                    .map((week, index) => (week.average === null ? null : `${trendX(index)},${trendY(week.average)}`))
+                    .filter(Boolean)
+                    .join(' ');
                 return (
                     <div className="p-6 text-center">
                         <h2 className="text-3xl md:text-4xl font-bold text-white mb-8">Meu Termômetro de Humor Alvinegro</h2>
                         <p className="text-lg text-gray-200 mb-6">Como você está se sentindo hoje, torcedor?</p>
-                        <div className="flex justify-center gap-4 mb-8 flex-wrap">
-                            <button onClick={() => recordMood('Feliz')} className="text-5xl p-3 rounded-full bg-yellow-300 hover:bg-yellow-400 transition transform hover:scale-110 shadow-md">😊</button>
-                            <button onClick={() => recordMood('Neutro')} className="text-5xl p-3 rounded-full bg-gray-300 hover:bg-gray-400 transition transform hover:scale-110 shadow-md">😐</button>
-                            <button onClick={() => recordMood('Triste')} className="text-5xl p-3 rounded-full bg-blue-300 hover:bg-blue-400 transition transform hover:scale-110 shadow-md">😔</button>
-                            <button onClick={() => recordMood('Animado')} className="text-5xl p-3 rounded-full bg-green-300 hover:bg-green-400 transition transform hover:scale-110 shadow-md">🤩</button>
-                            <button onClick={() => recordMood('Bravo')} className="text-5xl p-3 rounded-full bg-red-300 hover:bg-red-400 transition transform hover:scale-110 shadow-md">😠</button>
+                        <div className="flex justify-center gap-4 mb-6 flex-wrap">
+                            {MOOD_OPTIONS.map((option) => (
+                                <button
+                                    key={option.id}
+                                    onClick={() => setMoodForm({ ...moodForm, mood: option.id })}
+                                    title={option.id}
+                                    className={`text-5xl p-3 rounded-full ${option.buttonClass} transition transform hover:scale-110 shadow-md ${moodForm.mood === option.id ? 'ring-4 ring-white scale-110' : ''}`}
+                                >
+                                    {option.emoji}
+                                </button>
+                            ))}
                         </div>
+                        {moodForm.mood && (
+                            <div className="bg-white rounded-xl shadow-lg p-6 max-w-xl mx-auto mb-8 border-2 border-gray-200 text-left">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">
+                                    {editingMoodId ? 'Editando registro' : 'Novo registro'}: {getMoodOption(moodForm.mood)?.emoji} {moodForm.mood}
+                                </h3>
+                                <label className="block text-gray-700 font-medium mb-4">
+                                    Intensidade: {moodForm.intensity}
+                                    <input
+                                        type="range"
+                                        min="1"
+                                        max="5"
+                                        value={moodForm.intensity}
+                                        onChange={(e) => setMoodForm({ ...moodForm, intensity: Number(e.target.value) })}
+                                        className="w-full"
+                                    />
+                                </label>
+                                <label htmlFor="moodNote" className="block text-gray-700 font-medium mb-2">Nota (opcional):</label>
+                                <textarea
+                                    id="moodNote"
+                                    value={moodForm.note}
+                                    onChange={(e) => setMoodForm({ ...moodForm, note: e.target.value })}
+                                    maxLength={MOOD_NOTE_MAX_LENGTH}
+                                    rows="3"
+                                    placeholder="O que aconteceu hoje?"
+                                    className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black resize-y mb-4"
+                                ></textarea>
+                                <label htmlFor="moodTags" className="block text-gray-700 font-medium mb-2">Tags (separadas por vírgula):</label>
+                                <input
+                                    id="moodTags"
+                                    type="text"
+                                    value={moodForm.tagsText}
+                                    onChange={(e) => setMoodForm({ ...moodForm, tagsText: e.target.value })}
+                                    placeholder="jogo do Galo, trabalho"
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black mb-2"
+                                />
+                                <div className="flex flex-wrap gap-2 mb-4">
+                                    {SUGGESTED_MOOD_TAGS.map((tag) => (
+                                        <button
+                                            key={tag}
+                                            onClick={() => toggleMoodTag(tag)}
+                                            className={`px-3 py-1 rounded-full text-xs transition duration-300 ${formTags.some((existing) => existing.toLowerCase() === tag.toLowerCase()) ? 'bg-black text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                                        >
+                                            #{tag}
+                                        </button>
+                                    ))}
+                                </div>
+                                <div className="flex justify-center gap-3">
+                                    <button
+                                        onClick={recordMood}
+                                        className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md"
+                                    >
+                                        {editingMoodId ? 'Salvar Alterações' : 'Registrar Humor'}
+                                    </button>
+                                    <button
+                                        onClick={resetMoodForm}
+                                        className="bg-gray-200 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md"
+                                    >
+                                        Cancelar
+                                    </button>
+                                </div>
+                            </div>
+                        )}
                         {currentMood && (
-                            <p className="text-xl font-semibold text-gray-200 mb-6">Seu humor atual: {currentMood}</p>
+                            <p className="text-xl font-semibold text-gray-200 mb-6">Seu humor atual: {currentMoodOption?.emoji} {currentMood}</p>
+                        )}
+                        <div className="flex flex-wrap justify-center gap-3 mb-6">
+                            <select
+                                value={moodFilter.mood}
+                                onChange={(e) => setMoodFilter({ ...moodFilter, mood: e.target.value })}
+                                aria-label="Filtrar por humor"
+                                className="p-2 rounded-lg border border-gray-300 text-gray-800"
+                            >
+                                <option value="">Todos os humores</option>
+                                {MOOD_OPTIONS.map((option) => (
+                                    <option key={option.id} value={option.id}>{option.emoji} {option.id}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={moodFilter.tag}
+                                onChange={(e) => setMoodFilter({ ...moodFilter, tag: e.target.value })}
+                                aria-label="Filtrar por tag"
+                                className="p-2 rounded-lg border border-gray-300 text-gray-800"
+                            >
+                                <option value="">Todas as tags</option>
+                                {moodTags.map((tag) => (
+                                    <option key={tag} value={tag}>#{tag}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 max-w-5xl mx-auto mb-8">
+                            <div className="bg-white rounded-xl shadow-lg p-6 border-2 border-gray-200">
+                                <div className="flex items-center justify-between mb-4">
+                                    <button onClick={() => changeMoodMonth(-1)} aria-label="Mês anterior" className="px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300">‹</button>
+                                    <h3 className="text-xl font-semibold text-gray-800 capitalize">
+                                        {new Date(moodMonth.year, moodMonth.month, 1).toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' })}
+                                    </h3>
+                                    <button onClick={() => changeMoodMonth(1)} aria-label="Próximo mês" className="px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300">›</button>
+                                </div>
+                                <div className="grid grid-cols-7 gap-1 text-xs text-gray-500 mb-1">
+                                    {['D', 'S', 'T', 'Q', 'Q', 'S', 'S'].map((day, index) => <span key={index}>{day}</span>)}
+                                </div>
+                                <div className="grid grid-cols-7 gap-1">
+                                    {moodWeeks.flat().map((cell, index) => (
+                                        cell ? (
+                                            <button
+                                                key={cell.key}
+                                                onClick={() => setSelectedMoodDay(selectedMoodDay === cell.key ? null : cell.key)}
+                                                title={cell.entries.length ? `${cell.entries.length} registro(s) — ${cell.mood}` : 'Sem registros'}
+                                                className={`aspect-square rounded-md text-xs flex flex-col items-center justify-center border ${selectedMoodDay === cell.key ? 'border-black border-2' : 'border-gray-200'}`}
+                                                style={{
+                                                    // A intensidade média define a força da cor
+                                                    backgroundColor: cell.mood ? getMoodOption(cell.mood)?.color : '#f9fafb',
+                                                    opacity: cell.mood ? 0.4 + (cell.intensity / 5) * 0.6 : 1
+                                                }}
+                                            >
+                                                <span className="text-gray-700">{cell.date.getDate()}</span>
+                                                {cell.mood && <span>{getMoodOption(cell.mood)?.emoji}</span>}
+                                            </button>
+                                        ) : (
+                                            <span key={`vazio-${index}`}></span>
+                                        )
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="bg-white rounded-xl shadow-lg p-6 border-2 border-gray-200">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">Tendência semanal</h3>
+                                <svg viewBox={`0 0 ${trendWidth} ${trendHeight + 20}`} className="w-full" role="img" aria-label="Média de humor nas últimas semanas">
+                                    <line x1="20" x2={trendWidth - 20} y1={trendY(0)} y2={trendY(0)} stroke="#d1d5db" strokeDasharray="4 4" />
+                                    <text x="0" y={trendY(2) + 4} fontSize="12">🤩</text>
+                                    <text x="0" y={trendY(0) + 4} fontSize="12">😐</text>
+                                    <text x="0" y={trendY(-2) + 4} fontSize="12">😠</text>
+                                    {trendPoints && <polyline points={trendPoints} fill="none" stroke="#000000" strokeWidth="2" />}
+                                    {moodTrend.map((week, index) => (
+                                        <g key={week.start.getTime()}>
+                                            {week.average !== null && (
+                                                <circle cx={trendX(index)} cy={trendY(week.average)} r="4" fill="#000000">
+                                                    <title>{`${week.count} registro(s), média ${week.average.toFixed(1)}`}</title>
+                                                </circle>
+                                            )}
+                                            <text x={trendX(index)} y={trendHeight + 15} fontSize="9" textAnchor="middle" fill="#6b7280">
+                                                {week.start.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' })}
+                                            </text>
+                                        </g>
+                                    ))}
+                                </svg>
+                                <p className="text-xs text-gray-500 mt-2">Média do humor ponderada pela intensidade, por semana.</p>
+                            </div>
+                        </div>
+                        <h3 className="text-2xl font-semibold text-white mb-4">
+                            Histórico de Humor{selectedMoodDay ? ` — ${parseDateOnly(selectedMoodDay).toLocaleDateString('pt-BR')}` : ''}:
+                        </h3>
+                        {selectedMoodDay && (
+                            <button onClick={() => setSelectedMoodDay(null)} className="text-sm text-gray-200 underline mb-4">Mostrar todos os dias</button>
                         )}
-                        <h3 className="text-2xl font-semibold text-white mb-4">Histórico de Humor:</h3>
                         <div className="bg-white rounded-xl shadow-lg p-6 max-w-xl mx-auto border-2 border-gray-200">
-                            {moods.length > 0 ? (
-                                <ul className="list-disc list-inside text-left text-gray-700">
-                                    {moods.map((moodEntry) => (
-                                        <li key={moodEntry.id} className="mb-2">
-                                            {moodEntry.mood} - {new Date(moodEntry.timestamp?.toDate()).toLocaleString()}
+                            {listedMoods.length > 0 ? (
+                                <ul className="text-left text-gray-700 divide-y divide-gray-200">
+                                    {listedMoods.map((moodEntry) => (
+                                        <li key={moodEntry.id} className="py-3 flex items-start gap-3">
+                                            <span className="text-3xl">{getMoodOption(moodEntry.mood)?.emoji}</span>
+                                            <div className="flex-1">
+                                                <p className="font-medium">
+                                                    {moodEntry.mood} <span className="text-sm text-gray-500">· intensidade {getMoodIntensity(moodEntry)}</span>
+                                                </p>
+                                                <p className="text-xs text-gray-500">{new Date(getMoodEntryDate(moodEntry)).toLocaleString()}</p>
+                                                {moodEntry.note && <p className="mt-1 whitespace-pre-wrap">{moodEntry.note}</p>}
+                                                {moodEntry.tags?.length > 0 && (
+                                                    <div className="flex flex-wrap gap-1 mt-1">
+                                                        {moodEntry.tags.map((tag) => (
+                                                            <span key={tag} className="px-2 py-0.5 rounded-full bg-gray-100 text-xs">#{tag}</span>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </div>
+                                            <div className="flex gap-2">
+                                                <button onClick={() => editMood(moodEntry)} title="Editar" className="text-sm">✏️</button>
+                                                <button onClick={() => deleteMood(moodEntry)} title="Excluir" className="text-sm">🗑️</button>
+                                            </div>
                                         </li>
                                     ))}
                                 </ul>
                             ) : (
-                                <p className="text-gray-500">Nenhum humor registrado ainda.</p>
+                                <p className="text-gray-500">{moods.length > 0 ? 'Nenhum registro com esses filtros.' : 'Nenhum humor registrado ainda.'}</p>
                             )}
                         </div>
                     </div>
                 );
+            }
             case 'daysCounter':
                 return (
                     <div className="p-6 text-center">
                         <h2 className="text-3xl md:text-4xl font-bold text-white mb-8">Contagem Regressiva dos Nossos Dias</h2>
-                        <p className="text-lg text-gray-200 mb-6">Quantos dias se passaram desde que nos conhecemos?</p>
-                        <div className="bg-white rounded-xl shadow-lg p-6 max-w-md mx-auto border-2 border-gray-200">
-                            <label htmlFor="startDate" className="block text-gray-700 font-medium mb-2">Selecione a data que nos conhecemos:</label>
+                        <p className="text-lg text-gray-200 mb-6">As datas que marcaram a nossa história — e as que estão chegando.</p>
+                        <div className="bg-white rounded-xl shadow-lg p-6 max-w-md mx-auto mb-8 border-2 border-gray-200 text-left">
+                            <h3 className="text-xl font-semibold text-gray-800 mb-4">{editingMilestoneId ? 'Editar marco' : 'Novo marco'}</h3>
+                            <div className="flex flex-wrap gap-2 mb-3">
+                                {MILESTONE_SUGGESTIONS.map((suggestion) => (
+                                    <button
+                                        key={suggestion.name}
+                                        onClick={() => setMilestoneForm({ ...milestoneForm, name: suggestion.name, emoji: suggestion.emoji })}
+                                        className="px-3 py-1 rounded-full text-xs bg-gray-200 text-gray-800 hover:bg-gray-300 transition duration-300"
+                                    >
+                                        {suggestion.emoji} {suggestion.name}
+                                    </button>
+                                ))}
+                            </div>
+                            <label htmlFor="milestoneName" className="block text-gray-700 font-medium mb-2">Nome:</label>
+                            <input
+                                type="text"
+                                id="milestoneName"
+                                value={milestoneForm.name}
+                                maxLength={MILESTONE_NAME_MAX_LENGTH}
+                                onChange={(e) => setMilestoneForm({ ...milestoneForm, name: e.target.value })}
+                                placeholder="Ex.: Dia em que nos conhecemos"
+                                className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black mb-4"
+                            />
+                            <label htmlFor="milestoneDate" className="block text-gray-700 font-medium mb-2">Data:</label>
                             <input
                                 type="date"
-                                id="startDate"
-                                value={startDate || ''} // Garante que o valor é sempre uma string
-                                onChange={(e) => setStartDate(e.target.value)}
+                                id="milestoneDate"
+                                value={milestoneForm.date}
+                                onChange={(e) => setMilestoneForm({ ...milestoneForm, date: e.target.value })}
                                 className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black mb-4"
                             />
-                            <button
-                                onClick={saveStartDate}
-                                className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md"
+                            <div className="flex flex-wrap gap-2 mb-4">
+                                {MILESTONE_EMOJIS.map((emoji) => (
+                                    <button
+                                        key={emoji}
+                                        onClick={() => setMilestoneForm({ ...milestoneForm, emoji })}
+                                        className={`w-10 h-10 rounded-lg text-xl border ${milestoneForm.emoji === emoji ? 'border-black border-2 bg-gray-100' : 'border-gray-300'}`}
+                                    >
+                                        {emoji}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="flex justify-center gap-3">
+                                <button
+                                    onClick={saveMilestone}
+                                    className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md"
                                 >
-                                Salvar Data
-                            </button>
-                            {daysKnown > 0 && (
-                                <p className="text-2xl font-bold text-gray-800 mt-6">
-                                    Já se passaram <span className="text-black">{daysKnown}</span> dias! 🎉
-                                </p>
-                            )}
-                            {startDate && daysKnown === 0 && (
-                                <p className="text-xl text-gray-600 mt-6">
-                                    Selecione uma data no passado para ver a contagem.
-                                </p>
-                            )}
+                                    {editingMilestoneId ? 'Salvar Alterações' : 'Salvar Data'}
+                                </button>
+                                {editingMilestoneId && (
+                                    <button
+                                        onClick={resetMilestoneForm}
+                                        className="bg-gray-200 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md"
+                                    >
+                                        Cancelar
+                                    </button>
+                                )}
+                            </div>
                         </div>
+                        {milestones.length > 0 ? (
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-4xl mx-auto">
+                                {milestones.map((milestone) => {
+                                    const status = describeMilestone(milestone, new Date(now));
+                                    const upcoming = status.isFuture ? [] : status.anniversaries.filter((anniversary) => anniversary.daysUntil <= UPCOMING_ANNIVERSARY_DAYS);
+                                    return (
+                                        <div key={milestone.id} className="bg-white rounded-xl shadow-lg p-6 border-2 border-gray-200 text-left">
+                                            <div className="flex items-start justify-between gap-2">
+                                                <div>
+                                                    <p className="text-xl font-semibold text-gray-800">{milestone.emoji} {milestone.name}</p>
+                                                    <p className="text-sm text-gray-500">{parseDateOnly(milestone.date).toLocaleDateString('pt-BR')}</p>
+                                                    {renderItemVisibility('milestones', milestone)}
+                                                </div>
+                                                <div className="flex gap-2">
+                                                    <button onClick={() => editMilestone(milestone)} title="Editar" className="text-sm">✏️</button>
+                                                    <button onClick={() => deleteMilestone(milestone)} title="Excluir" className="text-sm">🗑️</button>
+                                                </div>
+                                            </div>
+                                            {status.isFuture ? (
+                                                <div className="mt-4">
+                                                    <p className="text-sm text-gray-600">Faltam</p>
+                                                    <Countdown target={status.target.getTime()} className="text-2xl font-bold text-gray-800 font-mono" />
+                                                </div>
+                                            ) : (
+                                                <div className="mt-4">
+                                                    <p className="text-2xl font-bold text-gray-800">
+                                                        {status.totalDays === 0 ? 'É hoje! 🎉' : <>Já se passaram <span className="text-black">{status.totalDays.toLocaleString('pt-BR')}</span> dias!</>}
+                                                    </p>
+                                                    {status.totalDays > 0 && <p className="text-gray-600">{formatElapsed(status.elapsed)}</p>}
+                                                    <ul className="mt-3 text-sm text-gray-600">
+                                                        {status.anniversaries.map((anniversary) => (
+                                                            <li key={anniversary.label} className={upcoming.includes(anniversary) ? 'font-semibold text-black' : ''}>
+                                                                {anniversary.daysUntil === 0 ? '🎉 Hoje' : upcoming.includes(anniversary) ? '⏳ Em breve' : 'Próximo'}: {anniversary.label}
+                                                                {anniversary.daysUntil > 0 && ` em ${anniversary.date.toLocaleDateString('pt-BR')} (faltam ${anniversary.daysUntil} ${anniversary.daysUntil === 1 ? 'dia' : 'dias'})`}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        ) : (
+                            <p className="text-gray-200">Nenhum marco salvo ainda. Comece pelo dia em que nos conhecemos!</p>
+                        )}
                     </div>
                 );
-            case 'gameSchedule':
+            case 'gameSchedule': {
+                const resultsByKey = Object.fromEntries(gameResults.map((result) => [result.id, result]));
+                // Jogos que começaram há menos de 3 horas ainda contam como "próximos" (em andamento)
+                const scheduleCutoff = new Date(now - 3 * 60 * 60 * 1000);
+                const upcomingGames = gameSchedule.filter((game) => getKickoff(game) >= scheduleCutoff);
+                const awaitingResultGames = gameSchedule
+                    .filter((game) => getKickoff(game) < scheduleCutoff && !getMatchOutcome(game))
+                    .slice(-5)
+                    .reverse();
+                const isScheduleLoading = (scheduleStatus === 'loading' || !sharedFixturesLoaded) && gameSchedule.length === 0;
+                const fixtureInputClass = (field) => `w-full p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-black ${fixtureFormErrors[field] ? 'border-red-500' : 'border-gray-300'}`;
+                const renderFixture = (game) => {
+                    const result = getMatchOutcome(game) ? game : resultsByKey[getGameKey(game)];
+                    const outcome = getMatchOutcome(result);
+                    const isEditingResult = resultForm && getGameKey(resultForm.game) === getGameKey(game);
+                    const reminder = matchReminders.find((entry) => entry.id === getGameKey(game));
+                    const isChoosingReminder = reminderForm && getGameKey(reminderForm.game) === getGameKey(game);
+                    return (
+                        <li key={game.id} className="py-4">
+                            <div className="flex flex-col sm:flex-row items-center justify-between">
+                                <div className="text-left mb-2 sm:mb-0">
+                                    <p className="text-xl font-semibold text-gray-800">
+                                        {formatFixtureTitle(game)}
+                                        {outcome && (
+                                            <span className={`ml-2 px-2 py-0.5 rounded-full text-sm ${MATCH_OUTCOMES[outcome].className}`}>
+                                                {MATCH_OUTCOMES[outcome].short} {result.goalsFor} x {result.goalsAgainst}
+                                            </span>
+                                        )}
+                                    </p>
+                                    <p className="text-gray-600">{parseDateOnly(game.date).toLocaleDateString('pt-BR')} - {game.time}</p>
+                                    <p className="text-sm text-gray-500">
+                                        {[game.competition, game.location, game.tvChannel && `📺 ${game.tvChannel}`].filter(Boolean).join(' - ')}
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap justify-center gap-2">
+                                    {getKickoff(game) <= new Date(now) && !getMatchOutcome(game) && (
+                                        <button
+                                            onClick={() => setResultForm({ game, goalsFor: result ? String(result.goalsFor) : '', goalsAgainst: result ? String(result.goalsAgainst) : '' })}
+                                            className="bg-gray-200 text-gray-800 px-4 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md text-sm"
+                                        >
+                                            {result ? 'Editar resultado' : 'Registrar resultado'}
+                                        </button>
+                                    )}
+                                    {getKickoff(game) > new Date(now) && (
+                                        <button
+                                            onClick={() => toggleMatchReminder(game)}
+                                            aria-pressed={!!reminder}
+                                            title={reminder ? 'Clique para cancelar o lembrete' : 'Receber uma notificação antes do jogo'}
+                                            className={`px-4 py-2 rounded-full transition duration-300 shadow-md text-sm ${reminder ? 'bg-yellow-300 text-black hover:bg-yellow-400' : 'bg-black text-white hover:bg-gray-800'}`}
+                                        >
+                                            {reminder
+                                                ? `🔔 Lembrete: ${REMINDER_LEAD_TIMES.filter((leadTime) => reminder.leadTimes?.includes(leadTime.id)).map((leadTime) => leadTime.short).join(', ')}`
+                                                : 'Notificar-me'}
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => downloadFixturesCalendar([game], `jogo-${getGameKey(game)}.ics`)}
+                                        title="Adicionar ao calendário (.ics)"
+                                        className="bg-gray-200 text-gray-800 px-4 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md text-sm"
+                                    >
+                                        📅 Calendário
+                                    </button>
+                                    {canEditFixtures && (
+                                        <>
+                                            <button onClick={() => openFixtureForm(game)} title="Editar jogo" className="text-sm">✏️</button>
+                                            {game.shared && <button onClick={() => deleteFixture(game)} title="Excluir jogo" className="text-sm">🗑️</button>}
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+                            {isChoosingReminder && (
+                                <form
+                                    onSubmit={(e) => { e.preventDefault(); saveMatchReminder(); }}
+                                    className="flex flex-wrap items-center justify-center gap-3 mt-3"
+                                >
+                                    <span className="text-sm text-gray-700">Avisar:</span>
+                                    {REMINDER_LEAD_TIMES.map((leadTime) => (
+                                        <label key={leadTime.id} className="flex items-center gap-1 text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={reminderForm.leadTimes.includes(leadTime.id)}
+                                                disabled={!availableLeadTimes(game, new Date(now)).includes(leadTime)}
+                                                onChange={(e) => setReminderForm({
+                                                    ...reminderForm,
+                                                    leadTimes: e.target.checked
+                                                        ? [...reminderForm.leadTimes, leadTime.id]
+                                                        : reminderForm.leadTimes.filter((id) => id !== leadTime.id)
+                                                })}
+                                            />
+                                            {leadTime.label}
+                                        </label>
+                                    ))}
+                                    <button type="submit" className="bg-black text-white px-4 py-1 rounded-full hover:bg-gray-800 transition duration-300 text-sm">Ativar</button>
+                                    <button type="button" onClick={() => setReminderForm(null)} className="bg-gray-200 text-gray-800 px-4 py-1 rounded-full hover:bg-gray-300 transition duration-300 text-sm">Cancelar</button>
+                                </form>
+                            )}
+                            {isEditingResult && (
+                                <form
+                                    onSubmit={async (e) => {
+                                        e.preventDefault();
+                                        if (await saveGameResult(game, resultForm.goalsFor, resultForm.goalsAgainst)) setResultForm(null);
+                                    }}
+                                    className="flex items-center justify-center gap-2 mt-3"
+                                >
+                                    <span className="text-sm text-gray-700">Galo</span>
+                                    <input type="number" min="0" max="30" value={resultForm.goalsFor} onChange={(e) => setResultForm({ ...resultForm, goalsFor: e.target.value })} aria-label="Gols do Atlético-MG" className="w-16 p-1 border border-gray-300 rounded-lg text-center" />
+                                    <span className="text-gray-700">x</span>
+                                    <input type="number" min="0" max="30" value={resultForm.goalsAgainst} onChange={(e) => setResultForm({ ...resultForm, goalsAgainst: e.target.value })} aria-label={`Gols do ${game.opponent}`} className="w-16 p-1 border border-gray-300 rounded-lg text-center" />
+                                    <span className="text-sm text-gray-700">{game.opponent}</span>
+                                    <button type="submit" className="bg-black text-white px-4 py-1 rounded-full hover:bg-gray-800 transition duration-300 text-sm">Salvar</button>
+                                    <button type="button" onClick={() => setResultForm(null)} className="bg-gray-200 text-gray-800 px-4 py-1 rounded-full hover:bg-gray-300 transition duration-300 text-sm">Cancelar</button>
+                                </form>
+                            )}
+                        </li>
+                    );
+                };
                 return (
                     <div className="p-6 text-center">
                         <h2 className="text-3xl md:text-4xl font-bold text-white mb-8">Agenda de Jogos do Atlético-MG</h2>
                         <p className="text-lg text-gray-200 mb-6">Fique por dentro dos próximos jogos do Galo!</p>
+                        <div className="flex flex-wrap justify-center gap-3 mb-6">
+                            {canEditFixtures && !fixtureForm && (
+                                <button
+                                    onClick={() => openFixtureForm()}
+                                    className="bg-white text-black px-6 py-2 rounded-full hover:bg-gray-200 transition duration-300 shadow-md"
+                                >
+                                    + Adicionar jogo
+                                </button>
+                            )}
+                            {gameSchedule.length > 0 && (
+                                <button
+                                    onClick={() => downloadFixturesCalendar(gameSchedule, 'jogos-atletico-mg.ics')}
+                                    className="bg-white text-black px-6 py-2 rounded-full hover:bg-gray-200 transition duration-300 shadow-md"
+                                >
+                                    📅 Exportar todos (.ics)
+                                </button>
+                            )}
+                            {canEditFixtures && (
+                                <label className="bg-white text-black px-6 py-2 rounded-full hover:bg-gray-200 transition duration-300 shadow-md cursor-pointer">
+                                    Importar .ics
+                                    <input type="file" accept="text/calendar,.ics" onChange={handleFixtureIcsImport} className="hidden" />
+                                </label>
+                            )}
+                        </div>
+                        {fixtureForm && (
+                            <form
+                                onSubmit={(e) => { e.preventDefault(); saveFixture(); }}
+                                className="bg-white rounded-xl shadow-lg p-6 max-w-2xl mx-auto mb-8 border-2 border-gray-200 text-left"
+                                noValidate
+                            >
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">{editingFixtureId ? 'Editar jogo' : 'Novo jogo'}</h3>
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                    <label className="block text-gray-700 font-medium">
+                                        Data
+                                        <input type="date" value={fixtureForm.date} onChange={(e) => setFixtureForm({ ...fixtureForm, date: e.target.value })} className={fixtureInputClass('date')} />
+                                        {fixtureFormErrors.date && <span className="text-sm text-red-600">{fixtureFormErrors.date}</span>}
+                                    </label>
+                                    <label className="block text-gray-700 font-medium">
+                                        Horário
+                                        <input type="time" value={fixtureForm.time} onChange={(e) => setFixtureForm({ ...fixtureForm, time: e.target.value })} className={fixtureInputClass('time')} />
+                                        {fixtureFormErrors.time && <span className="text-sm text-red-600">{fixtureFormErrors.time}</span>}
+                                    </label>
+                                    <label className="block text-gray-700 font-medium">
+                                        Adversário
+                                        <input type="text" value={fixtureForm.opponent} maxLength={FIXTURE_TEXT_MAX_LENGTH} onChange={(e) => setFixtureForm({ ...fixtureForm, opponent: e.target.value })} placeholder="Ex.: Cruzeiro" className={fixtureInputClass('opponent')} />
+                                        {fixtureFormErrors.opponent && <span className="text-sm text-red-600">{fixtureFormErrors.opponent}</span>}
+                                    </label>
+                                    <fieldset className="text-gray-700 font-medium">
+                                        Mando de campo
+                                        <div className="flex gap-4 mt-2 font-normal">
+                                            <label className="flex items-center gap-1">
+                                                <input type="radio" name="fixtureIsHome" checked={fixtureForm.isHome} onChange={() => setFixtureForm({ ...fixtureForm, isHome: true })} />
+                                                Em casa
+                                            </label>
+                                            <label className="flex items-center gap-1">
+                                                <input type="radio" name="fixtureIsHome" checked={!fixtureForm.isHome} onChange={() => setFixtureForm({ ...fixtureForm, isHome: false })} />
+                                                Fora
+                                            </label>
+                                        </div>
+                                    </fieldset>
+                                    <label className="block text-gray-700 font-medium">
+                                        Estádio
+                                        <input type="text" value={fixtureForm.location} maxLength={FIXTURE_TEXT_MAX_LENGTH} onChange={(e) => setFixtureForm({ ...fixtureForm, location: e.target.value })} placeholder="Ex.: Arena MRV" className={fixtureInputClass('location')} />
+                                        {fixtureFormErrors.location && <span className="text-sm text-red-600">{fixtureFormErrors.location}</span>}
+                                    </label>
+                                    <label className="block text-gray-700 font-medium">
+                                        Competição
+                                        <input type="text" value={fixtureForm.competition} maxLength={FIXTURE_TEXT_MAX_LENGTH} onChange={(e) => setFixtureForm({ ...fixtureForm, competition: e.target.value })} placeholder="Ex.: Campeonato Brasileiro" className={fixtureInputClass('competition')} />
+                                        {fixtureFormErrors.competition && <span className="text-sm text-red-600">{fixtureFormErrors.competition}</span>}
+                                    </label>
+                                    <label className="block text-gray-700 font-medium">
+                                        Transmissão
+                                        <input type="text" value={fixtureForm.tvChannel} maxLength={FIXTURE_TEXT_MAX_LENGTH} onChange={(e) => setFixtureForm({ ...fixtureForm, tvChannel: e.target.value })} placeholder="Ex.: Premiere" className={fixtureInputClass('tvChannel')} />
+                                        {fixtureFormErrors.tvChannel && <span className="text-sm text-red-600">{fixtureFormErrors.tvChannel}</span>}
+                                    </label>
+                                    <div className="text-gray-700 font-medium">
+                                        Placar final (opcional)
+                                        <div className="flex items-center gap-2 mt-1">
+                                            <input type="number" min="0" max="30" value={fixtureForm.goalsFor} onChange={(e) => setFixtureForm({ ...fixtureForm, goalsFor: e.target.value })} aria-label="Gols do Atlético-MG" placeholder="Galo" className={`${fixtureInputClass('score')} text-center`} />
+                                            <span>x</span>
+                                            <input type="number" min="0" max="30" value={fixtureForm.goalsAgainst} onChange={(e) => setFixtureForm({ ...fixtureForm, goalsAgainst: e.target.value })} aria-label="Gols do adversário" placeholder="Adv." className={`${fixtureInputClass('score')} text-center`} />
+                                        </div>
+                                        {fixtureFormErrors.score && <span className="text-sm text-red-600">{fixtureFormErrors.score}</span>}
+                                    </div>
+                                </div>
+                                <div className="flex justify-center gap-3 mt-6">
+                                    <button type="submit" className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">
+                                        {editingFixtureId ? 'Salvar Alterações' : 'Adicionar Jogo'}
+                                    </button>
+                                    <button type="button" onClick={closeFixtureForm} className="bg-gray-200 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-300 transition duration-300 shadow-md">
+                                        Cancelar
+                                    </button>
+                                </div>
+                            </form>
+                        )}
                         <div className="bg-white rounded-xl shadow-lg p-6 max-w-2xl mx-auto border-2 border-gray-200">
-                            {gameSchedule.length > 0 ? (
-                                <ul className="divide-y divide-gray-200">
-                                    {gameSchedule.map((game) => (
-                                        <li key={game.id} className="py-4 flex flex-col sm:flex-row items-center justify-between">
-                                            <div className="text-left mb-2 sm:mb-0">
-                                                <p className="text-xl font-semibold text-gray-800">{game.opponent} vs Atlético-MG</p>
-                                                <p className="text-gray-600">{new Date(game.date).toLocaleDateString('pt-BR')} - {game.time}</p>
-                                                <p className="text-sm text-gray-500">{game.competition} - {game.location}</p>
-                                            </div>
-                                            <button
-                                                onClick={() => showTemporaryNotification(`Lembrete: Jogo do Galo contra ${game.opponent} em ${new Date(game.date).toLocaleDateString('pt-BR')}!`)}
-                                                className="bg-black text-white px-4 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md text-sm"
-                                            >
-                                                Notificar-me
-                                            </button>
-                                        </li>
-                                    ))}
+                            {isScheduleLoading ? (
+                                <p className="text-gray-500 animate-pulse">Carregando jogos...</p>
+                            ) : scheduleStatus === 'error' && gameSchedule.length === 0 ? (
+                                <div>
+                                    <p className="text-red-600 mb-2">Não foi possível carregar a agenda de jogos.</p>
+                                    <p className="text-sm text-gray-500 mb-4">{scheduleError}</p>
+                                    <button
+                                        onClick={() => setScheduleReload((count) => count + 1)}
+                                        className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md"
+                                    >
+                                        Tentar novamente
+                                    </button>
+                                </div>
+                            ) : (
+                                <>
+                                    {scheduleError && (
+                                        <p className="text-sm text-yellow-700 bg-yellow-50 rounded-lg p-2 mb-4">
+                                            {scheduleUpdatedAt
+                                                ? `Não foi possível atualizar a agenda; mostrando a versão salva de ${new Date(scheduleUpdatedAt).toLocaleString('pt-BR')}.`
+                                                : 'Não foi possível carregar o arquivo de jogos; mostrando só os jogos cadastrados no site.'}
+                                        </p>
+                                    )}
+                                    {upcomingGames.length > 0 ? (
+                                        <ul className="divide-y divide-gray-200">
+                                            {upcomingGames.map(renderFixture)}
+                                        </ul>
+                                    ) : (
+                                        <p className="text-gray-500">Nenhum jogo agendado no momento. Volte em breve!</p>
+                                    )}
+                                    {awaitingResultGames.length > 0 && (
+                                        <>
+                                            <h4 className="text-lg font-semibold text-gray-700 mt-6 mb-2 text-left">Aguardando resultado</h4>
+                                            <ul className="divide-y divide-gray-200">
+                                                {awaitingResultGames.map(renderFixture)}
+                                            </ul>
+                                        </>
+                                    )}
+                                    <div className="flex items-center justify-between mt-4 text-xs text-gray-500">
+                                        <span>{scheduleUpdatedAt && `Atualizado em ${new Date(scheduleUpdatedAt).toLocaleString('pt-BR')}`}</span>
+                                        <button
+                                            onClick={() => setScheduleReload((count) => count + 1)}
+                                            disabled={scheduleStatus === 'loading'}
+                                            className="underline disabled:opacity-50"
+                                        >
+                                            {scheduleStatus === 'loading' ? 'Atualizando...' : 'Atualizar'}
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                        <h3 className="text-2xl font-semibold text-white mt-8 mb-4">Resultados anteriores</h3>
+                        <div className="bg-white rounded-xl shadow-lg p-6 max-w-2xl mx-auto border-2 border-gray-200">
+                            <form
+                                onSubmit={(e) => { e.preventDefault(); addPastMatchResult(); }}
+                                className="flex flex-wrap items-center justify-center gap-2 mb-4"
+                            >
+                                <input type="date" value={pastMatchForm.date} onChange={(e) => setPastMatchForm({ ...pastMatchForm, date: e.target.value })} aria-label="Data do jogo" className="p-2 border border-gray-300 rounded-lg" />
+                                <input type="time" value={pastMatchForm.time} onChange={(e) => setPastMatchForm({ ...pastMatchForm, time: e.target.value })} aria-label="Horário do jogo" className="p-2 border border-gray-300 rounded-lg" />
+                                <input type="text" value={pastMatchForm.opponent} onChange={(e) => setPastMatchForm({ ...pastMatchForm, opponent: e.target.value })} placeholder="Adversário" className="p-2 border border-gray-300 rounded-lg" />
+                                <input type="text" value={pastMatchForm.competition} onChange={(e) => setPastMatchForm({ ...pastMatchForm, competition: e.target.value })} placeholder="Competição" className="p-2 border border-gray-300 rounded-lg" />
+                                <input type="number" min="0" max="30" value={pastMatchForm.goalsFor} onChange={(e) => setPastMatchForm({ ...pastMatchForm, goalsFor: e.target.value })} aria-label="Gols do Atlético-MG" placeholder="Galo" className="w-20 p-2 border border-gray-300 rounded-lg text-center" />
+                                <span className="text-gray-700">x</span>
+                                <input type="number" min="0" max="30" value={pastMatchForm.goalsAgainst} onChange={(e) => setPastMatchForm({ ...pastMatchForm, goalsAgainst: e.target.value })} aria-label="Gols do adversário" placeholder="Adv." className="w-20 p-2 border border-gray-300 rounded-lg text-center" />
+                                <button type="submit" className="bg-black text-white px-4 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md text-sm">Adicionar resultado</button>
+                            </form>
+                            {finishedMatches.length > 0 ? (
+                                <ul className="divide-y divide-gray-200 text-left">
+                                    {finishedMatches.map((match) => {
+                                        const outcome = getMatchOutcome(match);
+                                        return (
+                                            <li key={`${match.personal ? 'pessoal' : 'agenda'}-${match.id}`} className="py-2 flex items-center justify-between gap-2">
+                                                <span>
+                                                    <span className={`mr-2 px-2 py-0.5 rounded-full text-xs ${MATCH_OUTCOMES[outcome].className}`}>{MATCH_OUTCOMES[outcome].short}</span>
+                                                    {formatFixtureScore(match)}
+                                                    <span className="text-sm text-gray-500">
+                                                        {' · '}{parseDateOnly(match.date).toLocaleDateString('pt-BR')}{match.competition ? ` · ${match.competition}` : ''}
+                                                        {match.personal && ' · registro pessoal'}
+                                                    </span>
+                                                </span>
+                                                {match.personal ? (
+                                                    <button onClick={() => deleteGameResult(match)} title="Excluir" className="text-sm">🗑️</button>
+                                                ) : canEditFixtures && (
+                                                    <button onClick={() => openFixtureForm(match)} title="Editar jogo" className="text-sm">✏️</button>
+                                                )}
+                                            </li>
+                                        );
+                                    })}
                                 </ul>
                             ) : (
-                                <p className="text-gray-500">Nenhum jogo agendado no momento. Volte em breve!</p>
+                                <p className="text-gray-500">Nenhum resultado registrado ainda.</p>
                             )}
                         </div>
                     </div>
                 );
-            case 'photoGallery':
+            }
+            case 'moodInsights': {
+                const outcomeSummary = summarizeMoodByOutcome(finishedMatches, moods);
+                const streaks = computeMatchStreaks(finishedMatches);
+                const recentMatches = finishedMatches.slice(0, 10);
+                const formatScore = (value) => (value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)}`);
+                return (
+                    <div className="p-6 text-center">
+                        <h2 className="text-3xl md:text-4xl font-bold text-white mb-8">Humor x Resultados do Galo</h2>
+                        <p className="text-lg text-gray-200 mb-6">
+                            Como os jogos mexem com você: humor de {MOOD_DAYS_BEFORE_MATCH} dias antes até {MOOD_DAYS_AFTER_MATCH} dias depois de cada partida
+                            (escala de -2, 😠, a +2, 🤩).
+                        </p>
+                        {finishedMatches.length === 0 ? (
+                            <div className="bg-white rounded-xl shadow-lg p-6 max-w-xl mx-auto border-2 border-gray-200">
+                                <p className="text-gray-500 mb-4">Registre os resultados dos jogos na Agenda para ver a comparação com o seu humor.</p>
+                                <button onClick={() => navigate('gameSchedule')} className="bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md">Ir para a Agenda</button>
+                            </div>
+                        ) : (
+                            <>
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 max-w-4xl mx-auto mb-8">
+                                    {Object.entries(MATCH_OUTCOMES).map(([outcome, info]) => (
+                                        <div key={outcome} className="bg-white rounded-xl shadow-lg p-4 border-2 border-gray-200">
+                                            <span className={`px-3 py-1 rounded-full text-sm font-semibold ${info.className}`}>{info.label}s: {outcomeSummary[outcome].matches}</span>
+                                            <p className="text-3xl font-bold text-gray-800 mt-3">{formatScore(outcomeSummary[outcome].averageAfter)}</p>
+                                            <p className="text-sm text-gray-500">humor médio depois ({outcomeSummary[outcome].moodCount} registros)</p>
+                                            <p className="text-sm text-gray-600 mt-1">antes: {formatScore(outcomeSummary[outcome].averageBefore)}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="bg-white rounded-xl shadow-lg p-6 max-w-4xl mx-auto mb-8 border-2 border-gray-200">
+                                    <h3 className="text-xl font-semibold text-gray-800 mb-4">Sequências</h3>
+                                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-gray-700">
+                                        <div>
+                                            <p className="text-2xl font-bold">{streaks.current ? `${streaks.current.length} ${MATCH_OUTCOMES[streaks.current.outcome].short}` : '—'}</p>
+                                            <p className="text-sm text-gray-500">sequência atual</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-2xl font-bold">{streaks.longestWins}</p>
+                                            <p className="text-sm text-gray-500">vitórias seguidas (recorde)</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-2xl font-bold">{streaks.longestUnbeaten}</p>
+                                            <p className="text-sm text-gray-500">jogos sem perder (recorde)</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-2xl font-bold">{streaks.longestLosses}</p>
+                                            <p className="text-sm text-gray-500">derrotas seguidas (recorde)</p>
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="bg-white rounded-xl shadow-lg p-6 max-w-4xl mx-auto border-2 border-gray-200 overflow-x-auto">
+                                    <h3 className="text-xl font-semibold text-gray-800 mb-4">Humor ao redor dos últimos jogos</h3>
+                                    <table className="w-full text-sm text-gray-700">
+                                        <thead>
+                                            <tr>
+                                                <th className="text-left p-2">Jogo</th>
+                                                {MATCH_TIMELINE_OFFSETS.map((offset) => (
+                                                    <th key={offset} className="p-2">{offset === 0 ? 'Jogo' : `${offset > 0 ? '+' : ''}${offset}d`}</th>
+                                                ))}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {recentMatches.map((match) => {
+                                                const outcome = getMatchOutcome(match);
+                                                return (
+                                                    <tr key={`${match.personal ? 'pessoal' : 'agenda'}-${match.id}`} className="border-t border-gray-200">
+                                                        <td className="text-left p-2 whitespace-nowrap">
+                                                            <span className={`mr-2 px-2 py-0.5 rounded-full text-xs ${MATCH_OUTCOMES[outcome].className}`}>{MATCH_OUTCOMES[outcome].short}</span>
+                                                            {formatFixtureScore(match)}
+                                                            <span className="text-gray-500"> · {parseDateOnly(match.date).toLocaleDateString('pt-BR')}</span>
+                                                        </td>
+                                                        {buildMatchMoodTimeline(match, moods).map((day) => (
+                                                            <td key={day.offset} className="p-2" title={`${day.entries.length} registro(s)`}>
+                                                                {day.average === null ? (
+                                                                    <span className="text-gray-300">·</span>
+                                                                ) : (
+                                                                    <span className={`font-semibold ${day.average > 0 ? 'text-green-600' : day.average < 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                                                                        {formatScore(day.average)}
+                                                                    </span>
+                                                                )}
+                                                            </td>
+                                                        ))}
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                );
+            }
+            case 'photoGallery': {
+                const legacyPhotoCount = photos.filter((photo) => photo.dataUrl && !photo.url).length;
+                const visiblePhotos = sortPhotos(filterPhotos(photos, photoFilter), photoSort);
+                const photoTags = collectPhotoTags(photos);
+                // Foto aberta pelo endereço /galeria/:id; se os filtros a escondem, o visualizador percorre a galeria toda
+                const lightboxPhotos = visiblePhotos.some((photo) => photo.id === route.params.photoId) ? visiblePhotos : sortPhotos(photos, photoSort);
+                const lightboxIndex = lightboxPhotos.findIndex((photo) => photo.id === route.params.photoId);
+                if (route.params.photoId && photosLoaded && lightboxIndex === -1) return renderNotFound();
+                // Trocar de foto no visualizador substitui o endereço, para o Voltar não passar por todas elas
+                const selectLightboxPhoto = (index) => {
+                    if (index === null) closeRouteItem();
+                    else navigate('photoGallery', { photoId: lightboxPhotos[index].id }, { replace: true });
+                };
                 return (
                     <div className="p-6 text-center">
                         <h2 className="text-3xl md:text-4xl font-bold text-white mb-8">Galeria de Fotos: Nosso Memorial</h2>
                         <p className="text-lg text-gray-200 mb-6">Anexe suas fotos especiais e crie um memorial de momentos inesquecíveis!</p>
                         <div className="bg-white rounded-xl shadow-lg p-6 max-w-2xl mx-auto mb-8 border-2 border-gray-200">
-                            <label htmlFor="photoUpload" className="block text-gray-700 font-medium mb-2">Adicionar nova foto:</label>
-                            <input
-                                type="file"
-                                id="photoUpload"
-                                accept="image/*"
-                                onChange={handlePhotoUpload}
-                                className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black mb-4"
-                            />
+                            <div
+                                onDragOver={(e) => { e.preventDefault(); setIsDraggingPhotos(true); }}
+                                onDragLeave={(e) => {
+                                    if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingPhotos(false); // Ignora a passagem sobre os elementos internos
+                                }}
+                                onDrop={handlePhotoDrop}
+                                className={`border-2 border-dashed rounded-xl p-6 mb-4 transition duration-200 ${isDraggingPhotos ? 'border-black bg-gray-100' : 'border-gray-300'}`}
+                            >
+                                <p className="text-gray-700 mb-3">Arraste fotos para cá ou</p>
+                                <label htmlFor="photoUpload" className="inline-block bg-black text-white px-6 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md cursor-pointer">
+                                    Escolher fotos
+                                </label>
+                                <input
+                                    type="file"
+                                    id="photoUpload"
+                                    accept={PHOTO_ACCEPTED_TYPES.join(',')}
+                                    multiple
+                                    onChange={handlePhotoUpload}
+                                    className="hidden"
+                                />
+                                <p className="text-xs text-gray-500 mt-2">
+                                    JPEG, PNG, WebP ou GIF, até 30 MB cada.
+                                    {photoFilter.albumId && ` Entram no álbum "${photoAlbums.find((album) => album.id === photoFilter.albumId)?.name}".`}
+                                </p>
+                            </div>
+                            {photoQueue.length > 0 && (
+                                <div className="text-left mb-4">
+                                    <div className="flex items-center justify-between mb-2">
+                                        <p className="text-sm font-medium text-gray-700">
+                                            {photoQueue.filter((item) => item.status === 'done').length} de {photoQueue.filter((item) => item.status !== 'invalid').length} enviada(s)
+                                        </p>
+                                        <div className="flex gap-3 text-xs">
+                                            {photoQueue.some((item) => item.status === 'pending') && (
+                                                <button onClick={cancelPendingPhotos} className="underline text-gray-600">Cancelar pendentes</button>
+                                            )}
+                                            {photoQueue.some((item) => !PHOTO_QUEUE_ACTIVE_STATUSES.includes(item.status) && item.status !== 'error') && (
+                                                <button onClick={clearFinishedPhotos} className="underline text-gray-600">Limpar concluídas</button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <ul className="divide-y divide-gray-200 max-h-64 overflow-y-auto">
+                                        {photoQueue.map((item) => (
+                                            <li key={item.id} className="py-2 text-sm">
+                                                <div className="flex items-center justify-between gap-2">
+                                                    <span className="truncate text-gray-800" title={item.name}>{item.name}</span>
+                                                    <span className="flex items-center gap-2 shrink-0">
+                                                        <span className={['error', 'invalid'].includes(item.status) ? 'text-red-600' : item.status === 'done' ? 'text-green-700' : 'text-gray-500'}>
+                                                            {PHOTO_QUEUE_STATUS_LABELS[item.status]}
+                                                            {item.status === 'uploading' && ` ${Math.round(item.progress * 100)}%`}
+                                                        </span>
+                                                        {PHOTO_QUEUE_ACTIVE_STATUSES.includes(item.status) && (
+                                                            <button onClick={() => cancelQueuedPhoto(item)} title="Cancelar" className="text-gray-500 hover:text-black">✕</button>
+                                                        )}
+                                                        {['error', 'canceled'].includes(item.status) && (
+                                                            <button onClick={() => retryQueuedPhoto(item)} className="underline text-gray-700">Tentar de novo</button>
+                                                        )}
+                                                        {item.status === 'duplicate' && (
+                                                            <button onClick={() => retryQueuedPhoto(item)} className="underline text-gray-700">Enviar assim mesmo</button>
+                                                        )}
+                                                    </span>
+                                                </div>
+                                                {item.status === 'uploading' && (
+                                                    <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden mt-1" role="progressbar" aria-label={item.name} aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(item.progress * 100)}>
+                                                        <div className="h-full bg-black transition-all duration-200" style={{ width: `${item.progress * 100}%` }} />
+                                                    </div>
+                                                )}
+                                                {item.error && <p className="text-xs text-red-600 mt-1">{item.error}</p>}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                            {photoUpload && (
+                                <div className="text-left">
+                                    <p className="text-sm text-gray-700 mb-1">{photoUpload.label} {Math.round(photoUpload.progress * 100)}%</p>
+                                    <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(photoUpload.progress * 100)}>
+                                        <div className="h-full bg-black transition-all duration-200" style={{ width: `${photoUpload.progress * 100}%` }} />
+                                    </div>
+                                </div>
+                            )}
+                            {!photoUpload && legacyPhotoCount > 0 && (
+                                <div className="bg-yellow-50 text-yellow-800 text-sm rounded-lg p-3">
+                                    <p className="mb-2">{legacyPhotoCount} foto(s) antiga(s) ainda estão no formato anterior.</p>
+                                    <button
+                                        onClick={migrateLegacyPhotos}
+                                        className="bg-black text-white px-4 py-1 rounded-full hover:bg-gray-800 transition duration-300 text-sm"
+                                    >
+                                        Migrar agora
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        <div className="bg-white rounded-xl shadow-lg p-4 max-w-4xl mx-auto mb-6 border-2 border-gray-200 text-left">
+                            <div className="flex flex-wrap items-center gap-2 mb-3">
+                                <span className="text-gray-700 font-medium mr-1">Álbuns:</span>
+                                <button
+                                    onClick={() => setPhotoFilter({ ...photoFilter, albumId: '' })}
+                                    className={`px-3 py-1 rounded-full text-sm ${photoFilter.albumId === '' ? 'bg-black text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                                >
+                                    Todas ({photos.length})
+                                </button>
+                                {photoAlbums.map((album) => (
+                                    <span key={album.id} className={`flex items-center rounded-full text-sm ${photoFilter.albumId === album.id ? 'bg-black text-white' : 'bg-gray-200 text-gray-800'}`}>
+                                        <button onClick={() => setPhotoFilter({ ...photoFilter, albumId: album.id })} className="pl-3 pr-1 py-1">
+                                            {album.name} ({photos.filter((photo) => (photo.albumIds || []).includes(album.id)).length})
+                                        </button>
+                                        <button onClick={() => deletePhotoAlbum(album)} title="Excluir álbum" className="pr-2 text-xs opacity-60 hover:opacity-100">✕</button>
+                                    </span>
+                                ))}
+                            </div>
+                            <form onSubmit={(e) => { e.preventDefault(); createPhotoAlbum(newAlbumName); }} className="flex flex-wrap items-center gap-2 mb-3">
+                                <input
+                                    type="text"
+                                    value={newAlbumName}
+                                    onChange={(e) => setNewAlbumName(e.target.value)}
+                                    maxLength={PHOTO_ALBUM_NAME_MAX_LENGTH}
+                                    list="photoAlbumSuggestions"
+                                    placeholder="Novo álbum (ex.: Arena MRV)"
+                                    className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black"
+                                />
+                                <datalist id="photoAlbumSuggestions">
+                                    {SUGGESTED_PHOTO_ALBUMS.filter((name) => !photoAlbums.some((album) => album.name.toLowerCase() === name.toLowerCase())).map((name) => (
+                                        <option key={name} value={name} />
+                                    ))}
+                                </datalist>
+                                <button type="submit" className="bg-black text-white px-4 py-2 rounded-full hover:bg-gray-800 transition duration-300 text-sm">Criar álbum</button>
+                            </form>
+                            <div className="flex flex-wrap gap-3">
+                                <label className="text-sm text-gray-700">
+                                    Pessoa/tag:{' '}
+                                    <select value={photoFilter.tag} onChange={(e) => setPhotoFilter({ ...photoFilter, tag: e.target.value })} className="p-1 border border-gray-300 rounded-lg">
+                                        <option value="">Todas</option>
+                                        {photoTags.map((tag) => <option key={tag} value={tag}>{tag}</option>)}
+                                    </select>
+                                </label>
+                                <label className="text-sm text-gray-700">
+                                    Ordenar por:{' '}
+                                    <select value={photoSort} onChange={(e) => setPhotoSort(e.target.value)} className="p-1 border border-gray-300 rounded-lg">
+                                        {PHOTO_SORT_OPTIONS.map((option) => <option key={option.id} value={option.id}>{option.label}</option>)}
+                                    </select>
+                                </label>
+                            </div>
                         </div>
                         <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                            {photos.length > 0 ? (
-                                photos.map((photo) => (
-                                    <div key={photo.id} className="bg-white rounded-xl shadow-lg overflow-hidden border-2 border-gray-200">
-                                        <img src={photo.dataUrl} alt="Foto do Memorial" className="w-full h-48 object-cover rounded-t-xl" />
-                                        <p className="text-sm text-gray-500 p-3 text-right">Adicionado em: {new Date(photo.createdAt?.toDate()).toLocaleDateString('pt-BR')}</p>
-                                    </div>
-                                ))
+                            {visiblePhotos.length > 0 ? (
+                                visiblePhotos.map((photo) => {
+                                    const dayKey = getPhotoDayKey(photo);
+                                    return (
+                                        <div key={photo.id} className="bg-white rounded-xl shadow-lg overflow-hidden border-2 border-gray-200 text-left flex flex-col">
+                                            <button onClick={() => navigate('photoGallery', { photoId: photo.id })} title="Ver em tela cheia" className="block">
+                                                <img src={getPhotoThumbSrc(photo)} alt={photo.caption || 'Foto do Memorial'} loading="lazy" className="w-full aspect-square object-cover" />
+                                            </button>
+                                            {photoForm?.id === photo.id ? (
+                                                <form onSubmit={(e) => { e.preventDefault(); savePhotoDetails(); }} className="p-3 space-y-2 text-sm">
+                                                    <textarea
+                                                        value={photoForm.caption}
+                                                        onChange={(e) => setPhotoForm({ ...photoForm, caption: e.target.value })}
+                                                        maxLength={PHOTO_CAPTION_MAX_LENGTH}
+                                                        rows={2}
+                                                        placeholder="Legenda"
+                                                        className="w-full p-2 border border-gray-300 rounded-lg"
+                                                    />
+                                                    <label className="block text-gray-700">
+                                                        Data da foto
+                                                        <input
+                                                            type="date"
+                                                            value={photoForm.takenAt}
+                                                            max={toDayKey(new Date())}
+                                                            onChange={(e) => setPhotoForm({ ...photoForm, takenAt: e.target.value })}
+                                                            className="w-full p-2 border border-gray-300 rounded-lg"
+                                                        />
+                                                    </label>
+                                                    <input
+                                                        type="text"
+                                                        value={photoForm.tagsText}
+                                                        onChange={(e) => setPhotoForm({ ...photoForm, tagsText: e.target.value })}
+                                                        placeholder="Pessoas/tags, separadas por vírgula"
+                                                        className="w-full p-2 border border-gray-300 rounded-lg"
+                                                    />
+                                                    {photoAlbums.length > 0 && (
+                                                        <fieldset className="text-gray-700">
+                                                            <legend>Álbuns</legend>
+                                                            {photoAlbums.map((album) => (
+                                                                <label key={album.id} className="flex items-center gap-2">
+                                                                    <input
+                                                                        type="checkbox"
+                                                                        checked={photoForm.albumIds.includes(album.id)}
+                                                                        onChange={(e) => setPhotoForm({
+                                                                            ...photoForm,
+                                                                            albumIds: e.target.checked
+                                                                                ? [...photoForm.albumIds, album.id]
+                                                                                : photoForm.albumIds.filter((albumId) => albumId !== album.id)
+                                                                        })}
+                                                                    />
+                                                                    {album.name}
+                                                                </label>
+                                                            ))}
+                                                        </fieldset>
+                                                    )}
+                                                    <div className="flex gap-2">
+                                                        <button type="submit" className="bg-black text-white px-4 py-1 rounded-full hover:bg-gray-800 transition duration-300">Salvar</button>
+                                                        <button type="button" onClick={() => setPhotoForm(null)} className="bg-gray-200 text-gray-800 px-4 py-1 rounded-full hover:bg-gray-300 transition duration-300">Cancelar</button>
+                                                    </div>
+                                                </form>
+                                            ) : (
+                                                <div className="p-3 flex-1 flex flex-col">
+                                                    {photo.caption && <p className="text-gray-800 mb-1">{photo.caption}</p>}
+                                                    {(photo.tags || []).length > 0 && (
+                                                        <div className="flex flex-wrap gap-1 mb-1">
+                                                            {photo.tags.map((tag) => (
+                                                                <button key={tag} onClick={() => setPhotoFilter({ ...photoFilter, tag })} className="bg-gray-200 text-gray-700 rounded-full px-2 py-0.5 text-xs hover:bg-gray-300">#{tag}</button>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                    <div className="flex items-center justify-between mt-auto text-sm text-gray-500">
+                                                        <span title={photo.takenAt ? 'Data da foto' : 'Data em que foi adicionada'}>
+                                                            {dayKey ? `${photo.takenAt ? '📷' : 'Adicionada em'} ${parseDateOnly(dayKey).toLocaleDateString('pt-BR')}` : 'Enviando...'}
+                                                        </span>
+                                                        <button onClick={() => editPhoto(photo)} title="Editar detalhes" className="text-sm">✏️</button>
+                                                    </div>
+                                                    {renderItemVisibility('photos', photo)}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })
                             ) : (
-                                <p className="text-gray-500 col-span-full">Nenhuma foto no memorial ainda. Adicione a primeira!</p>
+                                <p className="text-gray-500 col-span-full">
+                                    {photos.length === 0 ? 'Nenhuma foto no memorial ainda. Adicione a primeira!' : 'Nenhuma foto com esses filtros.'}
+                                </p>
                             )}
                         </div>
+                        {lightboxIndex !== -1 && (
+                            <PhotoLightbox photos={lightboxPhotos} index={lightboxIndex} albums={photoAlbums} onSelect={selectLightboxPhoto} />
+                        )}
                     </div>
                 );
+            }
             default:
-                return null;
+                return renderNotFound();
         }
     };
 
@@ -946,20 +5342,73 @@ const App = () => {
             {/* Cabeçalho */}
             <header className="bg-gradient-to-r from-black to-gray-900 text-white p-4 shadow-lg flex flex-col sm:flex-row items-center justify-between">
                 <div className="flex items-center mb-4 sm:mb-0">
-                    <img src="https://upload.wikimedia.org/wikipedia/commons/thumb/5/52/Escudo_do_Clube_Atl%C3%A9tico_Mineiro.svg/1200px-Escudo_do_Clube_Atl%C3%A9tico_Mineiro.svg.png" alt="Escudo Atlético-MG" className="h-12 w-12 mr-3 rounded-full border-2 border-white" />
+                    <img src={galoCrestUrl} alt="Escudo Atlético-MG" className="h-12 w-12 mr-3 rounded-full border-2 border-white" />
                     <div>
                         <h1 className="text-3xl font-extrabold tracking-wide">Dr. Emanuel's Wonderland</h1>
-                        {userId && <p className="text-xs text-gray-400">ID do Usuário: {userId}</p>}
+                        {account && !tributeOwnerId && (
+                            <div className="relative mt-1">
+                                <button
+                                    onClick={() => setShowProfileMenu(!showProfileMenu)}
+                                    aria-haspopup="true"
+                                    aria-expanded={showProfileMenu}
+                                    className="flex items-center gap-2 text-sm text-gray-300 hover:text-white"
+                                >
+                                    {account.photoURL ? (
+                                        <img src={account.photoURL} alt="" referrerPolicy="no-referrer" className="w-6 h-6 rounded-full" />
+                                    ) : (
+                                        <span className="w-6 h-6 rounded-full bg-white text-black flex items-center justify-center text-xs font-bold">
+                                            {account.isAnonymous ? '👤' : getAccountLabel(account).charAt(0).toUpperCase()}
+                                        </span>
+                                    )}
+                                    <span className="truncate max-w-[12rem]">{getAccountLabel(account)}</span>
+                                    <span aria-hidden="true">▾</span>
+                                </button>
+                                {showProfileMenu && (
+                                    <>
+                                        <div className="fixed inset-0 z-40" onClick={() => setShowProfileMenu(false)} />
+                                        <div className="absolute left-0 mt-2 w-72 bg-white text-gray-800 rounded-xl shadow-xl z-50 p-4 text-left" role="menu">
+                                            <p className="font-semibold truncate">{getAccountLabel(account)}</p>
+                                            {account.isAnonymous ? (
+                                                <>
+                                                    <p className="text-xs text-gray-500 mb-3">Seus dados ficam só neste navegador. Crie uma conta para não perdê-los ao limpar o navegador ou trocar de aparelho.</p>
+                                                    <button onClick={() => openAccountForm('register')} role="menuitem" className="w-full bg-black text-white px-4 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md text-sm mb-2">
+                                                        Criar conta e guardar meus dados
+                                                    </button>
+                                                    <button onClick={() => openAccountForm('signIn')} role="menuitem" className="w-full bg-gray-200 text-gray-800 px-4 py-2 rounded-full hover:bg-gray-300 transition duration-300 text-sm">
+                                                        Já tenho conta: entrar
+                                                    </button>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    {account.email && account.email !== getAccountLabel(account) && <p className="text-xs text-gray-500 truncate">{account.email}</p>}
+                                                    <button onClick={handleSignOut} role="menuitem" className="w-full mt-3 bg-gray-200 text-gray-800 px-4 py-2 rounded-full hover:bg-gray-300 transition duration-300 text-sm">
+                                                        Sair
+                                                    </button>
+                                                </>
+                                            )}
+                                            <p className="text-[10px] text-gray-400 mt-3 break-all">ID do usuário: {account.uid}</p>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                        )}
                     </div>
                 </div>
-                <nav className="flex flex-wrap justify-center gap-3">
-                    <button onClick={() => setCurrentPage('home')} className="nav-button">Início</button>
-                    <button onClick={() => setCurrentPage('creativeStudio')} className="nav-button">Estúdio Criativo</button>
-                    <button onClick={() => setCurrentPage('moodTracker')} className="nav-button">Humor</button>
-                    <button onClick={() => setCurrentPage('daysCounter')} className="nav-button">Contador de Dias</button>
-                    <button onClick={() => setCurrentPage('gameSchedule')} className="nav-button">Agenda de Jogos</button>
-                    <button onClick={() => setCurrentPage('photoGallery')} className="nav-button">Galeria de Fotos</button>
-                </nav>
+                {!tributeOwnerId && (
+                    <nav className="flex flex-wrap justify-center gap-3">
+                        <button onClick={() => navigate('home')} className="nav-button">Início</button>
+                        <button onClick={() => navigate('creativeStudio')} className="nav-button">Estúdio Criativo</button>
+                        <button onClick={() => navigate('moodTracker')} className="nav-button">Humor</button>
+                        <button onClick={() => navigate('daysCounter')} className="nav-button">Contador de Dias</button>
+                        <button onClick={() => navigate('gameSchedule')} className="nav-button">Agenda de Jogos</button>
+                        <button onClick={() => navigate('moodInsights')} className="nav-button">Humor x Galo</button>
+                        <button onClick={() => navigate('photoGallery')} className="nav-button">Galeria de Fotos</button>
+                        <button onClick={() => navigate('family')} className="nav-button">Família</button>
+                        <button onClick={() => navigate('tributes')} className="nav-button">
+                            Homenagens{pendingTributeCount > 0 && <span className="ml-2 bg-black text-white text-xs rounded-full px-2 py-0.5">{pendingTributeCount}</span>}
+                        </button>
+                    </nav>
+                )}
             </header>
 
             {/* Conteúdo Principal */}
@@ -973,18 +5422,147 @@ const App = () => {
             </footer>
 
             {/* Modal para mensagens de jogadores */}
-            {showPlayerModal && selectedPlayer && (
+            {selectedPlayer && (
                 <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50">
                     <div className="bg-white rounded-xl shadow-2xl p-8 max-w-lg w-full text-center transform scale-95 animate-fade-in-up">
-                        <img src={selectedPlayer.image} alt={selectedPlayer.name} className="w-28 h-28 rounded-full mx-auto mb-5 object-cover border-4 border-black" />
+                        <img src={getTributeImage(selectedPlayer)} alt={selectedPlayer.name} className="w-28 h-28 rounded-full mx-auto mb-5 object-cover border-4 border-black" />
                         <h3 className="text-2xl font-bold text-gray-900 mb-3">{selectedPlayer.name}</h3>
-                        <p className="text-lg text-gray-700 leading-relaxed mb-6">{selectedPlayer.message}</p>
+                        <p className="text-lg text-gray-700 leading-relaxed mb-6 whitespace-pre-line max-h-[40vh] overflow-y-auto">{selectedPlayer.message}</p>
+                        {selectedPlayer.mediaType === 'video' && <video src={selectedPlayer.mediaUrl} controls playsInline className="w-full max-h-[40vh] rounded-lg mb-6 bg-black" />}
+                        {selectedPlayer.mediaType === 'audio' && <audio src={selectedPlayer.mediaUrl} controls className="w-full mb-6" />}
+                        <div className="flex flex-wrap justify-center gap-3">
+                            <button
+                                onClick={closePlayerModal}
+                                className="bg-black text-white px-8 py-3 rounded-full hover:bg-gray-800 transition duration-300 shadow-lg font-semibold text-lg"
+                            >
+                                Fechar
+                            </button>
+                            <button
+                                onClick={() => copyLink(buildUrl('home', { player: route.params.player }))}
+                                className="bg-gray-200 text-gray-800 px-6 py-3 rounded-full hover:bg-gray-300 transition duration-300 shadow-lg font-semibold"
+                            >
+                                🔗 Copiar link
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Apresentação do modo surpresa */}
+            {showReveal && (
+                <RevealPlayer
+                    tributes={orderRevealSequence(tributeWall)}
+                    musicUrl={revealForm.music ? REVEAL_MUSIC_URL : null}
+                    onClose={closeReveal}
+                />
+            )}
+
+            {/* Modal de versões anteriores de uma carta */}
+            {letterVersionsView && (
+                <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50">
+                    <div className="bg-white rounded-xl shadow-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto text-left text-gray-800">
+                        <h3 className="text-2xl font-bold mb-4">Versões anteriores{letterVersionsView.letter.title ? `: ${letterVersionsView.letter.title}` : ''}</h3>
+                        {letterVersionsView.loading ? (
+                            <p className="text-gray-500">Carregando...</p>
+                        ) : letterVersionsView.versions.length > 0 ? (
+                            <ul className="space-y-4">
+                                {letterVersionsView.versions.map((version) => (
+                                    <li key={version.id} className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+                                        <p className="text-xs text-gray-500 mb-2">Versão de {version.savedAt?.toDate ? version.savedAt.toDate().toLocaleString() : '—'}</p>
+                                        {version.title && <h5 className="font-bold">{version.title}</h5>}
+                                        <div className="letter-content" dangerouslySetInnerHTML={{ __html: sanitizeLetterHtml(version.contentHtml || plainTextToHtml(version.content)) }} />
+                                        <button
+                                            onClick={() => restoreLetterVersion(letterVersionsView.letter, version)}
+                                            className="mt-3 bg-black text-white px-3 py-1 rounded-full hover:bg-gray-800 transition duration-300 shadow-sm text-sm"
+                                        >
+                                            Restaurar esta versão
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p className="text-gray-500">Esta carta ainda não foi editada.</p>
+                        )}
+                        <div className="text-center mt-6">
+                            <button
+                                onClick={() => setLetterVersionsView(null)}
+                                className="bg-gray-800 text-white px-6 py-2 rounded-full hover:bg-gray-700 transition duration-300 shadow-md"
+                            >
+                                Fechar
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Login e criação de conta */}
+            {accountForm && (
+                <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50">
+                    <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full text-gray-800 animate-fade-in-up" role="dialog" aria-modal="true" aria-labelledby="accountFormTitle">
+                        <h3 id="accountFormTitle" className="text-2xl font-bold mb-4 text-center">{accountForm.mode === 'register' ? 'Criar conta' : 'Entrar'}</h3>
+                        {account?.isAnonymous && (
+                            <p className="text-sm text-gray-600 bg-gray-100 rounded-lg p-3 mb-4">
+                                {accountForm.mode === 'register'
+                                    ? 'Tudo o que você já criou neste aparelho (desenhos, cartas, humor e fotos) passa para a nova conta.'
+                                    : 'Ao entrar em uma conta que já existe, o que você criou como visitante neste aparelho não vai junto. Para guardar, use "Criar conta".'}
+                            </p>
+                        )}
                         <button
-                            onClick={closePlayerModal}
-                            className="bg-black text-white px-8 py-3 rounded-full hover:bg-gray-800 transition duration-300 shadow-lg font-semibold text-lg"
+                            onClick={handleGoogleSignIn}
+                            disabled={accountBusy}
+                            className="w-full border-2 border-gray-300 px-4 py-2 rounded-full hover:bg-gray-100 transition duration-300 font-semibold disabled:opacity-50"
                         >
-                            Fechar
+                            Continuar com o Google
                         </button>
+                        <div className="flex items-center gap-2 my-4 text-xs text-gray-400">
+                            <span className="flex-grow border-t border-gray-200" />ou com e-mail<span className="flex-grow border-t border-gray-200" />
+                        </div>
+                        <form onSubmit={(e) => { e.preventDefault(); submitAccountForm(); }} className="space-y-3">
+                            <label className="block font-medium">
+                                E-mail
+                                <input
+                                    type="email"
+                                    autoComplete="email"
+                                    value={accountForm.email}
+                                    onChange={(e) => setAccountForm({ ...accountForm, email: e.target.value })}
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black"
+                                />
+                            </label>
+                            <label className="block font-medium">
+                                Senha
+                                <input
+                                    type="password"
+                                    autoComplete={accountForm.mode === 'register' ? 'new-password' : 'current-password'}
+                                    value={accountForm.password}
+                                    onChange={(e) => setAccountForm({ ...accountForm, password: e.target.value })}
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-black"
+                                />
+                                {accountForm.mode === 'register' && <span className="text-xs text-gray-500">Pelo menos {ACCOUNT_PASSWORD_MIN_LENGTH} caracteres.</span>}
+                            </label>
+                            {accountError && <p className="text-sm text-red-600" role="alert">{accountError}</p>}
+                            <button type="submit" disabled={accountBusy} className="w-full bg-black text-white px-4 py-2 rounded-full hover:bg-gray-800 transition duration-300 shadow-md font-semibold disabled:opacity-50">
+                                {accountBusy ? 'Aguarde...' : accountForm.mode === 'register' ? 'Criar conta' : 'Entrar'}
+                            </button>
+                        </form>
+                        <div className="flex justify-between mt-4 text-sm">
+                            <button
+                                onClick={() => {
+                                    setAccountError('');
+                                    setAccountForm({ ...accountForm, mode: accountForm.mode === 'register' ? 'signIn' : 'register' });
+                                }}
+                                className="underline text-gray-600"
+                            >
+                                {accountForm.mode === 'register' ? 'Já tenho conta' : 'Criar uma conta'}
+                            </button>
+                            {accountForm.mode === 'signIn' && (
+                                <button onClick={handlePasswordReset} className="underline text-gray-600">Esqueci a senha</button>
+                            )}
+                        </div>
+                        <div className="text-center mt-6">
+                            <button onClick={() => setAccountForm(null)} className="bg-gray-800 text-white px-6 py-2 rounded-full hover:bg-gray-700 transition duration-300 shadow-md">
+                                Cancelar
+                            </button>
+                        </div>
                     </div>
                 </div>
             )}
@@ -994,12 +5572,31 @@ const App = () => {
                 <MessageModal message={modalContent} onClose={() => setShowMessageModal(false)} />
             )}
 
+            {/* Modal de Confirmação */}
+            {confirmDialog && (
+                <ConfirmModal
+                    message={confirmDialog.message}
+                    confirmLabel={confirmDialog.confirmLabel}
+                    onCancel={() => setConfirmDialog(null)}
+                    onConfirm={() => {
+                        const { onConfirm } = confirmDialog;
+                        setConfirmDialog(null);
+                        onConfirm();
+                    }}
+                />
+            )}
+
+            {/* Barra para desfazer a última ação */}
+            {undoAction && (
+                <UndoBanner action={undoAction} onUndo={runUndoAction} onDismiss={() => setUndoAction(null)} />
+            )}
+
             {/* Notificação Temporária */}
             <NotificationBanner message={notificationMessage} show={showNotification} />
 
             {/* Estilos Tailwind customizados */}
             <style>{`
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600;700;800&display=swap');
+                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600;700;800&family=Pacifico&family=Bebas+Neue&display=swap');
 
                 body {
                     font-family: 'Inter', sans-serif;
@@ -1009,6 +5606,51 @@ const App = () => {
                     @apply bg-white text-black px-5 py-2 rounded-full font-semibold hover:bg-gray-200 transition duration-300 shadow-md;
                 }
 
+                /* Conteúdo formatado das cartas (o reset do Tailwind remove estilos de listas e títulos) */
+                .letter-content h2 { font-size: 1.5rem; font-weight: 700; margin: 0.5rem 0; }
+                .letter-content h3 { font-size: 1.25rem; font-weight: 600; margin: 0.5rem 0; }
+                .letter-content p { margin: 0.25rem 0; }
+                .letter-content ul { list-style: disc; padding-left: 1.5rem; }
+                .letter-content ol { list-style: decimal; padding-left: 1.5rem; }
+                .letter-editor:empty::before { content: attr(data-placeholder); color: #9ca3af; }
+
+                /* Animação de abertura das cartas da cápsula do tempo */
+                .animate-letter-open {
+                    animation: letterOpen 1.2s ease-out both;
+                    transform-origin: top center;
+                }
+
+                @keyframes letterOpen {
+                    0% {
+                        opacity: 0;
+                        transform: perspective(600px) rotateX(-90deg) scale(0.9);
+                        background-color: #fef9c3;
+                    }
+                    60% {
+                        opacity: 1;
+                        transform: perspective(600px) rotateX(10deg) scale(1.02);
+                    }
+                    100% {
+                        transform: perspective(600px) rotateX(0) scale(1);
+                    }
+                }
+
+                /* Transição entre as mensagens do modo surpresa */
+                .animate-reveal-slide {
+                    animation: revealSlide 0.8s ease-out both;
+                }
+
+                @keyframes revealSlide {
+                    from {
+                        opacity: 0;
+                        transform: translateY(30px) scale(0.96);
+                    }
+                    to {
+                        opacity: 1;
+                        transform: translateY(0) scale(1);
+                    }
+                }
+
                 /* Animação para o modal */
                 .animate-fade-in-up {
                     animation: fadeInScaleUp 0.3s ease-out forwards;
@@ -0,0 +1,103 @@
+// Contas de usuário: login com Google ou e-mail e senha. Quem usa o site como visitante (login
+// anônimo) pode transformar esse usuário em conta permanente: a conta é vinculada ao mesmo UID,
+// então desenhos, cartas, humor e fotos em users/{uid} continuam no lugar.
+
+import {
+    GoogleAuthProvider, EmailAuthProvider, signInWithPopup, linkWithPopup, linkWithCredential,
+    signInWithCredential, createUserWithEmailAndPassword, signInWithEmailAndPassword, sendPasswordResetEmail
+} from 'firebase/auth';
+
+export const ACCOUNT_PASSWORD_MIN_LENGTH = 6;
+
+// Resumo do usuário para o estado do App (o objeto do Firebase muda por dentro sem avisar o React)
+export const describeAuthUser = (user) => (user ? {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    displayName: user.displayName || user.providerData.find((profile) => profile.displayName)?.displayName || '',
+    email: user.email || user.providerData.find((profile) => profile.email)?.email || '',
+    photoURL: user.photoURL || user.providerData.find((profile) => profile.photoURL)?.photoURL || ''
+} : null);
+
+// Nome exibido no menu do perfil
+export const getAccountLabel = (account) => {
+    if (!account || account.isAnonymous) return 'Visitante';
+    return account.displayName || account.email;
+};
+
+// Entra com o Google. Visitante: vincula a conta Google ao usuário atual. Se essa conta Google
+// já pertence a outro usuário, retorna { conflict } com a credencial, para o App perguntar antes de trocar.
+export const signInWithGoogle = async (auth) => {
+    const provider = new GoogleAuthProvider();
+    provider.setCustomParameters({ prompt: 'select_account' });
+    const user = auth.currentUser;
+    if (user?.isAnonymous) {
+        try {
+            const result = await linkWithPopup(user, provider);
+            return { user: result.user, linked: true };
+        } catch (error) {
+            if (error.code !== 'auth/credential-already-in-use') throw error;
+            return { conflict: GoogleAuthProvider.credentialFromError(error) };
+        }
+    }
+    const result = await signInWithPopup(auth, provider);
+    return { user: result.user, linked: false };
+};
+
+// Troca para a conta já existente (os dados do visitante ficam no usuário anônimo anterior)
+export const switchToExistingAccount = (auth, credential) => signInWithCredential(auth, credential);
+
+// Cria uma conta com e-mail e senha; visitante: a conta é vinculada ao usuário atual
+export const registerWithEmail = async (auth, email, password) => {
+    const user = auth.currentUser;
+    if (user?.isAnonymous) {
+        const result = await linkWithCredential(user, EmailAuthProvider.credential(email, password));
+        return { user: result.user, linked: true };
+    }
+    const result = await createUserWithEmailAndPassword(auth, email, password);
+    return { user: result.user, linked: false };
+};
+
+export const signInWithEmail = (auth, email, password) => signInWithEmailAndPassword(auth, email, password);
+
+export const sendPasswordReset = (auth, email) => sendPasswordResetEmail(auth, email);
+
+// Valida o formulário de login/cadastro; retorna a mensagem de erro ou null
+export const validateAccountForm = ({ mode, email, password }) => {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) return "Informe um e-mail válido.";
+    if (mode === 'register' && password.length < ACCOUNT_PASSWORD_MIN_LENGTH) return `A senha precisa ter pelo menos ${ACCOUNT_PASSWORD_MIN_LENGTH} caracteres.`;
+    if (!password) return "Informe a senha.";
+    return null;
+};
+
+// Mensagem em português para os erros do Firebase Auth (null = o usuário só fechou a janela)
+export const getAuthErrorMessage = (error) => {
+    switch (error.code) {
+        case 'auth/popup-closed-by-user':
+        case 'auth/cancelled-popup-request':
+            return null;
+        case 'auth/popup-blocked':
+            return "O navegador bloqueou a janela de login. Permita pop-ups para este site e tente de novo.";
+        case 'auth/invalid-email':
+            return "E-mail inválido.";
+        case 'auth/weak-password':
+            return `A senha precisa ter pelo menos ${ACCOUNT_PASSWORD_MIN_LENGTH} caracteres.`;
+        case 'auth/email-already-in-use':
+        case 'auth/credential-already-in-use':
+            return "Já existe uma conta com esse e-mail. Use \"Entrar\".";
+        case 'auth/invalid-credential':
+        case 'auth/invalid-login-credentials':
+        case 'auth/wrong-password':
+        case 'auth/user-not-found':
+            return "E-mail ou senha incorretos.";
+        case 'auth/too-many-requests':
+            return "Muitas tentativas. Espere um pouco e tente de novo.";
+        case 'auth/network-request-failed':
+            return "Sem conexão com a internet. Tente de novo.";
+        case 'auth/operation-not-allowed':
+            return "Esse tipo de login não está ativado no Firebase.";
+        case 'auth/provider-already-linked':
+            return "Este usuário já tem uma conta desse tipo vinculada.";
+        default:
+            return "Não foi possível entrar. Tente novamente.";
+    }
+};
@@ -0,0 +1,111 @@
+// Modo surpresa do mural de homenagens: até a data e hora da revelação, a página inicial mostra só
+// uma contagem regressiva; depois, as mensagens aparecem uma a uma, com confete e música de fundo
+// opcional, terminando com a da Júlia Ayla. A configuração fica no Firestore (settings/reveal);
+// quem já assistiu fica registrado no navegador, para a sequência não recomeçar a cada visita.
+
+// Música de fundo: arquivo local em public/ (ou outro endereço definido no .env)
+export const REVEAL_MUSIC_URL = process.env.REACT_APP_REVEAL_MUSIC_URL || `${process.env.PUBLIC_URL}/audio/parabens.mp3`;
+export const REVEAL_MUSIC_VOLUME = 0.5;
+// Volume da música enquanto um áudio ou vídeo de homenagem toca
+export const REVEAL_MUSIC_DUCKED_VOLUME = 0.1;
+
+// Quem fecha a sequência
+const FINALE_TRIBUTE_NAME = 'júlia ayla';
+
+const REVEAL_SEEN_STORAGE_KEY = 'wonderland-reveal-seen';
+
+// 'off' (sem modo surpresa), 'countdown' (antes da revelação) ou 'reveal' (já liberado)
+export const getRevealPhase = (settings, now) => {
+    if (!settings?.enabled || !settings.revealAt) return 'off';
+    return settings.revealAt.toMillis() > now ? 'countdown' : 'reveal';
+};
+
+export const isFinaleTribute = (tribute) => tribute.name.normalize('NFC').trim().toLowerCase() === FINALE_TRIBUTE_NAME;
+
+// Ordem da apresentação: a do mural, com a mensagem da Júlia Ayla por último
+export const orderRevealSequence = (tributes) => [
+    ...tributes.filter((tribute) => !isFinaleTribute(tribute)),
+    ...tributes.filter(isFinaleTribute)
+];
+
+// Tempo de leitura de uma mensagem na apresentação automática; com áudio ou vídeo, a próxima
+// só entra quando o clipe terminar (null)
+export const getRevealSlideDuration = (tribute) => {
+    if (tribute.mediaUrl) return null;
+    return Math.min(20000, Math.max(6000, 3000 + tribute.message.length * 60));
+};
+
+// A revelação marcada para `revealAtMs` já foi assistida neste navegador?
+export const hasSeenReveal = (revealAtMs) => {
+    try {
+        return Number(localStorage.getItem(REVEAL_SEEN_STORAGE_KEY)) === revealAtMs;
+    } catch (error) {
+        return false;
+    }
+};
+
+export const markRevealSeen = (revealAtMs) => {
+    try {
+        localStorage.setItem(REVEAL_SEEN_STORAGE_KEY, String(revealAtMs));
+    } catch (error) {
+        console.warn('Não foi possível registrar a surpresa como vista:', error);
+    }
+};
+
+const CONFETTI_COLORS = ['#000000', '#ffffff', '#facc15', '#9ca3af'];
+
+// Solta uma chuva de confete no canvas (que deve cobrir a tela); retorna a função que para a animação.
+// Quem pediu menos movimento no sistema não recebe confete.
+export const startConfetti = (canvas, { pieces = 160, duration = 5000 } = {}) => {
+    if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) return () => {};
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * ratio;
+    canvas.height = canvas.clientHeight * ratio;
+    ctx.scale(ratio, ratio);
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const confetti = Array.from({ length: pieces }, () => ({
+        x: Math.random() * width,
+        y: -20 - Math.random() * height * 0.5,
+        size: 6 + Math.random() * 6,
+        speed: 2 + Math.random() * 3,
+        drift: (Math.random() - 0.5) * 2,
+        angle: Math.random() * Math.PI * 2,
+        spin: (Math.random() - 0.5) * 0.2,
+        color: CONFETTI_COLORS[Math.floor(Math.random() * CONFETTI_COLORS.length)]
+    }));
+    const startedAt = performance.now();
+    let frame;
+    const draw = (time) => {
+        ctx.clearRect(0, 0, width, height);
+        const fading = time - startedAt > duration; // Depois do tempo, só termina de cair o que já está na tela
+        let visible = 0;
+        confetti.forEach((piece) => {
+            piece.y += piece.speed;
+            piece.x += piece.drift;
+            piece.angle += piece.spin;
+            if (piece.y > height + 20) {
+                if (fading) return;
+                piece.y = -20;
+                piece.x = Math.random() * width;
+            }
+            visible += 1;
+            ctx.save();
+            ctx.translate(piece.x, piece.y);
+            ctx.rotate(piece.angle);
+            ctx.fillStyle = piece.color;
+            ctx.strokeStyle = '#6b7280';
+            ctx.lineWidth = 0.5;
+            ctx.fillRect(-piece.size / 2, -piece.size / 4, piece.size, piece.size / 2);
+            ctx.strokeRect(-piece.size / 2, -piece.size / 4, piece.size, piece.size / 2);
+            ctx.restore();
+        });
+        if (visible > 0) frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => {
+        cancelAnimationFrame(frame);
+        ctx.clearRect(0, 0, width, height);
+    };
+};
@@ -0,0 +1,54 @@
+// Aritmética de datas de calendário no fuso local.
+// Datas "AAAA-MM-DD" representam um dia, não um instante: new Date('AAAA-MM-DD') as
+// interpreta como meia-noite UTC (21h do dia anterior no Brasil), e dividir a diferença
+// de instantes por 24 h erra nos dias de horário de verão. Estas funções evitam os dois problemas.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Converte "AAAA-MM-DD" em uma data à meia-noite local
+export const parseDateOnly = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Chave "AAAA-MM-DD" do dia local de uma data (inverso de parseDateOnly)
+export const toDayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Soma dias de calendário (o horário local é preservado mesmo atravessando o horário de verão)
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+
+// Dias de calendário de `from` até `to` (negativo se `to` for antes); o horário é ignorado
+export const daysBetween = (from, to) => Math.round(
+    (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / MS_PER_DAY
+);
+
+// Mesmo dia e mês em outro ano; 29/02 vira 28/02 em anos não bissextos
+export const sameDayInYear = (date, year) => {
+    const lastDayOfMonth = new Date(year, date.getMonth() + 1, 0).getDate();
+    return new Date(year, date.getMonth(), Math.min(date.getDate(), lastDayOfMonth));
+};
+
+// Mesmo dia do mês `months` meses depois; se o mês for mais curto, fica no último dia (31/01 + 1 mês = 28 ou 29/02)
+export const addMonths = (date, months) => {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDayOfMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDayOfMonth));
+};
+
+// Anos, meses e dias completos de `from` até `to` (from <= to; o horário é ignorado)
+export const calendarDifference = (from, to) => {
+    const start = startOfDay(from);
+    const end = startOfDay(to);
+    let months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+    if (addMonths(start, months) > end) months -= 1;
+    return {
+        years: Math.floor(months / 12),
+        months: months % 12,
+        days: daysBetween(addMonths(start, months), end)
+    };
+};
+
+// Milissegundos até a próxima meia-noite local (início do dia seguinte)
+export const msUntilNextMidnight = (now) => addDays(startOfDay(now), 1) - now;
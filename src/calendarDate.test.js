@@ -0,0 +1,102 @@
+import {
+    parseDateOnly, toDayKey, addDays, daysBetween, sameDayInYear, addMonths, calendarDifference, msUntilNextMidnight
+} from './calendarDate';
+
+// Os testes rodam em America/Sao_Paulo (src/testTimezone.js). Em 04/11/2018 começou o horário de
+// verão: a meia-noite não existiu (o relógio pulou para 01:00) e o dia teve 23 horas.
+
+const HOUR = 60 * 60 * 1000;
+
+describe('parseDateOnly', () => {
+    test('interpreta "AAAA-MM-DD" como o dia local, não como meia-noite UTC', () => {
+        expect(new Date('2023-05-10').getDate()).toBe(9); // O que o Date faz sozinho: 21h do dia anterior
+        const date = parseDateOnly('2023-05-10');
+        expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2023, 4, 10, 0]);
+    });
+
+    test('cai no dia certo mesmo quando a meia-noite não existe', () => {
+        const date = parseDateOnly('2018-11-04');
+        expect(date.getDate()).toBe(4);
+        expect(toDayKey(date)).toBe('2018-11-04');
+    });
+});
+
+describe('daysBetween', () => {
+    test('conta dias de calendário atravessando o início do horário de verão', () => {
+        const from = parseDateOnly('2018-11-03');
+        const to = parseDateOnly('2018-11-05');
+        expect((to - from) / (24 * HOUR)).not.toBe(2); // Dividir os instantes erra: foram 47 horas
+        expect(daysBetween(from, to)).toBe(2);
+    });
+
+    test('conta dias de calendário atravessando o fim do horário de verão', () => {
+        expect(daysBetween(parseDateOnly('2019-02-16'), parseDateOnly('2019-02-17'))).toBe(1);
+    });
+
+    test('ignora o horário e fica negativo quando `to` vem antes', () => {
+        expect(daysBetween(new Date(2023, 0, 1, 23, 59), new Date(2023, 0, 2, 0, 1))).toBe(1);
+        expect(daysBetween(parseDateOnly('2023-03-01'), parseDateOnly('2023-02-01'))).toBe(-28);
+    });
+});
+
+describe('addDays e addMonths', () => {
+    test('addDays preserva o horário local através do horário de verão', () => {
+        const result = addDays(new Date(2018, 10, 3, 12, 0), 1);
+        expect(toDayKey(result)).toBe('2018-11-04');
+        expect(result.getHours()).toBe(12);
+    });
+
+    test('addMonths fica no último dia quando o mês é mais curto', () => {
+        expect(toDayKey(addMonths(parseDateOnly('2023-01-31'), 1))).toBe('2023-02-28');
+        expect(toDayKey(addMonths(parseDateOnly('2024-01-31'), 1))).toBe('2024-02-29');
+    });
+});
+
+describe('calendarDifference', () => {
+    test('31/01 → 28/02 é um mês completo em ano não bissexto', () => {
+        expect(calendarDifference(parseDateOnly('2023-01-31'), parseDateOnly('2023-02-28'))).toEqual({ years: 0, months: 1, days: 0 });
+    });
+
+    test('31/01 → 28/02 ainda não é um mês em ano bissexto', () => {
+        expect(calendarDifference(parseDateOnly('2024-01-31'), parseDateOnly('2024-02-28'))).toEqual({ years: 0, months: 0, days: 28 });
+        expect(calendarDifference(parseDateOnly('2024-01-31'), parseDateOnly('2024-02-29'))).toEqual({ years: 0, months: 1, days: 0 });
+    });
+
+    test('29/02 completa anos em 28/02 nos anos não bissextos', () => {
+        const leapDay = parseDateOnly('2020-02-29');
+        expect(calendarDifference(leapDay, parseDateOnly('2021-02-27'))).toEqual({ years: 0, months: 11, days: 29 });
+        expect(calendarDifference(leapDay, parseDateOnly('2021-02-28'))).toEqual({ years: 1, months: 0, days: 0 });
+        expect(calendarDifference(leapDay, parseDateOnly('2024-02-29'))).toEqual({ years: 4, months: 0, days: 0 });
+    });
+
+    test('ignora o horário das datas', () => {
+        expect(calendarDifference(new Date(2023, 4, 10, 22, 0), new Date(2024, 4, 10, 8, 0))).toEqual({ years: 1, months: 0, days: 0 });
+    });
+});
+
+describe('sameDayInYear', () => {
+    test('29/02 vira 28/02 em anos não bissextos e continua 29/02 nos bissextos', () => {
+        const leapDay = parseDateOnly('2020-02-29');
+        expect(toDayKey(sameDayInYear(leapDay, 2021))).toBe('2021-02-28');
+        expect(toDayKey(sameDayInYear(leapDay, 2100))).toBe('2100-02-28');
+        expect(toDayKey(sameDayInYear(leapDay, 2024))).toBe('2024-02-29');
+    });
+
+    test('as outras datas não mudam', () => {
+        expect(toDayKey(sameDayInYear(parseDateOnly('2019-02-28'), 2023))).toBe('2023-02-28');
+        expect(toDayKey(sameDayInYear(parseDateOnly('1990-12-31'), 2023))).toBe('2023-12-31');
+    });
+});
+
+describe('msUntilNextMidnight', () => {
+    test('conta até o início do dia seguinte', () => {
+        expect(msUntilNextMidnight(new Date(2023, 4, 10, 23, 0))).toBe(HOUR);
+        expect(msUntilNextMidnight(new Date(2023, 4, 10, 0, 0))).toBe(24 * HOUR);
+    });
+
+    test('na véspera do horário de verão, o dia seguinte começa à 01:00', () => {
+        const now = new Date(2018, 10, 3, 23, 0);
+        expect(msUntilNextMidnight(now)).toBe(HOUR);
+        expect(new Date(now.getTime() + msUntilNextMidnight(now)).getHours()).toBe(1);
+    });
+});
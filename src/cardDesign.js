@@ -0,0 +1,344 @@
+// Designer de cartões: fundo, texto (cor, fonte, alinhamento), imagens/adesivos
+// posicionados livremente e duas páginas (capa e parte interna).
+// O cartão é sempre desenhado em canvas, então a pré-visualização, o PNG e o
+// PDF para impressão saem da mesma função de renderização.
+import { jsPDF } from 'jspdf';
+import { getImage } from './drawing';
+
+// Função auxiliar para determinar a cor do texto de contraste (preto ou branco)
+// Usada como cor automática do texto dos cartões e nos botões de modelos.
+export const getContrastTextColor = (hexColor) => {
+    if (!hexColor) return '#000000'; // Padrão para preto se não houver cor
+
+    // Remove # se presente
+    const cleanHex = hexColor.startsWith('#') ? hexColor.slice(1) : hexColor;
+
+    // Se o hex não tiver 6 caracteres, retorna um padrão e avisa
+    if (cleanHex.length !== 6) {
+        console.warn('Cor hexadecimal inválida para verificação de contraste:', hexColor);
+        return '#000000'; // Padrão para preto para hex inválido
+    }
+
+    // Converte hex para RGB
+    const r = parseInt(cleanHex.substring(0, 2), 16);
+    const g = parseInt(cleanHex.substring(2, 4), 16);
+    const b = parseInt(cleanHex.substring(4, 6), 16);
+
+    // Calcula a luminância (brilho percebido) usando a fórmula YIQ
+    // Fórmula: (R*0.299 + G*0.587 + B*0.114) / 255
+    const luminance = (r * 299 + g * 587 + b * 114) / 1000;
+
+    // Retorna texto preto para cores claras, branco para cores escuras
+    return luminance > 186 ? '#000000' : '#ffffff'; // 186 é um limiar comum
+};
+
+// Tamanho lógico de uma página do cartão (proporção A: 1 x raiz de 2)
+export const CARD_WIDTH = 420;
+export const CARD_HEIGHT = 594;
+
+// Margem interna do texto
+const CARD_PADDING = 36;
+
+// Fontes disponíveis (as do Google Fonts são carregadas no index.html)
+export const CARD_FONTS = [
+    { id: 'Inter', label: 'Inter', css: 'Inter, sans-serif' },
+    { id: 'Pacifico', label: 'Pacifico (manuscrita)', css: "'Pacifico', cursive" },
+    { id: 'Bebas Neue', label: 'Bebas Neue (estádio)', css: "'Bebas Neue', sans-serif" },
+    { id: 'Georgia', label: 'Georgia (clássica)', css: 'Georgia, serif' },
+    { id: 'Courier New', label: 'Máquina de escrever', css: "'Courier New', monospace" }
+];
+
+export const CARD_PAGES = {
+    front: 'Capa',
+    inside: 'Parte interna'
+};
+
+// Formatos de impressão em milímetros (retrato)
+export const PRINT_FORMATS = {
+    a5: { label: 'A5', width: 148, height: 210 },
+    a6: { label: 'A6', width: 105, height: 148 }
+};
+
+// Cria um cartão novo. `textColor` nulo significa cor automática (contraste com o fundo).
+export const createCardDesign = ({ text = '', bgColor = '#ffffff' } = {}) => ({
+    bgColor,
+    textColor: null,
+    font: 'Inter',
+    align: 'center',
+    fontSize: 28,
+    pages: {
+        front: { text, elements: [] },
+        inside: { text: '', elements: [] }
+    }
+});
+
+// Monta o design a partir de um cartão salvo (cartões antigos só têm `text` e `bgColor`)
+export const cardDesignFromSaved = (card) => {
+    const design = createCardDesign({ text: card.text, bgColor: card.bgColor });
+    return {
+        ...design,
+        textColor: card.textColor || null,
+        font: card.font || design.font,
+        align: card.align || design.align,
+        fontSize: card.fontSize || design.fontSize,
+        pages: {
+            front: card.pages?.front || design.pages.front,
+            inside: card.pages?.inside || design.pages.inside
+        }
+    };
+};
+
+// Cor efetiva do texto: a escolhida manualmente ou a de contraste com o fundo
+export const resolveCardTextColor = (design) => design.textColor || getContrastTextColor(design.bgColor);
+
+const fontCss = (fontId) => (CARD_FONTS.find((font) => font.id === fontId) || CARD_FONTS[0]).css;
+
+// Garante que a fonte do cartão esteja carregada antes de desenhar no canvas
+export const loadCardFont = (design) => {
+    if (!document.fonts?.load) return Promise.resolve();
+    return document.fonts.load(`${design.fontSize}px ${fontCss(design.font)}`).catch(() => {});
+};
+
+// Quebra o texto em linhas que cabem na largura, respeitando as quebras manuais
+const wrapText = (ctx, text, maxWidth) => {
+    const lines = [];
+    text.split('\n').forEach((paragraph) => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
+
+// Caixa de um elemento em coordenadas lógicas ({ x, y } é o centro em fração da
+// página e `size` a largura em fração da largura da página)
+export const cardElementBounds = (element) => {
+    const size = element.size * CARD_WIDTH;
+    const x = element.x * CARD_WIDTH;
+    const y = element.y * CARD_HEIGHT;
+    return { left: x - size / 2, top: y - size / 2, right: x + size / 2, bottom: y + size / 2, size };
+};
+
+export const CARD_HANDLE_SIZE = 16;
+
+const drawCardElement = (ctx, element, onImageLoad) => {
+    const { left, top, size } = cardElementBounds(element);
+    if (element.emoji) {
+        ctx.font = `${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(element.emoji, left + size / 2, top + size / 2);
+        return;
+    }
+    const image = getImage(element.image, onImageLoad);
+    if (!image) return;
+    // Mantém a proporção da imagem dentro da caixa quadrada
+    const scale = size / Math.max(image.width, image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, left + (size - width) / 2, top + (size - height) / 2, width, height);
+};
+
+// Desenha uma página do cartão no canvas (qualquer resolução, mesma proporção)
+export const renderCardPage = (canvas, design, pageKey, { onImageLoad, selectedElementId } = {}) => {
+    const ctx = canvas.getContext('2d');
+    const scale = canvas.width / CARD_WIDTH;
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.fillStyle = design.bgColor;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    const page = design.pages[pageKey];
+    page.elements.forEach((element) => drawCardElement(ctx, element, onImageLoad));
+
+    // Texto centralizado verticalmente, com o alinhamento horizontal escolhido
+    ctx.fillStyle = resolveCardTextColor(design);
+    ctx.font = `${design.fontSize}px ${fontCss(design.font)}`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = design.align;
+    const lines = page.text ? wrapText(ctx, page.text, CARD_WIDTH - CARD_PADDING * 2) : [];
+    const lineHeight = design.fontSize * 1.3;
+    const firstLineY = CARD_HEIGHT / 2 - ((lines.length - 1) * lineHeight) / 2;
+    const x = design.align === 'left' ? CARD_PADDING : design.align === 'right' ? CARD_WIDTH - CARD_PADDING : CARD_WIDTH / 2;
+    lines.forEach((line, i) => ctx.fillText(line, x, firstLineY + i * lineHeight));
+
+    // Contorno do elemento selecionado, com a alça de redimensionamento
+    const selected = page.elements.find((element) => element.id === selectedElementId);
+    if (selected) {
+        const { left, top, right, bottom } = cardElementBounds(selected);
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = '#000000';
+        ctx.strokeRect(left, top, right - left, bottom - top);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#fcd34d';
+        ctx.fillRect(right - CARD_HANDLE_SIZE / 2, bottom - CARD_HANDLE_SIZE / 2, CARD_HANDLE_SIZE, CARD_HANDLE_SIZE);
+        ctx.strokeRect(right - CARD_HANDLE_SIZE / 2, bottom - CARD_HANDLE_SIZE / 2, CARD_HANDLE_SIZE, CARD_HANDLE_SIZE);
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+};
+
+// Tempo máximo de espera por cada imagem antes de desistir da exportação
+const CARD_IMAGE_TIMEOUT_MS = 10000;
+
+// Espera todas as imagens das páginas carregarem (a exportação não pode sair sem elas).
+// Rejeita com code 'card/image-load' se alguma falhar ou demorar demais.
+const loadCardImages = (design) => Promise.all(
+    Object.values(design.pages)
+        .flatMap((page) => page.elements)
+        .filter((element) => element.image)
+        .map((element) => new Promise((resolve, reject) => {
+            const fail = () => {
+                clearTimeout(timeoutId);
+                reject(Object.assign(new Error("Não foi possível carregar uma das imagens do cartão."), { code: 'card/image-load' }));
+            };
+            const done = () => {
+                clearTimeout(timeoutId);
+                resolve();
+            };
+            const timeoutId = setTimeout(fail, CARD_IMAGE_TIMEOUT_MS);
+            if (getImage(element.image, done, fail)) done();
+        }))
+);
+
+// Renderiza uma página fora da tela na largura indicada (em pixels)
+const renderCardPageToCanvas = async (design, pageKey, width) => {
+    await Promise.all([loadCardFont(design), loadCardImages(design)]);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(width * (CARD_HEIGHT / CARD_WIDTH));
+    renderCardPage(canvas, design, pageKey);
+    return canvas;
+};
+
+// Dispara o download de um arquivo gerado no navegador
+export const downloadDataUrl = (dataUrl, filename) => {
+    const link = document.createElement('a');
+    link.href = dataUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+};
+
+// Exporta uma página como PNG em alta resolução
+export const exportCardPng = async (design, pageKey) => {
+    const canvas = await renderCardPageToCanvas(design, pageKey, CARD_WIDTH * 3);
+    downloadDataUrl(canvas.toDataURL('image/png'), `cartao-${pageKey === 'front' ? 'capa' : 'interna'}.png`);
+};
+
+// Exporta o cartão em PDF no formato de impressão escolhido: uma página para a
+// capa e outra para a parte interna, ocupando a folha inteira (~200 dpi)
+export const exportCardPdf = async (design, formatKey) => {
+    const format = PRINT_FORMATS[formatKey];
+    const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: formatKey });
+    const pixelWidth = (format.width / 25.4) * 200;
+    const pageKeys = Object.keys(CARD_PAGES);
+    for (let i = 0; i < pageKeys.length; i++) {
+        const canvas = await renderCardPageToCanvas(design, pageKeys[i], pixelWidth);
+        if (i > 0) pdf.addPage(formatKey, 'portrait');
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, format.width, format.height);
+    }
+    pdf.save(`cartao-${format.label.toLowerCase()}.pdf`);
+};
+
+// Reduz uma imagem enviada para no máximo `maxSize` pixels no maior lado (JPEG),
+// para caber no documento do cartão no Firestore
+export const loadImageScaled = (src, maxSize = 480) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+        const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/jpeg', 0.85));
+    };
+    image.onerror = reject;
+    image.src = src;
+});
+
+// Identificação dos arquivos de modelo trocados entre a família
+const CARD_TEMPLATE_FILE_TYPE = 'galo-card-template';
+const CARD_TEMPLATE_FILE_VERSION = 1;
+// Um modelo importado vira um documento do Firestore (limite de 1 MB)
+export const CARD_TEMPLATE_MAX_FILE_SIZE = 900 * 1024;
+export const CARD_TEMPLATE_NAME_MAX_LENGTH = 40;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const CARD_ALIGNS = ['left', 'center', 'right'];
+
+// Mantém apenas os campos conhecidos de um elemento (imagem ou adesivo)
+const cleanCardElement = (element, index) => {
+    if (!element || typeof element !== 'object') return null;
+    const position = (value, fallback) => (typeof value === 'number' && value >= 0 && value <= 1 ? value : fallback);
+    const base = {
+        id: typeof element.id === 'string' ? element.id : `elemento-${index}`,
+        x: position(element.x, 0.5),
+        y: position(element.y, 0.25),
+        size: Math.max(0.05, position(element.size, 0.3))
+    };
+    if (typeof element.emoji === 'string' && element.emoji.length <= 8) return { ...base, emoji: element.emoji };
+    if (typeof element.image === 'string' && /^(data:image\/|https:\/\/)/.test(element.image)) return { ...base, image: element.image };
+    return null;
+};
+
+// Normaliza um design vindo de fora (arquivo importado), descartando valores inválidos
+export const sanitizeCardDesign = (raw) => {
+    const design = createCardDesign();
+    if (!raw || typeof raw !== 'object') return design;
+    const cleanPage = (page) => ({
+        text: typeof page?.text === 'string' ? page.text.slice(0, 2000) : '',
+        elements: Array.isArray(page?.elements) ? page.elements.map(cleanCardElement).filter(Boolean) : []
+    });
+    return {
+        bgColor: HEX_COLOR.test(raw.bgColor) ? raw.bgColor : design.bgColor,
+        textColor: HEX_COLOR.test(raw.textColor) ? raw.textColor : null,
+        font: CARD_FONTS.some((font) => font.id === raw.font) ? raw.font : design.font,
+        align: CARD_ALIGNS.includes(raw.align) ? raw.align : design.align,
+        fontSize: typeof raw.fontSize === 'number' ? Math.min(64, Math.max(14, raw.fontSize)) : design.fontSize,
+        pages: {
+            front: cleanPage(raw.pages?.front),
+            inside: cleanPage(raw.pages?.inside)
+        }
+    };
+};
+
+// Baixa um modelo como arquivo JSON
+export const exportCardTemplateFile = (template) => {
+    const file = JSON.stringify({
+        type: CARD_TEMPLATE_FILE_TYPE,
+        version: CARD_TEMPLATE_FILE_VERSION,
+        name: template.name,
+        design: template.design
+    }, null, 2);
+    const url = URL.createObjectURL(new Blob([file], { type: 'application/json' }));
+    const slug = template.name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadDataUrl(url, `modelo-${slug || 'cartao'}.json`);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Lê o conteúdo de um arquivo de modelo; lança um erro com mensagem para o usuário se for inválido
+export const parseCardTemplateFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("O arquivo não é um JSON válido.");
+    }
+    if (!data || data.type !== CARD_TEMPLATE_FILE_TYPE) {
+        throw new Error("O arquivo não é um modelo de cartão.");
+    }
+    if (data.version > CARD_TEMPLATE_FILE_VERSION) {
+        throw new Error("Este modelo foi criado por uma versão mais nova do site.");
+    }
+    const name = typeof data.name === 'string' ? data.name.trim().slice(0, CARD_TEMPLATE_NAME_MAX_LENGTH) : '';
+    return { name: name || 'Modelo importado', design: sanitizeCardDesign(data.design) };
+};
@@ -0,0 +1,513 @@
+// Modelo de desenho baseado em traços para o Estúdio Criativo.
+// Cada traço é guardado como dado ({ points, color, size, eraser }) e o canvas
+// é sempre redesenhado a partir da lista, o que permite desfazer/refazer e
+// reabrir um desenho salvo para continuar editando.
+// Além do traço livre, a lista aceita outros elementos identificados por `type`:
+// 'line', 'rect', 'ellipse', 'fill', 'text' e 'sticker'.
+// O documento de desenho é formado por um fundo (cor ou imagem) e camadas,
+// cada uma com sua própria lista de traços; as camadas são renderizadas em
+// canvases separados e combinadas no canvas visível.
+// As coordenadas são sempre lógicas (CANVAS_WIDTH x CANVAS_HEIGHT); a
+// resolução real de cada canvas pode ser maior (devicePixelRatio) e a escala
+// é aplicada por `getContext`.
+
+// Quantidade máxima de estados guardados para desfazer
+const MAX_HISTORY = 100;
+
+// Tamanho lógico do desenho
+export const CANVAS_WIDTH = 600;
+export const CANVAS_HEIGHT = 400;
+
+// Retorna o contexto 2D já escalado para desenhar em coordenadas lógicas
+export const getContext = (canvas) => {
+    const ctx = canvas.getContext('2d');
+    const scale = canvas.width / CANVAS_WIDTH;
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    return ctx;
+};
+
+// Cria um novo traço a partir das configurações atuais do pincel
+export const createStroke = ({ color, size, eraser }) => ({
+    type: 'stroke',
+    color: eraser ? '#000000' : color,
+    size,
+    eraser: !!eraser,
+    points: []
+});
+
+// Arredonda as coordenadas para reduzir o tamanho do documento no Firestore.
+// A pressão (`p`, de 0 a 1) só é guardada quando vem de uma caneta.
+export const roundPoint = (x, y, pressure) => {
+    const point = {
+        x: Math.round(x * 10) / 10,
+        y: Math.round(y * 10) / 10
+    };
+    if (pressure !== undefined) {
+        point.p = Math.round(pressure * 100) / 100;
+    }
+    return point;
+};
+
+// Largura do traço em um ponto: varia de 30% a 170% do tamanho conforme a pressão
+const widthAt = (stroke, point) => (point.p === undefined ? stroke.size : stroke.size * (0.3 + point.p * 1.4));
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Aplica no contexto o estilo correspondente ao traço
+const applyStrokeStyle = (ctx, stroke) => {
+    ctx.lineWidth = stroke.size;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+    // A borracha remove os pixels em vez de pintar de branco
+    ctx.globalCompositeOperation = stroke.eraser ? 'destination-out' : 'source-over';
+};
+
+// Desenha o trecho `index` do traço suavizado. O traço passa pelos pontos médios
+// entre pontos consecutivos, usando cada ponto como controle de uma curva
+// quadrática: o trecho 0 vai do primeiro ponto ao primeiro ponto médio, o trecho
+// i vai do ponto médio (i-1, i) ao ponto médio (i, i+1) e o último termina no
+// último ponto.
+const drawSmoothSection = (ctx, stroke, index) => {
+    const { points } = stroke;
+    const last = points.length - 1;
+    ctx.beginPath();
+    if (index === 0) {
+        ctx.lineWidth = widthAt(stroke, points[0]);
+        ctx.moveTo(points[0].x, points[0].y);
+        const end = last === 1 ? points[1] : midpoint(points[0], points[1]);
+        ctx.lineTo(end.x, end.y);
+    } else if (index === last) {
+        ctx.lineWidth = widthAt(stroke, points[last]);
+        const start = midpoint(points[last - 1], points[last]);
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(points[last].x, points[last].y);
+    } else {
+        ctx.lineWidth = widthAt(stroke, points[index]);
+        const start = midpoint(points[index - 1], points[index]);
+        const end = midpoint(points[index], points[index + 1]);
+        ctx.moveTo(start.x, start.y);
+        ctx.quadraticCurveTo(points[index].x, points[index].y, end.x, end.y);
+    }
+    ctx.stroke();
+};
+
+// Desenha o trecho recém-definido do traço em andamento (o último ponto só
+// fecha o trecho anterior; o acabamento final vem ao redesenhar o traço salvo)
+export const drawStrokeTail = (ctx, stroke) => {
+    const count = stroke.points.length;
+    if (count < 2) return;
+    applyStrokeStyle(ctx, stroke);
+    if (count === 2) {
+        drawSmoothSection(ctx, { ...stroke, points: [stroke.points[0], midpoint(stroke.points[0], stroke.points[1])] }, 0);
+    } else {
+        drawSmoothSection(ctx, stroke, count - 2);
+    }
+    ctx.globalCompositeOperation = 'source-over';
+};
+
+// Desenha um traço livre completo
+const drawFreehand = (ctx, stroke) => {
+    const { points } = stroke;
+    if (!points || points.length === 0) return;
+
+    applyStrokeStyle(ctx, stroke);
+    if (points.length === 1) {
+        // Um clique sem movimento vira um ponto
+        ctx.beginPath();
+        ctx.arc(points[0].x, points[0].y, widthAt(stroke, points[0]) / 2, 0, Math.PI * 2);
+        ctx.fill();
+    } else if (points.some((point) => point.p !== undefined)) {
+        // Com pressão, cada trecho tem sua própria largura
+        for (let i = 0; i < points.length; i++) {
+            drawSmoothSection(ctx, stroke, i);
+        }
+    } else {
+        // Sem pressão, o traço inteiro é um único caminho suavizado
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length - 1; i++) {
+            const end = midpoint(points[i], points[i + 1]);
+            ctx.quadraticCurveTo(points[i].x, points[i].y, end.x, end.y);
+        }
+        ctx.lineTo(points[points.length - 1].x, points[points.length - 1].y);
+        ctx.stroke();
+    }
+    ctx.globalCompositeOperation = 'source-over';
+};
+
+// Desenha uma forma (linha, retângulo ou elipse) entre dois pontos
+const drawShape = (ctx, shape) => {
+    const { start, end } = shape;
+    applyStrokeStyle(ctx, shape);
+    ctx.beginPath();
+    if (shape.type === 'line') {
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+    } else if (shape.type === 'rect') {
+        ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y);
+    } else {
+        const radiusX = Math.abs(end.x - start.x) / 2;
+        const radiusY = Math.abs(end.y - start.y) / 2;
+        ctx.ellipse((start.x + end.x) / 2, (start.y + end.y) / 2, radiusX, radiusY, 0, 0, Math.PI * 2);
+    }
+    ctx.stroke();
+};
+
+// Converte uma cor hexadecimal (#rrggbb) em [r, g, b, a]
+const hexToRgba = (hexColor) => {
+    const cleanHex = hexColor.startsWith('#') ? hexColor.slice(1) : hexColor;
+    return [
+        parseInt(cleanHex.substring(0, 2), 16),
+        parseInt(cleanHex.substring(2, 4), 16),
+        parseInt(cleanHex.substring(4, 6), 16),
+        255
+    ];
+};
+
+// Tolerância de diferença de cor para o balde de tinta (bordas suavizadas)
+const FILL_TOLERANCE = 48;
+
+// Balde de tinta: preenche a região contígua de mesma cor a partir de (x, y)
+export const floodFill = (ctx, x, y, color) => {
+    const { width, height } = ctx.canvas;
+    // Os pixels estão na resolução real do canvas, não nas coordenadas lógicas
+    const scale = width / CANVAS_WIDTH;
+    const startX = Math.floor(x * scale);
+    const startY = Math.floor(y * scale);
+    if (startX < 0 || startY < 0 || startX >= width || startY >= height) return;
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    const fillColor = hexToRgba(color);
+    const startIndex = (startY * width + startX) * 4;
+    const targetColor = [data[startIndex], data[startIndex + 1], data[startIndex + 2], data[startIndex + 3]];
+
+    const matches = (index) => (
+        Math.abs(data[index] - targetColor[0]) <= FILL_TOLERANCE &&
+        Math.abs(data[index + 1] - targetColor[1]) <= FILL_TOLERANCE &&
+        Math.abs(data[index + 2] - targetColor[2]) <= FILL_TOLERANCE &&
+        Math.abs(data[index + 3] - targetColor[3]) <= FILL_TOLERANCE
+    );
+    // Nada a fazer se a região já tem a cor escolhida
+    if (fillColor.every((value, i) => value === targetColor[i])) return;
+
+    const visited = new Uint8Array(width * height);
+    const stack = [[startX, startY]];
+    while (stack.length > 0) {
+        const [px, py] = stack.pop();
+        let left = px;
+        // Varre a linha para a esquerda e depois para a direita (scanline)
+        while (left >= 0 && !visited[py * width + left] && matches((py * width + left) * 4)) left--;
+        left++;
+        let spanAbove = false;
+        let spanBelow = false;
+        for (let cx = left; cx < width; cx++) {
+            const pixel = py * width + cx;
+            if (visited[pixel] || !matches(pixel * 4)) break;
+            visited[pixel] = 1;
+            data.set(fillColor, pixel * 4);
+
+            if (py > 0) {
+                const above = pixel - width;
+                const fillAbove = !visited[above] && matches(above * 4);
+                if (fillAbove && !spanAbove) stack.push([cx, py - 1]);
+                spanAbove = fillAbove;
+            }
+            if (py < height - 1) {
+                const below = pixel + width;
+                const fillBelow = !visited[below] && matches(below * 4);
+                if (fillBelow && !spanBelow) stack.push([cx, py + 1]);
+                spanBelow = fillBelow;
+            }
+        }
+    }
+    ctx.putImageData(imageData, 0, 0);
+};
+
+// Fonte usada pela ferramenta de texto
+export const textFont = (fontSize) => `bold ${fontSize}px Inter, sans-serif`;
+
+const drawText = (ctx, element) => {
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = element.color;
+    ctx.font = textFont(element.fontSize);
+    ctx.textBaseline = 'top';
+    element.text.split('\n').forEach((line, i) => {
+        ctx.fillText(line, element.x, element.y + i * element.fontSize * 1.2);
+    });
+};
+
+// Cache de imagens dos adesivos, compartilhado entre renderizações
+const imageCache = {};
+
+// Retorna a imagem já carregada ou null, avisando via `onLoad` quando ficar pronta
+// ou via `onError` se ela não puder ser carregada. Uma imagem com erro sai do cache
+// para que a próxima chamada tente de novo.
+export const getImage = (src, onLoad, onError) => {
+    let entry = imageCache[src];
+    if (!entry) {
+        const image = new Image();
+        image.crossOrigin = 'anonymous'; // Evita "sujar" o canvas e bloquear o toDataURL
+        entry = { image, loaded: false, listeners: [], errorListeners: [] };
+        image.onload = () => {
+            entry.loaded = true;
+            entry.listeners.forEach((listener) => listener());
+            entry.listeners = [];
+            entry.errorListeners = [];
+        };
+        image.onerror = () => {
+            console.error("Erro ao carregar imagem do adesivo:", src);
+            if (imageCache[src] === entry) delete imageCache[src];
+            entry.errorListeners.forEach((listener) => listener());
+            entry.listeners = [];
+            entry.errorListeners = [];
+        };
+        image.src = src;
+        imageCache[src] = entry;
+    }
+    if (entry.loaded) return entry.image;
+    if (onLoad && !entry.listeners.includes(onLoad)) entry.listeners.push(onLoad);
+    if (onError && !entry.errorListeners.includes(onError)) entry.errorListeners.push(onError);
+    return null;
+};
+
+// Caixa ocupada por um adesivo ({ x, y } é o centro e `size` a largura)
+export const stickerBounds = (sticker) => {
+    const half = sticker.size / 2;
+    return { left: sticker.x - half, top: sticker.y - half, right: sticker.x + half, bottom: sticker.y + half };
+};
+
+const drawSticker = (ctx, sticker, onImageLoad) => {
+    ctx.globalCompositeOperation = 'source-over';
+    if (sticker.emoji) {
+        ctx.font = `${sticker.size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(sticker.emoji, sticker.x, sticker.y);
+        ctx.textAlign = 'start';
+        return;
+    }
+    const image = getImage(sticker.image, onImageLoad);
+    if (!image) return;
+    // Mantém a proporção da imagem dentro da caixa quadrada
+    const scale = sticker.size / Math.max(image.width, image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, sticker.x - width / 2, sticker.y - height / 2, width, height);
+};
+
+// Desenha um elemento qualquer da lista (traços antigos não têm `type`)
+export const drawStroke = (ctx, element, onImageLoad) => {
+    switch (element.type) {
+        case 'line':
+        case 'rect':
+        case 'ellipse':
+            drawShape(ctx, element);
+            break;
+        case 'fill':
+            floodFill(ctx, element.x, element.y, element.color);
+            break;
+        case 'text':
+            drawText(ctx, element);
+            break;
+        case 'sticker':
+            drawSticker(ctx, element, onImageLoad);
+            break;
+        default:
+            drawFreehand(ctx, element);
+    }
+    ctx.globalCompositeOperation = 'source-over';
+};
+
+// Contorno tracejado com alça de redimensionamento, usado no adesivo ainda não aplicado
+export const STICKER_HANDLE_SIZE = 14;
+
+export const drawStickerSelection = (ctx, sticker) => {
+    const { left, top, right, bottom } = stickerBounds(sticker);
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.setLineDash([6, 4]);
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#000000';
+    ctx.strokeRect(left, top, right - left, bottom - top);
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#fcd34d';
+    ctx.fillRect(right - STICKER_HANDLE_SIZE / 2, bottom - STICKER_HANDLE_SIZE / 2, STICKER_HANDLE_SIZE, STICKER_HANDLE_SIZE);
+    ctx.strokeRect(right - STICKER_HANDLE_SIZE / 2, bottom - STICKER_HANDLE_SIZE / 2, STICKER_HANDLE_SIZE, STICKER_HANDLE_SIZE);
+    ctx.restore();
+};
+
+// Limpa o canvas e redesenha todos os traços na ordem
+export const renderStrokes = (canvas, strokes, onImageLoad) => {
+    const ctx = getContext(canvas);
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    (strokes || []).forEach((stroke) => drawStroke(ctx, stroke, onImageLoad));
+};
+
+// Número máximo de camadas de desenho
+export const MAX_LAYERS = 5;
+
+// Cria uma camada de desenho vazia
+export const createLayer = (name) => ({
+    id: `camada-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    visible: true,
+    strokes: []
+});
+
+// Documento inicial: fundo branco e duas camadas de desenho
+export const createDrawingDocument = () => ({
+    background: { type: 'color', color: '#ffffff' },
+    layers: [createLayer('Camada 1'), createLayer('Camada 2')]
+});
+
+// Monta o documento a partir de um desenho salvo (desenhos antigos só têm `strokes`)
+export const drawingDocumentFromSaved = (drawing) => {
+    if (drawing.layers) {
+        return {
+            background: drawing.background || { type: 'color', color: '#ffffff' },
+            layers: drawing.layers
+        };
+    }
+    const documentData = createDrawingDocument();
+    documentData.layers[0] = { ...documentData.layers[0], strokes: drawing.strokes || [] };
+    return documentData;
+};
+
+// Indica se o documento tem algum traço em qualquer camada
+export const hasStrokes = (documentData) => documentData.layers.some((layer) => layer.strokes.length > 0);
+
+// Retorna um novo documento aplicando `update` à camada indicada
+export const updateLayer = (documentData, layerId, update) => ({
+    ...documentData,
+    layers: documentData.layers.map((layer) => (layer.id === layerId ? { ...layer, ...update(layer) } : layer))
+});
+
+// Adiciona um elemento ao final da lista de traços da camada
+export const addElementToLayer = (documentData, layerId, element) => (
+    updateLayer(documentData, layerId, (layer) => ({ strokes: [...layer.strokes, element] }))
+);
+
+// Move uma camada para cima (+1) ou para baixo (-1) na pilha
+export const moveLayer = (documentData, layerId, direction) => {
+    const layers = [...documentData.layers];
+    const index = layers.findIndex((layer) => layer.id === layerId);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= layers.length) return documentData;
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+    return { ...documentData, layers };
+};
+
+// Desenha o fundo do documento (cor sólida ou imagem cobrindo todo o canvas)
+const drawBackground = (ctx, background, onImageLoad) => {
+    const width = CANVAS_WIDTH;
+    const height = CANVAS_HEIGHT;
+    ctx.fillStyle = background?.color || '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    if (background?.type === 'image') {
+        const image = getImage(background.src, onImageLoad);
+        if (image) {
+            const scale = Math.max(width / image.width, height / image.height);
+            const drawWidth = image.width * scale;
+            const drawHeight = image.height * scale;
+            ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+        }
+    }
+};
+
+// Retorna (criando se preciso) o canvas fora da tela usado por uma camada
+export const getLayerCanvas = (layerCanvases, layerId, width, height) => {
+    let layerCanvas = layerCanvases[layerId];
+    if (!layerCanvas) {
+        layerCanvas = document.createElement('canvas');
+        layerCanvases[layerId] = layerCanvas;
+    }
+    if (layerCanvas.width !== width || layerCanvas.height !== height) {
+        layerCanvas.width = width;
+        layerCanvas.height = height;
+    }
+    return layerCanvas;
+};
+
+// Combina fundo e camadas visíveis (de baixo para cima) no canvas visível
+export const compositeLayers = (canvas, documentData, layerCanvases, onImageLoad) => {
+    const ctx = getContext(canvas);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    drawBackground(ctx, documentData.background, onImageLoad);
+    documentData.layers.forEach((layer) => {
+        const layerCanvas = layerCanvases[layer.id];
+        if (layer.visible && layerCanvas) {
+            ctx.drawImage(layerCanvas, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        }
+    });
+};
+
+// Achata o documento em um canvas novo na resolução lógica (1x), usado para
+// gerar o PNG salvo independentemente da densidade de pixels da tela
+export const flattenDrawing = (documentData) => {
+    const layerCanvases = {};
+    documentData.layers.forEach((layer) => {
+        renderStrokes(getLayerCanvas(layerCanvases, layer.id, CANVAS_WIDTH, CANVAS_HEIGHT), layer.strokes);
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    compositeLayers(canvas, documentData, layerCanvases);
+    return canvas;
+};
+
+// Carrega uma imagem e a reduz ao tamanho do canvas (recorte central), como JPEG,
+// para servir de fundo sem estourar o limite de tamanho do documento no Firestore
+export const loadImageAsBackground = (src, width, height) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const scale = Math.max(width / image.width, height / image.height);
+        const drawWidth = image.width * scale;
+        const drawHeight = image.height * scale;
+        ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+        resolve(canvas.toDataURL('image/jpeg', 0.85));
+    };
+    image.onerror = reject;
+    image.src = src;
+});
+
+// Histórico de desfazer/refazer: `present` é o documento visível (fundo e camadas),
+// `past` e `future` guardam versões anteriores/posteriores.
+export const createHistory = (documentData = createDrawingDocument()) => ({
+    past: [],
+    present: documentData,
+    future: []
+});
+
+// Registra uma nova versão do documento, descartando o que havia para refazer
+export const pushHistory = (history, documentData) => ({
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    present: documentData,
+    future: []
+});
+
+export const undoHistory = (history) => {
+    if (history.past.length === 0) return history;
+    return {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future]
+    };
+};
+
+export const redoHistory = (history) => {
+    if (history.future.length === 0) return history;
+    return {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1)
+    };
+};
@@ -0,0 +1,41 @@
+/**
+ * @jest-environment node
+ */
+import { getImage } from './drawing';
+
+// Sem navegador não há Image: cada `new Image()` fica guardada para o teste disparar onload/onerror
+const images = [];
+const OriginalImage = global.Image;
+beforeEach(() => {
+    images.length = 0;
+    global.Image = function FakeImage() {
+        images.push(this);
+    };
+});
+afterEach(() => {
+    global.Image = OriginalImage;
+});
+
+describe('getImage', () => {
+    test('avisa quando a imagem carrega e depois a devolve do cache', () => {
+        const onLoad = jest.fn();
+        expect(getImage('ok.png', onLoad)).toBeNull();
+        images[0].onload();
+        expect(onLoad).toHaveBeenCalledTimes(1);
+        expect(getImage('ok.png')).toBe(images[0]);
+        expect(images).toHaveLength(1);
+    });
+
+    test('avisa o erro e tenta de novo na próxima chamada', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const onLoad = jest.fn();
+        const onError = jest.fn();
+        expect(getImage('quebrada.png', onLoad, onError)).toBeNull();
+        images[0].onerror();
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(onLoad).not.toHaveBeenCalled();
+        expect(getImage('quebrada.png')).toBeNull();
+        expect(images).toHaveLength(2);
+        console.error.mockRestore();
+    });
+});
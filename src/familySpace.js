@@ -0,0 +1,58 @@
+// Espaço da família: um "wonderland" compartilhado entre vários usuários, que entram por um código
+// de convite. Cartas, cartões, fotos e marcos podem ficar na pasta do usuário (privados) ou no espaço
+// (compartilhados, com o autor registrado); os dois tipos chegam às mesmas listas do App, cada
+// item marcado com `visibility`.
+
+export const SPACE_NAME_MAX_LENGTH = 40;
+export const SHARED_CONTENT_COLLECTIONS = ['letters', 'cards', 'photos', 'milestones'];
+export const ITEM_VISIBILITIES = [
+    { id: 'shared', label: '👪 Compartilhado', description: 'Compartilhados com a família' },
+    { id: 'private', label: '🔒 Privado', description: 'Privados (só eu vejo)' }
+];
+
+// Ordem das listas que juntam as duas origens (as demais não têm ordem fixa)
+export const CONTENT_SORTERS = {
+    milestones: (a, b) => a.date.localeCompare(b.date)
+};
+
+// Sem letras e números parecidos (0/O, 1/I/L), para ditar o código por telefone
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+export const getSpacesCollectionPath = (appId) => `artifacts/${appId}/public/data/spaces`;
+export const getSpacePath = (appId, spaceId) => `${getSpacesCollectionPath(appId)}/${spaceId}`;
+// Convite: documento com o id do espaço, lido pelo código (o código não dá para listar, só para abrir)
+export const getSpaceInvitePath = (appId, code) => `artifacts/${appId}/public/data/spaceInvites/${code}`;
+
+// Coleção de um tipo de conteúdo: pasta do usuário (privado) ou do espaço da família (compartilhado)
+export const getContentCollectionPath = (appId, userId, spaceId, collectionName, visibility) => (
+    visibility === 'shared' && spaceId
+        ? `${getSpacePath(appId, spaceId)}/${collectionName}`
+        : `artifacts/${appId}/users/${userId}/${collectionName}`
+);
+
+export const generateInviteCode = () => {
+    const values = crypto.getRandomValues(new Uint32Array(INVITE_CODE_LENGTH));
+    return Array.from(values, (value) => INVITE_CODE_ALPHABET[value % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+// Aceita o código com espaços, hífen ou letras minúsculas ("abcd-efgh")
+export const normalizeInviteCode = (text) => text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const formatInviteCode = (code) => code.replace(/^(.{4})(.+)$/, '$1-$2');
+
+// Troca, na lista de um tipo de conteúdo, os itens de uma origem (privados ou compartilhados)
+// pelos recém-carregados dessa origem; os da outra origem continuam como estão
+export const replaceContentItems = (items, visibility, loadedItems, compare) => {
+    const merged = [
+        ...items.filter((item) => item.visibility !== visibility),
+        ...loadedItems.map((item) => ({ ...item, visibility }))
+    ];
+    return compare ? merged.sort(compare) : merged;
+};
+
+// "você" ou o nome do membro que criou o item
+export const getAuthorLabel = (item, userId, space) => {
+    if (!item.authorId || item.authorId === userId) return 'você';
+    return space?.members?.[item.authorId]?.name || item.authorName || 'outro membro';
+};
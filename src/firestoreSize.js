@@ -0,0 +1,20 @@
+// Estimativa do tamanho de um documento do Firestore, para avisar antes de salvar
+// conteúdos com imagens embutidas (desenhos, cartões) que passariam do limite.
+
+// Limite de 1 MiB por documento; a folga cobre o caminho do documento, os campos de autoria e as datas
+export const FIRESTORE_DOCUMENT_MAX_BYTES = 1024 * 1024 - 4 * 1024;
+
+const utf8Encoder = new TextEncoder();
+
+// Tamanho de um valor pelas regras do Firestore (texto: bytes UTF-8 + 1; número: 8; nome do campo: bytes + 1)
+const firestoreValueSize = (value) => {
+    if (value === undefined) return 0;
+    if (value === null || typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'string') return utf8Encoder.encode(value).length + 1;
+    if (Array.isArray(value)) return value.reduce((size, item) => size + firestoreValueSize(item), 0);
+    return Object.entries(value).reduce((size, [key, item]) => size + utf8Encoder.encode(key).length + 1 + firestoreValueSize(item), 0);
+};
+
+// Tamanho aproximado que os campos ocupam no documento salvo
+export const estimateFirestoreDocumentSize = (data) => firestoreValueSize(data);
@@ -0,0 +1,18 @@
+/**
+ * @jest-environment node
+ */
+import { estimateFirestoreDocumentSize, FIRESTORE_DOCUMENT_MAX_BYTES } from './firestoreSize';
+
+describe('estimateFirestoreDocumentSize', () => {
+    test('soma nomes de campos e valores pelas regras do Firestore', () => {
+        // "a" (2) + "é" (3) | "n" (2) + 8 | "l" (2) + null (1) + true (1)
+        expect(estimateFirestoreDocumentSize({ a: 'é', n: 1, l: [null, true] })).toBe(19);
+    });
+
+    test('um cartão com várias imagens embutidas passa do limite', () => {
+        const image = `data:image/jpeg;base64,${'A'.repeat(300 * 1024)}`;
+        const pages = { front: { elements: [{ image }, { image }] }, inside: { elements: [{ image }, { image }] } };
+        expect(estimateFirestoreDocumentSize({ pages })).toBeGreaterThan(FIRESTORE_DOCUMENT_MAX_BYTES);
+        expect(estimateFirestoreDocumentSize({ pages: { front: { elements: [{ image }] } } })).toBeLessThan(FIRESTORE_DOCUMENT_MAX_BYTES);
+    });
+});
@@ -0,0 +1,309 @@
+// Agenda de jogos do Atlético-MG a partir de um "provedor de jogos" configurável.
+// Todo provedor tem a mesma forma: { id, label, load(): Promise<Fixture[]> }, onde
+// Fixture = { id, date: 'AAAA-MM-DD', time: 'HH:MM', opponent, isHome, location, competition,
+// tvChannel, goalsFor, goalsAgainst } (placar null enquanto o jogo não terminou).
+// Provedores disponíveis: arquivo JSON ou .ics servido pelo próprio site (ou outra URL).
+// A coleção pública de jogos no Firestore é editada no próprio site, então é acompanhada
+// em tempo real e tem prioridade sobre o arquivo (ver mergeFixtures).
+
+import { collection, onSnapshot } from 'firebase/firestore';
+import { parseIcsEvents, buildIcsCalendar, wallTimeToDate } from './ics';
+
+export const TEAM_NAME = 'Atlético-MG';
+
+// Estádio usado quando o mando não vem informado (ex.: JSON antigo sem o campo `isHome`)
+const HOME_VENUES = ['Arena MRV'];
+// Nomes do próprio clube (já simplificados); outros "Atléticos" (GO, PR, de Madrid...) são adversários
+const OWN_TEAM_NAMES = ['atletico mg', 'atletico mineiro', 'clube atletico mineiro', 'galo', 'cam'];
+
+// "Atlético-MG", "atletico mineiro", "GALO" -> true; "Atlético-GO", "Athletico-PR" -> false
+export const isOwnTeamName = (name) => OWN_TEAM_NAMES.includes(
+    name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim()
+);
+
+// Caminho da coleção pública de jogos (compartilhada por todos os usuários)
+export const getFixturesCollectionPath = (appId) => `artifacts/${appId}/public/data/fixtures`;
+
+// Título com o mandante primeiro: "Atlético-MG x Cruzeiro" em casa, "Cruzeiro x Atlético-MG" fora
+export const formatFixtureTitle = (fixture) => (
+    fixture.isHome ? `${TEAM_NAME} x ${fixture.opponent}` : `${fixture.opponent} x ${TEAM_NAME}`
+);
+
+// Placar na ordem do título: "Atlético-MG 2 x 1 Cruzeiro" ou "Cruzeiro 1 x 2 Atlético-MG"
+export const formatFixtureScore = (fixture) => (
+    fixture.isHome
+        ? `${TEAM_NAME} ${fixture.goalsFor} x ${fixture.goalsAgainst} ${fixture.opponent}`
+        : `${fixture.opponent} ${fixture.goalsAgainst} x ${fixture.goalsFor} ${TEAM_NAME}`
+);
+
+// Identifica um jogo pela data e adversário (os ids variam entre as fontes)
+export const getGameKey = (game) => `${game.date}-${game.opponent}`.toLowerCase().replace(/[^a-z0-9à-ú-]+/g, '-');
+
+const isGoals = (value) => Number.isInteger(value) && value >= 0 && value <= 30;
+
+// Garante os campos e tipos esperados pela agenda; retorna null se faltar data ou adversário
+export const normalizeFixture = (raw, index = 0) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const date = typeof raw.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(raw.date) ? raw.date : null;
+    const opponent = typeof raw.opponent === 'string' ? raw.opponent.trim() : '';
+    if (!date || !opponent) return null;
+    const location = typeof raw.location === 'string' ? raw.location.trim() : '';
+    const hasScore = isGoals(raw.goalsFor) && isGoals(raw.goalsAgainst);
+    return {
+        id: String(raw.id ?? `${date}-${index}`),
+        date,
+        time: typeof raw.time === 'string' && /^\d{2}:\d{2}$/.test(raw.time) ? raw.time : '',
+        opponent,
+        isHome: typeof raw.isHome === 'boolean' ? raw.isHome : HOME_VENUES.includes(location),
+        location,
+        competition: typeof raw.competition === 'string' ? raw.competition.trim() : '',
+        tvChannel: typeof raw.tvChannel === 'string' ? raw.tvChannel.trim() : '',
+        goalsFor: hasScore ? raw.goalsFor : null,
+        goalsAgainst: hasScore ? raw.goalsAgainst : null
+    };
+};
+
+const sortFixtures = (fixtures) => fixtures.sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+
+// Prefixos das linhas da descrição dos eventos exportados (a primeira linha livre é a competição)
+const ICS_TV_PREFIX = 'Transmissão: ';
+const ICS_SCORE_PREFIX = 'Placar: ';
+
+// Converte um evento de calendário ("Atlético-MG x Cruzeiro") em jogo; o lado do Galo define o mando.
+// Lê também a transmissão e o placar dos arquivos gerados por exportFixturesIcs.
+export const fixtureFromIcsEvent = (event) => {
+    const teams = (event.summary || '').split(/\s+(?:x|vs\.?|versus|-)\s+/i);
+    if (teams.length !== 2) return null;
+    const homeIndex = teams.findIndex((team) => isOwnTeamName(team));
+    if (homeIndex === -1) return null;
+    const descriptionLines = (event.description || '').split('\n').map((line) => line.trim()).filter(Boolean);
+    const tvLine = descriptionLines.find((line) => line.startsWith(ICS_TV_PREFIX));
+    const scoreMatch = /(\d+)\s*x\s*(\d+)/.exec(descriptionLines.find((line) => line.startsWith(ICS_SCORE_PREFIX)) || '');
+    const [homeGoals, awayGoals] = scoreMatch ? [Number(scoreMatch[1]), Number(scoreMatch[2])] : [null, null];
+    return normalizeFixture({
+        id: event.uid,
+        date: event.start.date,
+        time: event.start.time,
+        opponent: teams[1 - homeIndex],
+        isHome: homeIndex === 0,
+        location: event.location || '',
+        competition: descriptionLines.find((line) => !line.startsWith(ICS_TV_PREFIX) && !line.startsWith(ICS_SCORE_PREFIX)) || '',
+        tvChannel: tvLine ? tvLine.slice(ICS_TV_PREFIX.length) : '',
+        goalsFor: homeIndex === 0 ? homeGoals : awayGoals,
+        goalsAgainst: homeIndex === 0 ? awayGoals : homeGoals
+    });
+};
+
+// Gera o conteúdo .ics de uma lista de jogos (horários de Brasília; o UID é estável por jogo,
+// então importar o arquivo de novo atualiza os eventos no app de calendário em vez de duplicá-los)
+export const exportFixturesIcs = (fixtures, now = new Date()) => buildIcsCalendar(fixtures.map((fixture) => ({
+    uid: `${getGameKey(fixture)}@agenda-do-galo`,
+    date: fixture.date,
+    time: fixture.time,
+    summary: formatFixtureTitle(fixture),
+    location: fixture.location,
+    description: [
+        fixture.competition,
+        fixture.tvChannel && `${ICS_TV_PREFIX}${fixture.tvChannel}`,
+        fixture.goalsFor !== null && fixture.goalsFor !== undefined && `${ICS_SCORE_PREFIX}${formatFixtureScore(fixture)}`
+    ].filter(Boolean).join('\n')
+})), { name: `Jogos do ${TEAM_NAME}`, now });
+
+export const FIXTURE_ICS_MAX_FILE_SIZE = 1024 * 1024;
+export const FIXTURE_IMPORT_MAX_COUNT = 200;
+
+// Lê os jogos de um arquivo .ics importado; lança um erro com mensagem para o usuário se não houver nenhum
+export const parseFixturesIcsFile = (text) => {
+    if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error("O arquivo não é um calendário .ics válido.");
+    const fixtures = parseIcsEvents(text).map(fixtureFromIcsEvent).filter(Boolean);
+    if (fixtures.length === 0) throw new Error("Nenhum jogo do Galo encontrado no arquivo (o título dos eventos deve ser como \"Atlético-MG x Cruzeiro\").");
+    if (fixtures.length > FIXTURE_IMPORT_MAX_COUNT) throw new Error(`O arquivo tem jogos demais (máximo de ${FIXTURE_IMPORT_MAX_COUNT}).`);
+    return sortFixtures(fixtures);
+};
+
+const fetchText = async (url) => {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Falha ao buscar ${url} (HTTP ${response.status})`);
+    }
+    return response.text();
+};
+
+// Arquivo JSON: uma lista de jogos ou { fixtures: [...] }
+export const createJsonFixtureProvider = (url) => ({
+    id: `json:${url}`,
+    label: 'Arquivo JSON',
+    load: async () => {
+        const data = JSON.parse(await fetchText(url));
+        const list = Array.isArray(data) ? data : data.fixtures;
+        if (!Array.isArray(list)) throw new Error("O arquivo de jogos não tem uma lista de jogos.");
+        return sortFixtures(list.map(normalizeFixture).filter(Boolean));
+    }
+});
+
+// Arquivo .ics (ex.: calendário exportado de um site de futebol)
+export const createIcsFixtureProvider = (url) => ({
+    id: `ics:${url}`,
+    label: 'Calendário (.ics)',
+    load: async () => sortFixtures(parseIcsEvents(await fetchText(url)).map(fixtureFromIcsEvent).filter(Boolean))
+});
+
+// Escolhe o provedor de arquivo pelas variáveis REACT_APP_FIXTURE_SOURCE ('json', 'ics' ou
+// 'firestore') e REACT_APP_FIXTURE_URL. Sem configuração, usa public/fixtures/atletico-mg.json.
+// Com 'firestore' não há arquivo (null): a agenda vem só da coleção compartilhada.
+export const createConfiguredFixtureProvider = () => {
+    const source = process.env.REACT_APP_FIXTURE_SOURCE || 'json';
+    const url = process.env.REACT_APP_FIXTURE_URL || `${process.env.PUBLIC_URL}/fixtures/atletico-mg.${source === 'ics' ? 'ics' : 'json'}`;
+    switch (source) {
+        case 'firestore':
+            return null;
+        case 'ics':
+            return createIcsFixtureProvider(url);
+        default:
+            return createJsonFixtureProvider(url);
+    }
+};
+
+// Acompanha a coleção compartilhada de jogos; retorna a função para cancelar
+export const subscribeToSharedFixtures = (db, appId, onChange, onError) => onSnapshot(
+    collection(db, getFixturesCollectionPath(appId)),
+    (snapshot) => onChange(sortFixtures(snapshot.docs.map((doc, index) => normalizeFixture({ ...doc.data(), id: doc.id }, index)).filter(Boolean))),
+    onError
+);
+
+// Junta os jogos do arquivo com os da coleção compartilhada; um jogo salvo no Firestore
+// (mesma data e adversário) substitui o do arquivo, o que permite corrigi-lo no site
+export const mergeFixtures = (fileFixtures, sharedFixtures) => {
+    const sharedKeys = new Set(sharedFixtures.map(getGameKey));
+    return sortFixtures([
+        ...fileFixtures.filter((fixture) => !sharedKeys.has(getGameKey(fixture))).map((fixture) => ({ ...fixture, shared: false })),
+        ...sharedFixtures.map((fixture) => ({ ...fixture, shared: true }))
+    ]);
+};
+
+export const FIXTURE_TEXT_MAX_LENGTH = 60;
+
+// Compara adversários ignorando maiúsculas, acentos e espaços extras ("Grêmio" = "gremio ")
+const sameOpponent = (a, b) => {
+    const simplify = (name) => name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+    return simplify(a) === simplify(b);
+};
+
+// Valida o formulário do editor de jogos. Retorna { errors, fixture }: `errors` mapeia
+// campo -> mensagem e `fixture` (dados prontos para salvar) só vem quando não há erros.
+// `editingId` é o id do jogo compartilhado em edição, ignorado na checagem de duplicidade.
+export const validateFixtureForm = (form, fixtures, editingId, now = new Date()) => {
+    const errors = {};
+    const opponent = form.opponent.trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(form.date)) errors.date = "Informe a data do jogo.";
+    if (form.time && !/^\d{2}:\d{2}$/.test(form.time)) errors.time = "Horário inválido.";
+    if (!opponent) errors.opponent = "Informe o adversário.";
+    else if (isOwnTeamName(opponent)) errors.opponent = "O adversário não pode ser o próprio Galo.";
+    ['opponent', 'location', 'competition', 'tvChannel'].forEach((field) => {
+        if (!errors[field] && form[field].trim().length > FIXTURE_TEXT_MAX_LENGTH) errors[field] = `Use no máximo ${FIXTURE_TEXT_MAX_LENGTH} caracteres.`;
+    });
+
+    // Placar: os dois lados ou nenhum, e só depois do início do jogo
+    const hasScore = form.goalsFor !== '' || form.goalsAgainst !== '';
+    const goalsFor = Number(form.goalsFor);
+    const goalsAgainst = Number(form.goalsAgainst);
+    if (hasScore) {
+        if (form.goalsFor === '' || form.goalsAgainst === '') {
+            errors.score = "Preencha os dois lados do placar (ou deixe os dois vazios).";
+        } else if (!isGoals(goalsFor) || !isGoals(goalsAgainst)) {
+            errors.score = "O placar deve ter números inteiros entre 0 e 30.";
+        } else if (!errors.date && wallTimeToDate(form.date, form.time) > now) { // Horário de Brasília
+            errors.score = "O placar só pode ser informado depois do início do jogo.";
+        }
+    }
+
+    if (!errors.date && !errors.opponent) {
+        const duplicate = fixtures.find((fixture) => (
+            fixture.shared && fixture.id !== editingId && fixture.date === form.date && sameOpponent(fixture.opponent, opponent)
+        ));
+        if (duplicate) errors.opponent = `Já existe um jogo contra ${duplicate.opponent} nesta data.`;
+    }
+
+    if (Object.keys(errors).length > 0) return { errors, fixture: null };
+    return {
+        errors,
+        fixture: {
+            date: form.date,
+            time: form.time,
+            opponent,
+            isHome: form.isHome,
+            location: form.location.trim(),
+            competition: form.competition.trim(),
+            tvChannel: form.tvChannel.trim(),
+            goalsFor: hasScore ? goalsFor : null,
+            goalsAgainst: hasScore ? goalsAgainst : null
+        }
+    };
+};
+
+// Separa os jogos importados entre novos, repetidos (mesma data e adversário de um jogo já na agenda
+// ou de outro do próprio arquivo) e contra o próprio Galo (evento mal escrito no arquivo).
+// Os novos vêm prontos para salvar, com os textos cortados.
+export const planFixtureImport = (imported, existing) => {
+    const toAdd = [];
+    const duplicates = [];
+    const ownTeam = [];
+    imported.forEach((fixture) => {
+        if (isOwnTeamName(fixture.opponent)) {
+            ownTeam.push(fixture);
+            return;
+        }
+        if ([...existing, ...toAdd].some((other) => other.date === fixture.date && sameOpponent(other.opponent, fixture.opponent))) {
+            duplicates.push(fixture);
+            return;
+        }
+        toAdd.push({
+            date: fixture.date,
+            time: fixture.time,
+            opponent: fixture.opponent.slice(0, FIXTURE_TEXT_MAX_LENGTH),
+            isHome: fixture.isHome,
+            location: fixture.location.slice(0, FIXTURE_TEXT_MAX_LENGTH),
+            competition: fixture.competition.slice(0, FIXTURE_TEXT_MAX_LENGTH),
+            tvChannel: fixture.tvChannel.slice(0, FIXTURE_TEXT_MAX_LENGTH),
+            goalsFor: fixture.goalsFor,
+            goalsAgainst: fixture.goalsAgainst
+        });
+    });
+    return { toAdd, duplicates, ownTeam };
+};
+
+// Cache no localStorage para abrir a agenda sem esperar a rede
+const FIXTURE_CACHE_PREFIX = 'galo-fixtures:';
+export const FIXTURE_CACHE_MAX_AGE = 60 * 60 * 1000; // 1 hora
+
+const readFixtureCache = (provider) => {
+    try {
+        const cached = JSON.parse(localStorage.getItem(FIXTURE_CACHE_PREFIX + provider.id));
+        return cached && Array.isArray(cached.fixtures) ? cached : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Carrega os jogos usando o cache enquanto ele for recente (ou sempre, com `force`).
+// Se o provedor falhar e houver cache antigo, devolve o cache junto com o erro.
+// Retorna { fixtures, savedAt, error }.
+export const loadFixtures = async (provider, { force = false } = {}) => {
+    const cached = readFixtureCache(provider);
+    if (!force && cached && Date.now() - cached.savedAt < FIXTURE_CACHE_MAX_AGE) {
+        return { fixtures: cached.fixtures, savedAt: cached.savedAt, error: null };
+    }
+    try {
+        const fixtures = await provider.load();
+        const savedAt = Date.now();
+        try {
+            localStorage.setItem(FIXTURE_CACHE_PREFIX + provider.id, JSON.stringify({ savedAt, fixtures }));
+        } catch (error) {
+            console.error("Erro ao salvar cache da agenda:", error);
+        }
+        return { fixtures, savedAt, error: null };
+    } catch (error) {
+        if (cached) return { fixtures: cached.fixtures, savedAt: cached.savedAt, error };
+        throw error;
+    }
+};
@@ -0,0 +1,81 @@
+import { isOwnTeamName, validateFixtureForm, planFixtureImport, fixtureFromIcsEvent } from './fixtures';
+
+const emptyForm = { date: '2026-10-25', time: '16:00', opponent: '', isHome: true, location: '', competition: '', tvChannel: '', goalsFor: '', goalsAgainst: '' };
+
+describe('isOwnTeamName', () => {
+    test('reconhece os nomes do próprio clube', () => {
+        ['Atlético-MG', 'Atletico MG', 'Atlético Mineiro', 'Clube Atlético Mineiro', 'Galo', 'CAM'].forEach((name) => {
+            expect(isOwnTeamName(name)).toBe(true);
+        });
+    });
+
+    test('não confunde outros "Atléticos" com o Galo', () => {
+        ['Atlético-GO', 'Atletico Goianiense', 'Athletico-PR', 'Atlético de Madrid', 'Atlético', 'Galo da Serra'].forEach((name) => {
+            expect(isOwnTeamName(name)).toBe(false);
+        });
+    });
+});
+
+describe('validateFixtureForm', () => {
+    test('aceita Atlético-GO e Athletico-PR como adversários', () => {
+        ['Atlético-GO', 'Athletico-PR'].forEach((opponent) => {
+            const { errors, fixture } = validateFixtureForm({ ...emptyForm, opponent }, [], null);
+            expect(errors).toEqual({});
+            expect(fixture.opponent).toBe(opponent);
+        });
+    });
+
+    test('recusa o próprio Galo como adversário', () => {
+        const { errors, fixture } = validateFixtureForm({ ...emptyForm, opponent: 'Atlético-MG' }, [], null);
+        expect(errors.opponent).toBe("O adversário não pode ser o próprio Galo.");
+        expect(fixture).toBeNull();
+    });
+});
+
+describe('planFixtureImport', () => {
+    const imported = (opponent, date = '2026-10-25') => ({
+        date, time: '16:00', opponent, isHome: true, location: '', competition: '', tvChannel: '', goalsFor: null, goalsAgainst: null
+    });
+
+    test('importa jogos contra outros "Atléticos"', () => {
+        const plan = planFixtureImport([imported('Atlético-GO'), imported('Athletico-PR', '2026-11-01')], []);
+        expect(plan.toAdd.map((fixture) => fixture.opponent)).toEqual(['Atlético-GO', 'Athletico-PR']);
+        expect(plan.duplicates).toEqual([]);
+        expect(plan.ownTeam).toEqual([]);
+    });
+
+    test('separa os repetidos dos jogos contra o próprio Galo', () => {
+        const existing = [imported('Cruzeiro')];
+        const plan = planFixtureImport([imported('cruzeiro '), imported('Atlético-MG'), imported('Flamengo'), imported('Flamengo')], existing);
+        expect(plan.toAdd.map((fixture) => fixture.opponent)).toEqual(['Flamengo']);
+        expect(plan.duplicates.map((fixture) => fixture.opponent)).toEqual(['cruzeiro ', 'Flamengo']);
+        expect(plan.ownTeam.map((fixture) => fixture.opponent)).toEqual(['Atlético-MG']);
+    });
+});
+
+describe('fixtureFromIcsEvent', () => {
+    const event = (summary) => ({ uid: 'jogo-1', summary, start: { date: '2026-10-25', time: '16:00' }, location: '', description: '' });
+
+    test('o lado do Galo define o mando', () => {
+        expect(fixtureFromIcsEvent(event('Atlético-MG x Cruzeiro'))).toMatchObject({ opponent: 'Cruzeiro', isHome: true });
+        expect(fixtureFromIcsEvent(event('Cruzeiro vs Atlético Mineiro'))).toMatchObject({ opponent: 'Cruzeiro', isHome: false });
+    });
+
+    test('acha o Galo mesmo quando o adversário também é um Atlético', () => {
+        expect(fixtureFromIcsEvent(event('Atlético-GO x Atlético-MG'))).toMatchObject({ opponent: 'Atlético-GO', isHome: false });
+        expect(fixtureFromIcsEvent(event('Galo x Athletico-PR'))).toMatchObject({ opponent: 'Athletico-PR', isHome: true });
+    });
+
+    test('ignora eventos sem o Galo', () => {
+        expect(fixtureFromIcsEvent(event('Atlético-GO x Athletico-PR'))).toBeNull();
+        expect(fixtureFromIcsEvent(event('Treino aberto'))).toBeNull();
+    });
+});
+
+describe('validateFixtureForm: placar', () => {
+    test('o placar só vale depois do início do jogo, no horário de Brasília', () => {
+        const form = { ...emptyForm, opponent: 'Cruzeiro', goalsFor: '2', goalsAgainst: '1' };
+        expect(validateFixtureForm(form, [], null, new Date('2026-10-25T18:59:00Z')).errors.score).toBe("O placar só pode ser informado depois do início do jogo.");
+        expect(validateFixtureForm(form, [], null, new Date('2026-10-25T19:01:00Z')).errors).toEqual({});
+    });
+});
@@ -0,0 +1,203 @@
+// Leitura e escrita de arquivos iCalendar (.ics, RFC 5545) — só o necessário para eventos
+// de jogos: UID, DTSTART, SUMMARY, LOCATION e DESCRIPTION de cada VEVENT.
+
+// Fuso dos horários da agenda (horário de Brasília, sem horário de verão desde 2019)
+export const ICS_TIMEZONE = 'America/Sao_Paulo';
+
+// Partes de data e hora de um instante em um fuso (com o horário de verão dos anos em que houve).
+// Fuso desconhecido lança RangeError.
+const zoneFormats = {};
+const getZoneParts = (instant, timeZone) => {
+    if (!zoneFormats[timeZone]) {
+        zoneFormats[timeZone] = new Intl.DateTimeFormat('en-CA', {
+            timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+        });
+    }
+    return Object.fromEntries(zoneFormats[timeZone].formatToParts(instant).map((part) => [part.type, part.value]));
+};
+
+// Data e hora de parede { date: 'AAAA-MM-DD', time: 'HH:MM' } de um instante no fuso (padrão: Brasília)
+export const toWallTime = (instant, timeZone = ICS_TIMEZONE) => {
+    const parts = getZoneParts(instant, timeZone);
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+// Instante de uma data e hora de parede no fuso (padrão: Brasília), seja qual for o fuso do navegador
+export const wallTimeToDate = (date, time, timeZone = ICS_TIMEZONE) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = (time || '00:00').split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+    const offsetAt = (instant) => {
+        const parts = getZoneParts(new Date(instant), timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+    };
+    // Segunda passada: o deslocamento certo é o do instante final (perto de uma troca de horário de verão)
+    return new Date(asUtc - offsetAt(asUtc - offsetAt(asUtc)));
+};
+
+// Desfaz as quebras de linha do formato (linhas de continuação começam com espaço ou tab)
+const unfoldLines = (text) => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+// Numa passada só, para "\\n" no arquivo (barra escapada seguida de n) não virar quebra de linha
+const unescapeText = (value) => value.replace(/\\([nN,;\\])/g, (escape, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// "DTSTART;TZID=America/Sao_Paulo:20261025T160000" -> { name, params, value }
+const parseLine = (line) => {
+    const colon = line.indexOf(':');
+    if (colon === -1) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach((part) => {
+        const [key, paramValue = ''] = part.split('=');
+        params[key.toUpperCase()] = paramValue;
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Converte DTSTART em data e hora de Brasília { date: 'AAAA-MM-DD', time: 'HH:MM' }, o fuso em que a
+// agenda é guardada, seja qual for o fuso do navegador. Horários em UTC (sufixo Z) ou com TZID de
+// outro fuso são convertidos; sem fuso, o horário é usado como está (os jogos são publicados no
+// horário de Brasília). Com um TZID desconhecido, retorna null (melhor ignorar o evento do que
+// guardar um horário errado); dias inteiros (sem hora) não têm fuso.
+export const parseIcsDateTime = (value, timeZone = '') => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, , utc] = match;
+    const date = `${year}-${month}-${day}`;
+    if (!hours) return { date, time: '' };
+    if (utc) return toWallTime(new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes))));
+    if (timeZone && timeZone !== ICS_TIMEZONE) {
+        try {
+            return toWallTime(wallTimeToDate(date, `${hours}:${minutes}`, timeZone));
+        } catch (error) {
+            return null;
+        }
+    }
+    return { date, time: `${hours}:${minutes}` };
+};
+
+// Lista os eventos do arquivo: { uid, start: { date, time }, summary, location, description }
+export const parseIcsEvents = (text) => {
+    const events = [];
+    let current = null;
+    unfoldLines(text).forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (current?.start) events.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+        const property = parseLine(line);
+        if (!property) return;
+        switch (property.name) {
+            case 'UID':
+                current.uid = property.value;
+                break;
+            case 'DTSTART':
+                current.start = parseIcsDateTime(property.value, (property.params.TZID || '').replace(/^"|"$/g, ''));
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeText(property.value);
+                break;
+            case 'LOCATION':
+                current.location = unescapeText(property.value);
+                break;
+            case 'DESCRIPTION':
+                current.description = unescapeText(property.value);
+                break;
+            default:
+                break;
+        }
+    });
+    return events;
+};
+
+// Definição do fuso que vai nos arquivos exportados
+const ICS_TIMEZONE_BLOCK = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${ICS_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:-0300',
+    'TZOFFSETTO:-0300',
+    'TZNAME:-03',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+const escapeText = (value) => value
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+
+// Quebra linhas com mais de 75 bytes (UTF-8); as continuações começam com espaço
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    Array.from(line).forEach((char) => {
+        const charSize = encoder.encode(char).length;
+        if (size + charSize > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    });
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Date -> "20261025T190000Z"
+const formatUtcDateTime = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Soma minutos a um horário "de parede" (data e hora sem fuso), virando o dia se preciso
+const addMinutesToWallTime = (date, time, minutes) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, mins] = time.split(':').map(Number);
+    const result = new Date(Date.UTC(year, month - 1, day, hours, mins + minutes));
+    return `${result.getUTCFullYear()}${pad(result.getUTCMonth() + 1)}${pad(result.getUTCDate())}T${pad(result.getUTCHours())}${pad(result.getUTCMinutes())}00`;
+};
+
+// Monta um calendário a partir de eventos { uid, date: 'AAAA-MM-DD', time: 'HH:MM' | '',
+// durationMinutes, summary, location, description }. Horários são de Brasília (ICS_TIMEZONE);
+// eventos sem horário viram eventos de dia inteiro.
+export const buildIcsCalendar = (events, { name, now = new Date() } = {}) => {
+    const stamp = formatUtcDateTime(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        "PRODID:-//Dr. Emanuel's Wonderland//Agenda do Galo//PT-BR",
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...(name ? [`X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${ICS_TIMEZONE}`] : []),
+        ...ICS_TIMEZONE_BLOCK
+    ];
+    events.forEach((event) => {
+        const compactDate = event.date.replace(/-/g, '');
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        if (event.time) {
+            lines.push(
+                `DTSTART;TZID=${ICS_TIMEZONE}:${addMinutesToWallTime(event.date, event.time, 0)}`,
+                `DTEND;TZID=${ICS_TIMEZONE}:${addMinutesToWallTime(event.date, event.time, event.durationMinutes || 120)}`
+            );
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${compactDate}`, `DTEND;VALUE=DATE:${addMinutesToWallTime(event.date, '00:00', 24 * 60).slice(0, 8)}`);
+        }
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+import { parseIcsDateTime, parseIcsEvents, buildIcsCalendar, toWallTime, wallTimeToDate } from './ics';
+import { parseFixturesIcsFile } from './fixtures';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('parseIcsDateTime', () => {
+    test('horário sem fuso ou com TZID de Brasília é usado como está', () => {
+        expect(parseIcsDateTime('20261025T160000')).toEqual({ date: '2026-10-25', time: '16:00' });
+        expect(parseIcsDateTime('20261025T160000', 'America/Sao_Paulo')).toEqual({ date: '2026-10-25', time: '16:00' });
+    });
+
+    test('UTC vira horário de Brasília, com o horário de verão da época', () => {
+        expect(parseIcsDateTime('20261025T190000Z')).toEqual({ date: '2026-10-25', time: '16:00' });
+        expect(parseIcsDateTime('20181104T030000Z')).toEqual({ date: '2018-11-04', time: '01:00' }); // Já em horário de verão (-02)
+        expect(parseIcsDateTime('20260101T020000Z')).toEqual({ date: '2025-12-31', time: '23:00' });
+    });
+
+    test('TZID de outro fuso é convertido para Brasília', () => {
+        expect(parseIcsDateTime('20260601T210000', 'Europe/Madrid')).toEqual({ date: '2026-06-01', time: '16:00' });
+        expect(parseIcsDateTime('20260115T210000', 'Europe/Madrid')).toEqual({ date: '2026-01-15', time: '17:00' });
+    });
+
+    test('TZID desconhecido descarta o horário', () => {
+        expect(parseIcsDateTime('20260601T210000', 'Hora Oficial do Galo')).toBeNull();
+    });
+
+    test('dia inteiro não tem horário nem fuso', () => {
+        expect(parseIcsDateTime('20261025')).toEqual({ date: '2026-10-25', time: '' });
+        expect(parseIcsDateTime('20261025', 'Europe/Madrid')).toEqual({ date: '2026-10-25', time: '' });
+    });
+
+    test('valores inválidos', () => {
+        expect(parseIcsDateTime('amanhã')).toBeNull();
+    });
+});
+
+describe('wallTimeToDate e toWallTime', () => {
+    test('convertem entre o horário de Brasília e o instante', () => {
+        expect(wallTimeToDate('2026-10-25', '16:00').toISOString()).toBe('2026-10-25T19:00:00.000Z');
+        expect(wallTimeToDate('2018-11-04', '01:30').toISOString()).toBe('2018-11-04T03:30:00.000Z');
+        expect(toWallTime(new Date('2026-10-25T19:00:00Z'))).toEqual({ date: '2026-10-25', time: '16:00' });
+    });
+});
+
+describe('parseIcsEvents', () => {
+    test('junta linhas dobradas e desfaz os escapes', () => {
+        const [event] = parseIcsEvents(calendar(
+            'BEGIN:VEVENT',
+            'UID:jogo-1',
+            'DTSTART;TZID=America/Sao_Paulo:20261025T160000',
+            'SUMMARY:Atlético-MG x Cruz',
+            ' eiro',
+            'LOCATION:Arena MRV\\, Belo Horizonte',
+            'DESCRIPTION:Brasileirão\\nTransmissão: Globo\\; Premiere\\nC:\\\\galo',
+            'END:VEVENT'
+        ));
+        expect(event).toEqual({
+            uid: 'jogo-1',
+            start: { date: '2026-10-25', time: '16:00' },
+            summary: 'Atlético-MG x Cruzeiro',
+            location: 'Arena MRV, Belo Horizonte',
+            description: 'Brasileirão\nTransmissão: Globo; Premiere\nC:\\galo'
+        });
+    });
+
+    test('aceita TZID entre aspas e ignora eventos sem data', () => {
+        const events = parseIcsEvents(calendar(
+            'BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID="Europe/Madrid":20260601T210000', 'SUMMARY:A', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:b', 'SUMMARY:Sem data', 'END:VEVENT'
+        ));
+        expect(events).toHaveLength(1);
+        expect(events[0].start).toEqual({ date: '2026-06-01', time: '16:00' });
+    });
+});
+
+describe('buildIcsCalendar', () => {
+    const events = [
+        { uid: 'jogo-1@agenda', date: '2026-10-25', time: '23:00', summary: 'Atlético-MG x Cruzeiro', location: 'Arena MRV, BH', description: 'Brasileirão; 30ª rodada\nTransmissão: Globo' },
+        { uid: 'jogo-2@agenda', date: '2026-12-31', time: '', summary: 'Data a confirmar', description: 'Ingressos em C:\\novos' }
+    ];
+    const text = buildIcsCalendar(events, { name: 'Jogos do Atlético-MG', now: new Date('2026-10-01T12:00:00Z') });
+
+    test('usa CRLF, linhas de até 75 bytes e horários de Brasília', () => {
+        const lines = text.split('\r\n');
+        expect(lines.every((line) => new TextEncoder().encode(line).length <= 75)).toBe(true);
+        expect(lines).toContain('DTSTART;TZID=America/Sao_Paulo:20261025T230000');
+        expect(lines).toContain('DTEND;TZID=America/Sao_Paulo:20261026T010000'); // 2 horas depois, já no dia seguinte
+        expect(lines).toContain('DTSTAMP:20261001T120000Z');
+    });
+
+    test('eventos sem horário viram dia inteiro', () => {
+        expect(text).toContain('DTSTART;VALUE=DATE:20261231\r\nDTEND;VALUE=DATE:20270101');
+    });
+
+    test('o arquivo gerado é lido de volta igual', () => {
+        expect(parseIcsEvents(text)).toEqual([
+            { uid: 'jogo-1@agenda', start: { date: '2026-10-25', time: '23:00' }, summary: 'Atlético-MG x Cruzeiro', location: 'Arena MRV, BH', description: 'Brasileirão; 30ª rodada\nTransmissão: Globo' },
+            { uid: 'jogo-2@agenda', start: { date: '2026-12-31', time: '' }, summary: 'Data a confirmar', description: 'Ingressos em C:\\novos' }
+        ]);
+    });
+});
+
+describe('parseFixturesIcsFile', () => {
+    test('converte título, fuso e descrição em jogos da agenda', () => {
+        const fixtures = parseFixturesIcsFile(calendar(
+            'BEGIN:VEVENT',
+            'UID:madrid',
+            'DTSTART;TZID=Europe/Madrid:20260601T210000',
+            'SUMMARY:Atlético de Madrid x Atlético-MG',
+            'DESCRIPTION:Amistoso\\nTransmissão: ESPN',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:goias',
+            'DTSTART:20261025T190000Z',
+            'SUMMARY:Atlético-GO x Atlético-MG',
+            'LOCATION:Antônio Accioly',
+            'DESCRIPTION:Brasileirão\\nPlacar: Atlético-GO 1 x 2 Atlético-MG',
+            'END:VEVENT'
+        ));
+        expect(fixtures).toEqual([
+            {
+                id: 'madrid', date: '2026-06-01', time: '16:00', opponent: 'Atlético de Madrid', isHome: false,
+                location: '', competition: 'Amistoso', tvChannel: 'ESPN', goalsFor: null, goalsAgainst: null
+            },
+            {
+                id: 'goias', date: '2026-10-25', time: '16:00', opponent: 'Atlético-GO', isHome: false,
+                location: 'Antônio Accioly', competition: 'Brasileirão', tvChannel: '', goalsFor: 2, goalsAgainst: 1
+            }
+        ]);
+    });
+});
@@ -0,0 +1,106 @@
+// Cruza os registros de humor com os resultados dos jogos do Galo.
+// Tudo é calculado a partir dos dados salvos (jogos com placar e registros de humor).
+
+import { getMoodEntryDate, averageMoodScore } from './moods';
+import { wallTimeToDate } from './ics';
+
+export const MATCH_OUTCOMES = {
+    win: { label: 'Vitória', short: 'V', className: 'bg-green-500 text-white' },
+    draw: { label: 'Empate', short: 'E', className: 'bg-gray-400 text-white' },
+    loss: { label: 'Derrota', short: 'D', className: 'bg-red-500 text-white' }
+};
+
+// Quantos dias antes e depois do jogo entram na linha do tempo de humor
+export const MOOD_DAYS_BEFORE_MATCH = 2;
+export const MOOD_DAYS_AFTER_MATCH = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Placar do ponto de vista do Atlético-MG
+export const getMatchOutcome = (result) => {
+    if (!result || typeof result.goalsFor !== 'number' || typeof result.goalsAgainst !== 'number') return null;
+    if (result.goalsFor > result.goalsAgainst) return 'win';
+    if (result.goalsFor < result.goalsAgainst) return 'loss';
+    return 'draw';
+};
+
+// Horário de início do jogo (data AAAA-MM-DD e hora HH:MM, sempre de Brasília, como a agenda é
+// guardada), correto também para quem abre o site em outro fuso
+export const getKickoff = (game) => wallTimeToDate(game.date, game.time);
+
+// Registros de humor de um intervalo [start, end)
+const moodsBetween = (moods, start, end) => moods.filter((entry) => {
+    const date = getMoodEntryDate(entry);
+    return date && date >= start && date < end;
+});
+
+// Linha do tempo de humor ao redor de um jogo: um item por dia relativo ao jogo
+// (-2, -1 = antes; 0 = 24 h a partir do início do jogo; 1..3 = depois)
+export const MATCH_TIMELINE_OFFSETS = Array.from(
+    { length: MOOD_DAYS_BEFORE_MATCH + MOOD_DAYS_AFTER_MATCH + 1 },
+    (_, index) => index - MOOD_DAYS_BEFORE_MATCH
+);
+
+export const buildMatchMoodTimeline = (match, moods) => {
+    const kickoff = getKickoff(match);
+    return MATCH_TIMELINE_OFFSETS.map((offset) => {
+        const start = new Date(kickoff.getTime() + offset * DAY_MS);
+        const entries = moodsBetween(moods, start, new Date(start.getTime() + DAY_MS));
+        return { offset, entries, average: averageMoodScore(entries) };
+    });
+};
+
+// Humor médio antes e depois dos jogos, agrupado por resultado
+export const summarizeMoodByOutcome = (matches, moods) => {
+    const summary = {};
+    Object.keys(MATCH_OUTCOMES).forEach((outcome) => {
+        summary[outcome] = { matches: 0, before: [], after: [] };
+    });
+    matches.forEach((match) => {
+        const outcome = getMatchOutcome(match);
+        if (!outcome) return;
+        const kickoff = getKickoff(match);
+        summary[outcome].matches += 1;
+        summary[outcome].before.push(...moodsBetween(moods, new Date(kickoff.getTime() - MOOD_DAYS_BEFORE_MATCH * DAY_MS), kickoff));
+        summary[outcome].after.push(...moodsBetween(moods, kickoff, new Date(kickoff.getTime() + (MOOD_DAYS_AFTER_MATCH + 1) * DAY_MS)));
+    });
+    return Object.fromEntries(Object.entries(summary).map(([outcome, { matches: count, before, after }]) => [outcome, {
+        matches: count,
+        moodCount: after.length,
+        averageBefore: averageMoodScore(before),
+        averageAfter: averageMoodScore(after)
+    }]));
+};
+
+// Sequências de resultados: a atual e as maiores de vitórias, invencibilidade e derrotas
+export const computeMatchStreaks = (matches) => {
+    const outcomes = matches
+        .filter((match) => getMatchOutcome(match))
+        .sort((a, b) => getKickoff(a) - getKickoff(b))
+        .map(getMatchOutcome);
+
+    const longest = (predicate) => {
+        let best = 0;
+        let run = 0;
+        outcomes.forEach((outcome) => {
+            run = predicate(outcome) ? run + 1 : 0;
+            best = Math.max(best, run);
+        });
+        return best;
+    };
+
+    let current = null;
+    if (outcomes.length) {
+        const last = outcomes[outcomes.length - 1];
+        let length = 0;
+        for (let i = outcomes.length - 1; i >= 0 && outcomes[i] === last; i--) length++;
+        current = { outcome: last, length };
+    }
+
+    return {
+        current,
+        longestWins: longest((outcome) => outcome === 'win'),
+        longestUnbeaten: longest((outcome) => outcome !== 'loss'),
+        longestLosses: longest((outcome) => outcome === 'loss')
+    };
+};
@@ -0,0 +1,12 @@
+import { getKickoff } from './matchInsights';
+
+describe('getKickoff', () => {
+    test('lê a data e a hora da agenda no horário de Brasília', () => {
+        expect(getKickoff({ date: '2026-10-25', time: '16:00' }).toISOString()).toBe('2026-10-25T19:00:00.000Z');
+        expect(getKickoff({ date: '2018-12-01', time: '17:00' }).toISOString()).toBe('2018-12-01T19:00:00.000Z'); // Horário de verão (-02)
+    });
+
+    test('sem horário, vale a meia-noite de Brasília', () => {
+        expect(getKickoff({ date: '2026-10-25', time: '' }).toISOString()).toBe('2026-10-25T03:00:00.000Z');
+    });
+});
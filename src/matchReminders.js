@@ -0,0 +1,101 @@
+// Lembretes de jogos com notificações do navegador.
+// As inscrições ficam no Firestore (uma por jogo, por usuário). A lista de lembretes calculada
+// aqui é entregue ao service worker (public/match-reminders-sw.js), que guarda a lista e mostra
+// as notificações. Sem servidor de push, o navegador precisa estar aberto (a aba pode estar em
+// segundo plano): a página avisa o worker na hora de cada lembrete e, onde houver Periodic
+// Background Sync (app instalado no Chrome), o próprio worker confere a lista de tempos em tempos.
+
+import { getGameKey, formatFixtureTitle } from './fixtures';
+import { getKickoff } from './matchInsights';
+import { parseDateOnly } from './calendarDate';
+
+export const REMINDER_LEAD_TIMES = [
+    { id: '1d', label: '1 dia antes', short: '1 dia', ms: 24 * 60 * 60 * 1000 },
+    { id: '1h', label: '1 hora antes', short: '1 h', ms: 60 * 60 * 1000 },
+    { id: 'kickoff', label: 'No início do jogo', short: 'início', ms: 0 }
+];
+export const DEFAULT_REMINDER_LEAD_TIMES = ['1h'];
+
+const REMINDER_WORKER_URL = `${process.env.PUBLIC_URL}/match-reminders-sw.js`;
+const REMINDER_SYNC_TAG = 'match-reminders';
+// Lembretes atrasados até este limite ainda são mostrados (ex.: navegador aberto logo depois)
+const REMINDER_GRACE_MS = 30 * 60 * 1000;
+// Os timers da página são limitados a 1 hora e reagendados (evita estouro do setTimeout e relógio suspenso)
+export const REMINDER_TIMER_MAX_MS = 60 * 60 * 1000;
+
+export const areRemindersSupported = () => (
+    typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator
+);
+
+// Pede permissão de notificação se ainda não foi respondida; retorna true se concedida
+export const ensureNotificationPermission = async () => {
+    if (Notification.permission === 'granted') return true;
+    if (Notification.permission === 'denied') return false;
+    return (await Notification.requestPermission()) === 'granted';
+};
+
+// Lead times ainda possíveis para um jogo (ex.: "1 dia antes" some no dia do jogo)
+export const availableLeadTimes = (game, now = new Date()) => {
+    const kickoff = getKickoff(game).getTime();
+    return REMINDER_LEAD_TIMES.filter((leadTime) => kickoff - leadTime.ms > now.getTime());
+};
+
+const reminderBody = (game, leadTime) => {
+    const when = `${parseDateOnly(game.date).toLocaleDateString('pt-BR')}${game.time ? ` às ${game.time}` : ''}`;
+    const details = [game.competition, game.location, game.tvChannel && `📺 ${game.tvChannel}`].filter(Boolean).join(' - ');
+    const prefix = leadTime.ms === 0 ? 'Começou!' : `Falta ${leadTime.label.replace(' antes', '')}:`;
+    return `${prefix} ${formatFixtureTitle(game)} - ${when}${details ? `\n${details}` : ''}`;
+};
+
+// Converte as inscrições em lembretes { tag, at, title, body }, ordenados pelo horário.
+// Os dados do jogo vêm da agenda atual (se o horário mudar, o lembrete acompanha) ou,
+// se o jogo saiu da agenda, da cópia salva na inscrição.
+export const buildReminders = (subscriptions, fixtures, now = new Date()) => {
+    const fixturesByKey = Object.fromEntries(fixtures.map((fixture) => [getGameKey(fixture), fixture]));
+    const reminders = [];
+    subscriptions.forEach((subscription) => {
+        const game = fixturesByKey[subscription.id] || subscription;
+        const kickoff = getKickoff(game).getTime();
+        REMINDER_LEAD_TIMES.filter((leadTime) => (subscription.leadTimes || []).includes(leadTime.id)).forEach((leadTime) => {
+            const at = kickoff - leadTime.ms;
+            if (at < now.getTime() - REMINDER_GRACE_MS) return;
+            reminders.push({
+                tag: `${subscription.id}-${leadTime.id}`,
+                at,
+                title: '⚽ Jogo do Galo',
+                body: reminderBody(game, leadTime)
+            });
+        });
+    });
+    return reminders.sort((a, b) => a.at - b.at);
+};
+
+// Milissegundos até o próximo lembrete (null se não houver nenhum pela frente)
+export const nextReminderDelay = (reminders, now = new Date()) => {
+    const next = reminders.find((reminder) => reminder.at > now.getTime());
+    return next ? next.at - now.getTime() : null;
+};
+
+// Registra o service worker e, onde houver suporte, a conferência periódica em segundo plano
+export const registerReminderWorker = async () => {
+    const registration = await navigator.serviceWorker.register(REMINDER_WORKER_URL);
+    if ('periodicSync' in registration) {
+        try {
+            await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+        } catch (error) {
+            // Sem permissão (app não instalado): os lembretes dependem da página aberta
+        }
+    }
+    return registration;
+};
+
+const postToReminderWorker = async (message) => {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage(message);
+};
+
+// Substitui a lista de lembretes guardada no worker (que mostra na hora os que já venceram)
+export const syncReminders = (reminders) => postToReminderWorker({ type: 'SET_REMINDERS', reminders });
+
+// Pede ao worker para mostrar os lembretes vencidos
+export const checkReminders = () => postToReminderWorker({ type: 'CHECK_REMINDERS' });
@@ -0,0 +1,65 @@
+// Cálculos dos marcos do Contador de Dias: tempo decorrido em anos/meses/dias,
+// dias até datas futuras e os próximos aniversários (anos completos e dias redondos).
+
+import { parseDateOnly, startOfDay, addDays, daysBetween, sameDayInYear, calendarDifference } from './calendarDate';
+
+export const MILESTONE_SUGGESTIONS = [
+    { name: 'Dia em que nos conhecemos', emoji: '💞' },
+    { name: 'Casamento', emoji: '💍' },
+    { name: 'Aniversário da Júlia', emoji: '🎂' },
+    { name: 'Primeiro jogo do Galo juntos', emoji: '⚽' }
+];
+
+export const MILESTONE_EMOJIS = ['💞', '💍', '🎂', '⚽', '🏆', '🏠', '👶', '✈️', '⭐'];
+export const MILESTONE_NAME_MAX_LENGTH = 60;
+
+// Aniversários que acontecem dentro deste prazo aparecem em destaque
+export const UPCOMING_ANNIVERSARY_DAYS = 30;
+
+// Texto "2 anos, 3 meses e 5 dias"
+export const formatElapsed = ({ years, months, days }) => {
+    const parts = [];
+    if (years) parts.push(`${years} ${years === 1 ? 'ano' : 'anos'}`);
+    if (months) parts.push(`${months} ${months === 1 ? 'mês' : 'meses'}`);
+    if (days || parts.length === 0) parts.push(`${days} ${days === 1 ? 'dia' : 'dias'}`);
+    return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} e ${parts[parts.length - 1]}` : parts[0];
+};
+
+// Próximos aniversários de um marco passado: o próximo ano completo e o próximo número redondo
+// de dias (centenas até 1000, depois milhares). Ordenados do mais próximo para o mais distante.
+const nextAnniversaries = (start, today, totalDays) => {
+    const anniversaries = [];
+
+    let year = today.getFullYear();
+    let yearly = sameDayInYear(start, year);
+    if (yearly < today) yearly = sameDayInYear(start, ++year);
+    const years = year - start.getFullYear();
+    if (years > 0) {
+        anniversaries.push({ label: `${years} ${years === 1 ? 'ano' : 'anos'}`, date: yearly, daysUntil: daysBetween(today, yearly) });
+    }
+
+    const step = totalDays < 1000 ? 100 : 1000;
+    const roundDays = Math.max(step, Math.ceil(totalDays / step) * step);
+    const roundDate = addDays(start, roundDays);
+    anniversaries.push({ label: `${roundDays.toLocaleString('pt-BR')} dias`, date: roundDate, daysUntil: roundDays - totalDays });
+
+    return anniversaries.sort((a, b) => a.daysUntil - b.daysUntil);
+};
+
+// Situação de um marco em relação a `now`:
+// - futuro: { isFuture: true, target, daysUntil } (a contagem regressiva usa `target`)
+// - passado/hoje: { isFuture: false, totalDays, elapsed, anniversaries }
+export const describeMilestone = (milestone, now) => {
+    const start = parseDateOnly(milestone.date);
+    const today = startOfDay(now);
+    if (start > today) {
+        return { isFuture: true, target: start, daysUntil: daysBetween(today, start) };
+    }
+    const totalDays = daysBetween(start, today);
+    return {
+        isFuture: false,
+        totalDays,
+        elapsed: calendarDifference(start, today),
+        anniversaries: nextAnniversaries(start, today, totalDays)
+    };
+};
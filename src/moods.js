@@ -0,0 +1,130 @@
+// Dados e cálculos do Termômetro de Humor: opções de humor, tags,
+// agrupamento por dia para o calendário e médias semanais para o gráfico.
+
+import { toDayKey, addDays } from './calendarDate';
+
+// `score` posiciona o humor numa escala de -2 (pior) a 2 (melhor) para o gráfico de tendência
+export const MOOD_OPTIONS = [
+    { id: 'Feliz', emoji: '😊', score: 1, color: '#fcd34d', buttonClass: 'bg-yellow-300 hover:bg-yellow-400' },
+    { id: 'Neutro', emoji: '😐', score: 0, color: '#d1d5db', buttonClass: 'bg-gray-300 hover:bg-gray-400' },
+    { id: 'Triste', emoji: '😔', score: -1, color: '#93c5fd', buttonClass: 'bg-blue-300 hover:bg-blue-400' },
+    { id: 'Animado', emoji: '🤩', score: 2, color: '#6ee7b7', buttonClass: 'bg-green-300 hover:bg-green-400' },
+    { id: 'Bravo', emoji: '😠', score: -2, color: '#fca5a5', buttonClass: 'bg-red-300 hover:bg-red-400' }
+];
+
+export const getMoodOption = (moodId) => MOOD_OPTIONS.find((option) => option.id === moodId);
+
+// Registros antigos não têm intensidade
+export const DEFAULT_MOOD_INTENSITY = 3;
+export const MOOD_NOTE_MAX_LENGTH = 500;
+export const SUGGESTED_MOOD_TAGS = ['jogo do Galo', 'trabalho', 'família', 'saúde', 'amigos'];
+const MAX_MOOD_TAGS = 10;
+const MOOD_TAG_MAX_LENGTH = 30;
+
+// Converte o texto digitado ("jogo do Galo, trabalho") em uma lista de tags sem repetição
+export const parseMoodTags = (text) => {
+    const tags = [];
+    text.split(',').forEach((part) => {
+        const tag = part.trim().replace(/\s+/g, ' ').slice(0, MOOD_TAG_MAX_LENGTH);
+        if (tag && !tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+    return tags.slice(0, MAX_MOOD_TAGS);
+};
+
+export const getMoodEntryDate = (entry) => entry.timestamp?.toDate() || null;
+export const getMoodIntensity = (entry) => entry.intensity || DEFAULT_MOOD_INTENSITY;
+
+// Aplica os filtros de humor e tag ('' significa todos)
+export const filterMoodEntries = (entries, { mood, tag }) => entries.filter((entry) => (
+    (!mood || entry.mood === mood) &&
+    (!tag || (entry.tags || []).some((entryTag) => entryTag.toLowerCase() === tag.toLowerCase()))
+));
+
+// Todas as tags já usadas, para o filtro
+export const collectMoodTags = (entries) => {
+    const tags = [];
+    entries.forEach((entry) => {
+        (entry.tags || []).forEach((tag) => {
+            if (!tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+        });
+    });
+    return tags.sort((a, b) => a.localeCompare(b, 'pt-BR'));
+};
+
+// Humor predominante de um conjunto de registros (soma das intensidades; empate fica com o mais recente)
+const dominantMood = (entries) => {
+    const totals = {};
+    entries.forEach((entry) => {
+        totals[entry.mood] = (totals[entry.mood] || 0) + getMoodIntensity(entry);
+    });
+    return entries.reduce((best, entry) => (
+        !best || totals[entry.mood] > totals[best] ? entry.mood : best
+    ), null);
+};
+
+// Monta as semanas (domingo a sábado) de um mês para o calendário.
+// Cada célula é null (fora do mês) ou { date, key, entries, mood, intensity }.
+export const buildMoodMonth = (entries, year, month) => {
+    const byDay = {};
+    entries.forEach((entry) => {
+        const date = getMoodEntryDate(entry);
+        if (!date || date.getFullYear() !== year || date.getMonth() !== month) return;
+        const key = toDayKey(date);
+        (byDay[key] = byDay[key] || []).push(entry);
+    });
+
+    const cells = Array(new Date(year, month, 1).getDay()).fill(null);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const key = toDayKey(date);
+        const dayEntries = byDay[key] || [];
+        cells.push({
+            date,
+            key,
+            entries: dayEntries,
+            mood: dayEntries.length ? dominantMood(dayEntries) : null,
+            intensity: dayEntries.length ? dayEntries.reduce((sum, entry) => sum + getMoodIntensity(entry), 0) / dayEntries.length : 0
+        });
+    }
+    while (cells.length % 7 !== 0) cells.push(null);
+
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+    return weeks;
+};
+
+// Média semanal do humor (score ponderado pela intensidade) nas últimas `weekCount` semanas.
+// Retorna uma lista da semana mais antiga para a atual: { start, average, count }.
+export const buildWeeklyMoodTrend = (entries, now, weekCount = 8) => {
+    const currentWeekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+    const weeks = [];
+    for (let i = weekCount - 1; i >= 0; i--) {
+        const start = addDays(currentWeekStart, -i * 7);
+        const end = addDays(start, 7);
+        weeks.push({
+            start,
+            entries: entries.filter((entry) => {
+                const date = getMoodEntryDate(entry);
+                return date && date >= start && date < end;
+            })
+        });
+    }
+    return weeks.map(({ start, entries: weekEntries }) => ({ start, count: weekEntries.length, average: averageMoodScore(weekEntries) }));
+};
+
+// Média do humor (score ponderado pela intensidade) de um conjunto de registros; null se vazio
+export const averageMoodScore = (entries) => {
+    let total = 0;
+    let weight = 0;
+    entries.forEach((entry) => {
+        const option = getMoodOption(entry.mood);
+        if (!option) return;
+        const intensity = getMoodIntensity(entry);
+        total += option.score * intensity;
+        weight += intensity;
+    });
+    return weight ? total / weight : null;
+};
@@ -0,0 +1,72 @@
+// Organização da Galeria de Fotos: legendas, data em que a foto foi tirada, pessoas/tags,
+// álbuns, ordenação e filtros. As fotos e os álbuns ficam no Firestore; os arquivos, no Storage.
+
+import { toDayKey } from './calendarDate';
+
+export const PHOTO_CAPTION_MAX_LENGTH = 200;
+export const PHOTO_ALBUM_NAME_MAX_LENGTH = 40;
+export const SUGGESTED_PHOTO_ALBUMS = ['Arena MRV', 'Aniversários', 'Família', 'Viagens'];
+const MAX_PHOTO_TAGS = 15;
+const PHOTO_TAG_MAX_LENGTH = 30;
+
+export const PHOTO_SORT_OPTIONS = [
+    { id: 'takenDesc', label: 'Data da foto (mais recentes)' },
+    { id: 'takenAsc', label: 'Data da foto (mais antigas)' },
+    { id: 'addedDesc', label: 'Adicionadas recentemente' }
+];
+
+// Tempo de cada foto na apresentação de slides
+export const SLIDESHOW_INTERVAL_MS = 4000;
+
+// Zoom do visualizador: { zoom, x, y } (deslocamento em px); sem zoom, a imagem volta ao centro
+export const PHOTO_ZOOM_MAX = 4;
+export const DEFAULT_PHOTO_VIEW = { zoom: 1, x: 0, y: 0 };
+export const zoomPhotoView = (view, delta) => {
+    const zoom = Math.min(PHOTO_ZOOM_MAX, Math.max(1, view.zoom + delta));
+    return zoom === 1 ? DEFAULT_PHOTO_VIEW : { ...view, zoom };
+};
+
+// Converte o texto digitado ("Júlia, Emanuel, Arena") em tags sem repetição
+export const parsePhotoTags = (text) => {
+    const tags = [];
+    text.split(',').forEach((part) => {
+        const tag = part.trim().replace(/\s+/g, ' ').slice(0, PHOTO_TAG_MAX_LENGTH);
+        if (tag && !tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+    return tags.slice(0, MAX_PHOTO_TAGS);
+};
+
+// Dia em que a foto foi tirada ("AAAA-MM-DD"); sem EXIF nem edição, vale o dia em que foi adicionada
+export const getPhotoDayKey = (photo) => {
+    if (photo.takenAt) return photo.takenAt;
+    const addedAt = photo.createdAt?.toDate();
+    return addedAt ? toDayKey(addedAt) : '';
+};
+
+const getAddedTime = (photo) => photo.createdAt?.toMillis() ?? Number.MAX_SAFE_INTEGER; // Envio pendente: mais recente
+
+// Ordena sem alterar a lista original; empates na data da foto ficam pela ordem de envio
+export const sortPhotos = (photos, order) => [...photos].sort((a, b) => {
+    if (order === 'addedDesc') return getAddedTime(b) - getAddedTime(a);
+    const byDay = getPhotoDayKey(a).localeCompare(getPhotoDayKey(b)) || getAddedTime(a) - getAddedTime(b);
+    return order === 'takenAsc' ? byDay : -byDay;
+});
+
+// Aplica os filtros de álbum e tag ('' significa todos)
+export const filterPhotos = (photos, { albumId, tag }) => photos.filter((photo) => (
+    (!albumId || (photo.albumIds || []).includes(albumId)) &&
+    (!tag || (photo.tags || []).some((photoTag) => photoTag.toLowerCase() === tag.toLowerCase()))
+));
+
+// Todas as tags já usadas, para o filtro
+export const collectPhotoTags = (photos) => {
+    const tags = [];
+    photos.forEach((photo) => {
+        (photo.tags || []).forEach((tag) => {
+            if (!tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+        });
+    });
+    return tags.sort((a, b) => a.localeCompare(b, 'pt-BR'));
+};
@@ -0,0 +1,252 @@
+// Fotos da Galeria no Firebase Storage.
+// Antes do envio, cada foto é decodificada no navegador, tem a orientação EXIF aplicada e é
+// reduzida para duas versões JPEG: a foto (até PHOTO_MAX_SIZE px) e a miniatura da grade.
+// O Firestore guarda só os metadados: { storagePath, thumbPath, url, thumbUrl, width, height, size }.
+// Fotos antigas guardavam a imagem inteira em base64 no campo `dataUrl` (ver migração no App).
+
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+
+export const PHOTO_MAX_SIZE = 2048;
+export const PHOTO_THUMB_SIZE = 400;
+const PHOTO_QUALITY = 0.85;
+const PHOTO_THUMB_QUALITY = 0.75;
+// Limite do arquivo original (fotos de celular em HEIC/JPEG costumam ter menos de 15 MB)
+export const PHOTO_MAX_FILE_SIZE = 30 * 1024 * 1024;
+// Formatos que todos os navegadores conseguem decodificar para gerar a foto e a miniatura
+export const PHOTO_ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Caminho da pasta de uma foto no Storage
+export const getPhotoStoragePath = (appId, userId, photoId) => `artifacts/${appId}/users/${userId}/photos/${photoId}`;
+
+// Imagem grande e miniatura de uma foto, com alternativa para as fotos antigas em base64
+export const getPhotoSrc = (photo) => photo.url || photo.dataUrl;
+export const getPhotoThumbSrc = (photo) => photo.thumbUrl || photo.url || photo.dataUrl;
+
+// Texto ASCII de uma entrada EXIF (valores com mais de 4 bytes ficam no deslocamento indicado)
+const readExifAscii = (view, entry, tiff, little) => {
+    const count = view.getUint32(entry + 4, little);
+    const start = count > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+    if (start + count > view.byteLength) return '';
+    let text = '';
+    for (let i = 0; i < count; i++) {
+        const code = view.getUint8(start + i);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+    }
+    return text;
+};
+
+// Lê as entradas de um diretório EXIF (IFD) como { tag: offsetDaEntrada }
+const readIfd = (view, ifd, little) => {
+    const tags = {};
+    if (ifd + 2 > view.byteLength) return tags;
+    const count = view.getUint16(ifd, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        tags[view.getUint16(entry, little)] = entry;
+    }
+    return tags;
+};
+
+// "2024:05:12 18:30:00" -> "2024-05-12"
+const exifDateToDayKey = (value) => {
+    const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(value);
+    return match && match[1] !== '0000' ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Lê do EXIF de um JPEG a orientação (1 a 8; 1 = normal) e a data em que a foto foi tirada
+// (DateTimeOriginal, ou DateTime na falta dela) como "AAAA-MM-DD". Sem EXIF: { orientation: 1, takenAt: null }.
+export const readExifData = (buffer) => {
+    const result = { orientation: 1, takenAt: null };
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return result;
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        // APP1 com cabeçalho "Exif\0\0"
+        if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            if (tiff + 8 > view.byteLength) return result;
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd0 = readIfd(view, tiff + view.getUint32(tiff + 4, little), little);
+            if (ifd0[0x0112] !== undefined) {
+                const orientation = view.getUint16(ifd0[0x0112] + 8, little);
+                if (orientation >= 1 && orientation <= 8) result.orientation = orientation;
+            }
+            const exifIfd = ifd0[0x8769] !== undefined ? readIfd(view, tiff + view.getUint32(ifd0[0x8769] + 8, little), little) : {};
+            const dateEntry = exifIfd[0x9003] ?? ifd0[0x0132];
+            if (dateEntry !== undefined) result.takenAt = exifDateToDayKey(readExifAscii(view, dateEntry, tiff, little));
+            return result;
+        }
+        if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return result; // Início da imagem: sem EXIF
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return result;
+};
+
+const loadImageElement = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Não foi possível abrir a imagem."));
+    image.src = src;
+});
+
+// Decodifica o arquivo já na orientação correta. Retorna { source, width, height, orientation, release },
+// onde `orientation` é a rotação que ainda falta aplicar ao desenhar (1 se o navegador já aplicou).
+// `exifOrientation` é a orientação lida do arquivo, usada só nos navegadores que não a aplicam sozinhos.
+const decodeImage = async (blob, exifOrientation) => {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+            return { source: bitmap, width: bitmap.width, height: bitmap.height, orientation: 1, release: () => bitmap.close() };
+        } catch (error) {
+            // Navegador sem suporte às opções (ou ao formato): usa um <img>
+        }
+    }
+    const url = URL.createObjectURL(blob);
+    try {
+        const image = await loadImageElement(url);
+        // Navegadores com `image-orientation` já desenham a foto girada; nos antigos, aplicamos o EXIF
+        const appliesExif = typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+        const orientation = appliesExif ? 1 : exifOrientation;
+        const swap = orientation >= 5;
+        return {
+            source: image,
+            width: swap ? image.naturalHeight : image.naturalWidth,
+            height: swap ? image.naturalWidth : image.naturalHeight,
+            orientation,
+            release: () => {}
+        };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Transformação do canvas para cada orientação EXIF (w x h já com a orientação aplicada)
+const applyOrientation = (ctx, orientation, w, h) => {
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, w, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, w, h); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, h); break;
+        default: break;
+    }
+};
+
+const canvasToBlob = (canvas, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Não foi possível gerar a imagem."))), 'image/jpeg', quality);
+});
+
+const renderScaled = (decoded, maxSize, quality) => {
+    const scale = Math.min(1, maxSize / Math.max(decoded.width, decoded.height));
+    const width = Math.max(1, Math.round(decoded.width * scale));
+    const height = Math.max(1, Math.round(decoded.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff'; // Fundo para PNGs transparentes (JPEG não tem transparência)
+    ctx.fillRect(0, 0, width, height);
+    applyOrientation(ctx, decoded.orientation, width, height);
+    const swap = decoded.orientation >= 5;
+    ctx.drawImage(decoded.source, 0, 0, swap ? height : width, swap ? width : height);
+    return canvasToBlob(canvas, quality).then((blob) => ({ blob, width, height }));
+};
+
+// Valida um arquivo escolhido antes de entrar na fila; retorna a mensagem de erro ou null
+export const validatePhotoFile = (file) => {
+    if (!PHOTO_ACCEPTED_TYPES.includes(file.type)) return "Formato não suportado (use JPEG, PNG, WebP ou GIF).";
+    if (file.size > PHOTO_MAX_FILE_SIZE) return "Arquivo grande demais (máximo de 30 MB).";
+    if (file.size === 0) return "Arquivo vazio.";
+    return null;
+};
+
+// Impressão digital (SHA-256 em hexadecimal) do conteúdo do arquivo original, para achar fotos repetidas
+export const hashPhotoFile = async (blob) => {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Prepara uma imagem (arquivo enviado ou foto antiga) para o Storage:
+// { photo, thumb, width, height, takenAt } (`takenAt` vem do EXIF, se houver)
+export const preparePhotoUpload = async (blob) => {
+    if (!blob.type.startsWith('image/')) throw new Error("O arquivo escolhido não é uma imagem.");
+    if (blob.size > PHOTO_MAX_FILE_SIZE) throw new Error("A foto é grande demais (máximo de 30 MB).");
+    // O EXIF fica no início do arquivo; 256 KB bastam mesmo com miniatura embutida
+    const exif = blob.type === 'image/jpeg' ? readExifData(await blob.slice(0, 256 * 1024).arrayBuffer()) : { orientation: 1, takenAt: null };
+    const decoded = await decodeImage(blob, exif.orientation);
+    try {
+        const photo = await renderScaled(decoded, PHOTO_MAX_SIZE, PHOTO_QUALITY);
+        const thumb = await renderScaled(decoded, PHOTO_THUMB_SIZE, PHOTO_THUMB_QUALITY);
+        return { photo: photo.blob, thumb: thumb.blob, width: photo.width, height: photo.height, takenAt: exif.takenAt };
+    } finally {
+        decoded.release();
+    }
+};
+
+// Converte uma foto antiga (base64) em Blob para a migração
+export const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+// Envia um arquivo acompanhando o progresso; `onProgress` recebe os bytes já enviados e `signal`
+// (AbortSignal) cancela o envio. Retorna a URL pública.
+export const uploadFileWithProgress = (storage, path, blob, { contentType = 'image/jpeg', onProgress = () => {}, signal } = {}) => new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(ref(storage, path), blob, { contentType, cacheControl: 'public, max-age=31536000' });
+    if (signal?.aborted) task.cancel();
+    signal?.addEventListener('abort', () => task.cancel());
+    task.on('state_changed',
+        (snapshot) => onProgress(snapshot.bytesTransferred),
+        reject,
+        () => getDownloadURL(task.snapshot.ref).then(resolve, reject)
+    );
+});
+
+// Envia foto e miniatura para a pasta `folder`; `onProgress` recebe a fração enviada (0 a 1).
+// Se um dos envios falhar ou `signal` for abortado, cancela o outro e apaga o que já subiu
+// (o erro de cancelamento tem code 'storage/canceled'). Retorna os campos de metadados para o Firestore.
+export const uploadPreparedPhoto = async (storage, folder, prepared, { onProgress = () => {}, signal } = {}) => {
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort());
+    if (signal?.aborted) controller.abort();
+    const total = prepared.photo.size + prepared.thumb.size;
+    const sent = { photo: 0, thumb: 0 };
+    const report = (key) => (bytes) => {
+        sent[key] = bytes;
+        onProgress((sent.photo + sent.thumb) / total);
+    };
+    const storagePath = `${folder}/photo.jpg`;
+    const thumbPath = `${folder}/thumb.jpg`;
+    let url;
+    let thumbUrl;
+    try {
+        [url, thumbUrl] = await Promise.all([
+            uploadFileWithProgress(storage, storagePath, prepared.photo, { onProgress: report('photo'), signal: controller.signal }),
+            uploadFileWithProgress(storage, thumbPath, prepared.thumb, { onProgress: report('thumb'), signal: controller.signal })
+        ]);
+    } catch (error) {
+        controller.abort();
+        deletePhotoFiles(storage, { storagePath, thumbPath }).catch((cleanupError) => console.error("Erro ao limpar envio incompleto:", cleanupError));
+        throw error;
+    }
+    return {
+        storagePath,
+        thumbPath,
+        url,
+        thumbUrl,
+        width: prepared.width,
+        height: prepared.height,
+        size: prepared.photo.size
+    };
+};
+
+// Remove os arquivos de uma foto do Storage (ignora os que já não existem)
+export const deletePhotoFiles = async (storage, photo) => {
+    await Promise.all([photo.storagePath, photo.thumbPath].filter(Boolean).map((path) => (
+        deleteObject(ref(storage, path)).catch((error) => {
+            if (error.code !== 'storage/object-not-found') throw error;
+        })
+    )));
+};
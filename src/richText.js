@@ -0,0 +1,56 @@
+// Utilitários para o texto formatado das cartas.
+// O editor usa contentEditable, então o HTML salvo passa por uma lista de
+// tags permitidas antes de ir para o Firestore e antes de ser exibido.
+
+// Tags mantidas; as demais são desembrulhadas (o texto interno é preservado)
+const ALLOWED_TAGS = ['B', 'STRONG', 'I', 'EM', 'U', 'UL', 'OL', 'LI', 'H2', 'H3', 'P', 'DIV', 'BR'];
+// Tags removidas junto com o conteúdo
+const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE'];
+
+// Limite de caracteres de texto de uma carta (mantém o documento bem abaixo de 1 MB)
+export const LETTER_MAX_LENGTH = 20000;
+
+const cleanNode = (node) => {
+    Array.from(node.childNodes).forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) return;
+        if (child.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.includes(child.tagName)) {
+            child.remove();
+            return;
+        }
+        cleanNode(child);
+        if (ALLOWED_TAGS.includes(child.tagName)) {
+            // Nenhum atributo é necessário (evita estilos colados e handlers como onclick)
+            Array.from(child.attributes).forEach((attribute) => child.removeAttribute(attribute.name));
+        } else {
+            child.replaceWith(...Array.from(child.childNodes));
+        }
+    });
+};
+
+// Remove do HTML tudo o que não é formatação básica
+export const sanitizeLetterHtml = (html) => {
+    if (!html) return '';
+    const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    cleanNode(parsed.body);
+    return parsed.body.innerHTML;
+};
+
+// Extrai o texto puro (com quebras de linha) do HTML, para contagem e pré-visualização
+export const htmlToPlainText = (html) => {
+    if (!html) return '';
+    const withBreaks = html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h2|h3)>/gi, '\n');
+    const parsed = new DOMParser().parseFromString(`<body>${withBreaks}</body>`, 'text/html');
+    return parsed.body.textContent.replace(/\n{3,}/g, '\n\n').trim();
+};
+
+// Converte texto puro (cartas antigas) em HTML para o editor
+export const plainTextToHtml = (text) => {
+    if (!text) return '';
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br>');
+};
@@ -0,0 +1,64 @@
+// Rotas do site: cada página (e alguns itens, como uma foto ou a mensagem de um jogador) tem
+// endereço próprio, para recarregar sem voltar ao Início, usar o botão Voltar do navegador e
+// mandar links. Em produção, o Vercel devolve o index.html para qualquer caminho (vercel.json).
+
+import { TRIBUTE_LINK_PARAM } from './tributes';
+
+const BASE_PATH = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+export const PAGE_ROUTES = [
+    { page: 'home', path: '/', title: 'Início' },
+    { page: 'creativeStudio', path: '/estudio', title: 'Estúdio Criativo' },
+    { page: 'moodTracker', path: '/humor', title: 'Humor' },
+    { page: 'daysCounter', path: '/dias', title: 'Contador de Dias' },
+    { page: 'gameSchedule', path: '/jogos', title: 'Agenda de Jogos' },
+    { page: 'moodInsights', path: '/humor-x-galo', title: 'Humor x Galo' },
+    { page: 'photoGallery', path: '/galeria', title: 'Galeria de Fotos' },
+    { page: 'tributes', path: '/homenagens', title: 'Homenagens' },
+    { page: 'family', path: '/familia', title: 'Família' }
+];
+
+// Itens com endereço próprio: `${path}/:param` abre a página `page` com params[param]
+const ITEM_ROUTES = [
+    { page: 'home', path: '/jogadores', param: 'player' },
+    { page: 'creativeStudio', path: '/estudio/cartas', param: 'letterId' },
+    { page: 'photoGallery', path: '/galeria', param: 'photoId' }
+];
+
+const EXTRA_TITLES = {
+    guestTribute: 'Deixe sua homenagem',
+    notFound: 'Página não encontrada'
+};
+
+// Converte o endereço atual em { page, params }; caminhos desconhecidos viram a página 'notFound'
+export const parseRoute = ({ pathname, search }) => {
+    if (new URLSearchParams(search).has(TRIBUTE_LINK_PARAM)) return { page: 'guestTribute', params: {} };
+    let path = pathname.startsWith(BASE_PATH) ? pathname.slice(BASE_PATH.length) : pathname;
+    path = path.replace(/\/+$/, '') || '/';
+    const pageRoute = PAGE_ROUTES.find((route) => route.path === path);
+    if (pageRoute) return { page: pageRoute.page, params: {} };
+    for (const route of ITEM_ROUTES) {
+        const rest = path.startsWith(`${route.path}/`) ? path.slice(route.path.length + 1) : '';
+        if (rest && !rest.includes('/')) {
+            try {
+                return { page: route.page, params: { [route.param]: decodeURIComponent(rest) } };
+            } catch (error) {
+                break; // Codificação inválida no endereço
+            }
+        }
+    }
+    return { page: 'notFound', params: {} };
+};
+
+// Caminho de uma página (com o item de `params`, se houver)
+export const buildPath = (page, params = {}) => {
+    const itemRoute = ITEM_ROUTES.find((route) => route.page === page && params[route.param]);
+    if (itemRoute) return `${BASE_PATH}${itemRoute.path}/${encodeURIComponent(params[itemRoute.param])}`;
+    const pageRoute = PAGE_ROUTES.find((route) => route.page === page);
+    return `${BASE_PATH}${pageRoute ? pageRoute.path : '/'}`;
+};
+
+// Endereço completo, para copiar e mandar para alguém
+export const buildUrl = (page, params) => `${window.location.origin}${buildPath(page, params)}`;
+
+export const getPageTitle = (page) => PAGE_ROUTES.find((route) => route.page === page)?.title || EXTRA_TITLES[page] || '';
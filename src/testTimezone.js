@@ -0,0 +1,5 @@
+// Testes rodam no fuso de Brasília (com o horário de verão antigo), o mesmo do site,
+// seja qual for o fuso da máquina
+module.exports = async () => {
+    process.env.TZ = 'America/Sao_Paulo';
+};
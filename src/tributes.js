@@ -0,0 +1,193 @@
+// Mural de homenagens da página inicial: mensagens de jogadores, família e amigos.
+// Convidados enviam a homenagem (nome, foto, texto e, opcionalmente, um áudio ou vídeo curto)
+// por um link de compartilhamento; ela fica pendente até o dono da página aprovar.
+// As homenagens ficam na coleção pública `tributes` (campo `ownerId` = dono do mural) e os
+// arquivos no Storage; os jogadores abaixo viram as primeiras homenagens de cada mural.
+
+import { ref, deleteObject } from 'firebase/storage';
+import { validatePhotoFile, preparePhotoUpload, uploadFileWithProgress } from './photoStorage';
+
+export const TRIBUTE_NAME_MAX_LENGTH = 40;
+export const TRIBUTE_MESSAGE_MAX_LENGTH = 1000;
+export const TRIBUTE_MEDIA_MAX_FILE_SIZE = 25 * 1024 * 1024;
+export const TRIBUTE_MEDIA_MAX_SECONDS = 60;
+// Parâmetro do link de compartilhamento: ?homenagem=<uid do dono do mural>
+export const TRIBUTE_LINK_PARAM = 'homenagem';
+
+// Dados dos jogadores do Atlético-MG e Júlia Ayla (homenagens iniciais de todo mural)
+export const SEED_TRIBUTES = [
+    {
+        name: "Hulk",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Hulk",
+        message: "Parabéns, Dr. Emanuel! Que sua força e paixão sejam tão grandes quanto as minhas em campo. Não há limites para quem acredita e batalha pelos seus sonhos. Siga em frente com determinação!"
+    },
+    {
+        name: "Rubens",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Rubens",
+        message: "Feliz aniversário, Dr. Emanuel! Que a sua juventude e energia te impulsionem a conquistar cada vez mais. O futuro é seu, acredite e vá em frente!"
+    },
+    {
+        name: "Everson",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Everson",
+        message: "Parabéns, Dr. Emanuel! Que a sua segurança e a sua capacidade de defender seus ideais sejam sempre inabaláveis, assim como minhas defesas. Mantenha o foco!"
+    },
+    {
+        name: "Rony",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Rony",
+        message: "Feliz aniversário, Dr. Emanuel! Que a sua velocidade e agilidade para superar desafios te levem a grandes vitórias. Corra atrás dos seus sonhos!"
+    },
+    {
+        name: "Lyanco",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Lyanco",
+        message: "Parabéns, Dr. Emanuel! Que a sua solidez e determinação sejam a base para todas as suas conquistas. Construa um futuro brilhante!"
+    },
+    {
+        name: "Júlia Ayla",
+        imageUrl: "https://placehold.co/100x100/FFC0CB/000000?text=Júlia+Ayla", // Cor de rosa para a princesa
+        message: "Eu te amo muito, meu amor!"
+    },
+    {
+        name: "Scarpa",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Scarpa",
+        message: "Feliz aniversário, Dr. Emanuel! Que a sua criatividade e o seu talento para inovar te abram muitos caminhos. Ouse sonhar grande!"
+    },
+    {
+        name: "Saraiva",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Saraiva",
+        message: "Parabéns, Dr. Emanuel! Que a sua visão de jogo e a sua capacidade de criar oportunidades te guiem para o sucesso. Enxergue além!"
+    },
+    {
+        name: "Paulinho",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Paulinho",
+        message: "Feliz aniversário, Dr. Emanuel! Que a sua estrela brilhe cada vez mais, e que você continue marcando gols na vida. Siga seu caminho com luz!"
+    },
+    {
+        name: "Zaracho",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Zaracho",
+        message: "Parabéns, Dr. Emanuel! Que a sua versatilidade e a sua paixão pelo que faz te levem a alcançar todos os seus objetivos. Seja completo!"
+    },
+    {
+        name: "Deyverson",
+        imageUrl: "https://placehold.co/100x100/000000/FFFFFF?text=Deyverson",
+        message: "Feliz aniversário, Dr. Emanuel! Que a sua alegria e o seu espírito guerreiro te inspirem a celebrar cada momento e a lutar por cada vitória. Viva intensamente!"
+    }
+];
+
+// Caminho da coleção pública de homenagens e da pasta de arquivos de uma homenagem no Storage
+export const getTributesCollectionPath = (appId) => `artifacts/${appId}/public/data/tributes`;
+export const getTributeStoragePath = (appId, ownerId, tributeId) => `artifacts/${appId}/public/tributes/${ownerId}/${tributeId}`;
+
+// Id fixo de cada homenagem inicial, para a semeadura poder rodar de novo sem duplicar
+export const getSeedTributeId = (ownerId, index) => `${ownerId}-jogador-${index}`;
+
+// Link para convidados enviarem homenagens ao mural de `ownerId`
+export const getTributeShareUrl = (ownerId) => {
+    const url = new URL(`${process.env.PUBLIC_URL}/`, window.location.origin);
+    url.searchParams.set(TRIBUTE_LINK_PARAM, ownerId);
+    return url.toString();
+};
+
+// Dono do mural indicado no link aberto (null fora do modo convidado)
+export const readTributeOwnerFromUrl = () => new URLSearchParams(window.location.search).get(TRIBUTE_LINK_PARAM);
+
+// Trecho do endereço da mensagem de alguém no mural (/jogadores/julia-ayla)
+export const getTributeSlug = (tribute) => tribute.name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Foto da homenagem; sem foto, um avatar com o nome
+export const getTributeImage = (tribute) => tribute.imageUrl || `https://placehold.co/100x100/000000/FFFFFF?text=${encodeURIComponent(tribute.name)}`;
+
+// Ordem do mural: jogadores na ordem original, depois as dos convidados pela data de envio
+export const sortTributes = (tributes) => [...tributes].sort((a, b) => {
+    if (a.seed !== b.seed) return a.seed ? -1 : 1;
+    if (a.seed) return a.order - b.order;
+    return (a.createdAt?.toMillis() ?? 0) - (b.createdAt?.toMillis() ?? 0);
+});
+
+// Tipo do clipe ('audio' | 'video') ou null se o arquivo não for nenhum dos dois
+export const getTributeMediaType = (file) => {
+    if (file.type.startsWith('audio/')) return 'audio';
+    if (file.type.startsWith('video/')) return 'video';
+    return null;
+};
+
+// Duração em segundos de um áudio ou vídeo, lida pelo próprio navegador
+export const readMediaDuration = (file) => new Promise((resolve, reject) => {
+    const media = document.createElement(getTributeMediaType(file) === 'video' ? 'video' : 'audio');
+    const url = URL.createObjectURL(file);
+    media.preload = 'metadata';
+    media.onloadedmetadata = () => {
+        URL.revokeObjectURL(url);
+        resolve(media.duration);
+    };
+    media.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("Não foi possível ler o áudio/vídeo."));
+    };
+    media.src = url;
+});
+
+// Valida o formulário do convidado; retorna um objeto campo -> mensagem (vazio se estiver tudo certo)
+export const validateTributeForm = async (form) => {
+    const errors = {};
+    if (!form.name.trim()) errors.name = "Informe seu nome.";
+    else if (form.name.trim().length > TRIBUTE_NAME_MAX_LENGTH) errors.name = `Use no máximo ${TRIBUTE_NAME_MAX_LENGTH} caracteres.`;
+    if (!form.message.trim()) errors.message = "Escreva sua mensagem.";
+    else if (form.message.trim().length > TRIBUTE_MESSAGE_MAX_LENGTH) errors.message = `Use no máximo ${TRIBUTE_MESSAGE_MAX_LENGTH} caracteres.`;
+    const photoError = form.photo && validatePhotoFile(form.photo);
+    if (photoError) errors.photo = photoError;
+    if (form.media) {
+        if (!getTributeMediaType(form.media)) {
+            errors.media = "Escolha um arquivo de áudio ou vídeo.";
+        } else if (form.media.size > TRIBUTE_MEDIA_MAX_FILE_SIZE) {
+            errors.media = "O arquivo é grande demais (máximo de 25 MB).";
+        } else {
+            try {
+                // Alguns gravadores não informam a duração (Infinity); nesse caso vale só o limite de tamanho
+                const duration = await readMediaDuration(form.media);
+                if (Number.isFinite(duration) && duration > TRIBUTE_MEDIA_MAX_SECONDS) errors.media = `O clipe pode ter no máximo ${TRIBUTE_MEDIA_MAX_SECONDS} segundos.`;
+            } catch (error) {
+                errors.media = error.message;
+            }
+        }
+    }
+    return errors;
+};
+
+// Envia a foto (reduzida ao tamanho de miniatura, que é como ela aparece no mural) e o clipe para a
+// pasta `folder`; `onProgress` recebe a fração enviada (0 a 1). Se algo falhar, apaga o que já subiu.
+// Retorna os campos de arquivos do documento da homenagem.
+export const uploadTributeFiles = async (storage, folder, { photo, media }, { onProgress = () => {} } = {}) => {
+    const image = photo ? (await preparePhotoUpload(photo)).thumb : null;
+    const total = (image?.size || 0) + (media?.size || 0);
+    const sent = { image: 0, media: 0 };
+    const report = (key) => (bytes) => {
+        sent[key] = bytes;
+        onProgress(total ? (sent.image + sent.media) / total : 1);
+    };
+    const files = {
+        imagePath: image ? `${folder}/photo.jpg` : null,
+        mediaPath: media ? `${folder}/media` : null,
+        mediaType: media ? getTributeMediaType(media) : null
+    };
+    try {
+        const [imageUrl, mediaUrl] = await Promise.all([
+            image ? uploadFileWithProgress(storage, files.imagePath, image, { onProgress: report('image') }) : null,
+            media ? uploadFileWithProgress(storage, files.mediaPath, media, { contentType: media.type, onProgress: report('media') }) : null
+        ]);
+        return { ...files, imageUrl, mediaUrl };
+    } catch (error) {
+        deleteTributeFiles(storage, files).catch((cleanupError) => console.error("Erro ao limpar envio incompleto:", cleanupError));
+        throw error;
+    }
+};
+
+// Remove a foto e o clipe de uma homenagem do Storage (ignora os que já não existem)
+export const deleteTributeFiles = async (storage, tribute) => {
+    await Promise.all([tribute.imagePath, tribute.mediaPath].filter(Boolean).map((path) => (
+        deleteObject(ref(storage, path)).catch((error) => {
+            if (error.code !== 'storage/object-not-found') throw error;
+        })
+    )));
+};